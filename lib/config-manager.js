@@ -10,10 +10,107 @@ const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const Logger = require('./logger');
+const ConfigSchema = require('./config-schema');
+const SafeFile = require('./safe-file');
+
+const logger = Logger.getLogger('config-manager');
+
+const { DEFAULT_PROFILE_NAME, DEFAULT_SETTINGS, PROFILE_DEFAULTS } = ConfigSchema;
+
+// Config files, lowest precedence first; the user file is the only one written
+const GLOBAL_CONFIG_FILE = 'config.json';
+const PROJECT_CONFIG_FILE = '.feedbackrc.json';
+
+// Content hashes of the .feedbackrc.json files the user trusted, by path
+const TRUST_FILE = 'trusted-projects.json';
+
+// Profile settings a committed file only gets to set once trusted, they decide what runs and how
+const TRUSTED_PROFILE_KEYS = ['execute_automatically', 'env'];
+
+// Environment variables override every file, profile settings apply to the default profile
+const ENV_OVERRIDES = {
+    IFM_COMMAND_SECTION_VISIBLE: { key: 'command_section_visible', type: 'boolean' },
+    IFM_FEEDBACK_TIMEOUT: { key: 'feedback_timeout', type: 'number' },
+    IFM_TIMEOUT_DEFAULT_ANSWER: { key: 'timeout_default_answer', type: 'string' },
+    IFM_DEFAULT_PROFILE: { key: 'default_profile', type: 'string' },
+    IFM_RUN_COMMAND: { key: 'run_command', type: 'string' },
+    IFM_EXECUTE_AUTOMATICALLY: { key: 'execute_automatically', type: 'boolean' }
+};
+
+/**
+ * Create an error for a rejected config or profile operation
+ * @param {string} code - INVALID_CONFIG, CONFIG_FILE_INVALID, INVALID_PROFILE, PROFILE_NOT_FOUND,
+ *     PROFILE_EXISTS, PROFILE_READ_ONLY or LAST_PROFILE
+ * @param {string} message - Error message
+ * @param {Object} errors - Validation errors keyed by path (optional)
+ * @returns {Error} Error with the code set
+ */
+function configError(code, message, errors = null) {
+    const error = new Error(message);
+    error.code = code;
+    if (errors) {
+        error.errors = errors;
+    }
+    return error;
+}
+
+/**
+ * Format validation errors for a message
+ * @param {Object} errors - Messages keyed by path
+ * @returns {string} "path message" pairs separated by semicolons
+ */
+function describeErrors(errors) {
+    return Object.entries(errors).map(([key, message]) => `${key} ${message}`).join('; ');
+}
+
+/**
+ * Copy the profile settings out of an object
+ * @param {Object} source - Object that may hold profile settings
+ * @returns {Object} Only the keys of PROFILE_DEFAULTS that are set
+ */
+function pickProfileSettings(source) {
+    const settings = {};
+    for (const key of Object.keys(PROFILE_DEFAULTS)) {
+        if (source[key] !== undefined && source[key] !== null) {
+            settings[key] = key === 'env' ? { ...source[key] } : source[key];
+        }
+    }
+    return settings;
+}
+
+/**
+ * Parse an IFM_* override
+ * @param {string} type - boolean, number or string
+ * @param {string} value - Raw environment value
+ * @returns {*} Parsed value, undefined if it doesn't parse
+ */
+function parseEnvOverride(type, value) {
+    const trimmed = value.trim();
+    
+    if (type === 'boolean') {
+        if (/^(1|true|yes|on)$/i.test(trimmed)) return true;
+        if (/^(0|false|no|off)$/i.test(trimmed)) return false;
+        return undefined;
+    }
+    if (type === 'number') {
+        const number = Number(trimmed);
+        return trimmed !== '' && Number.isFinite(number) && number >= 0 ? number : undefined;
+    }
+    return trimmed || undefined;
+}
 
 /**
  * Configuration Manager Class
- * Handles reading, writing, and managing configuration files for each project
+ * Handles reading, writing, and managing configuration files for each project.
+ * A project has named profiles (command, auto-execute flag, environment) and one default profile;
+ * loadConfig() flattens the chosen profile into the project settings.
+ *
+ * Values are merged from these layers, later ones winning:
+ * built-in defaults, the global user file, the project's committed .feedbackrc.json,
+ * the per-user project file and IFM_* environment variables.
+ * Changes are only ever written to the per-user project file.
+ * Every file is migrated to the current version and validated by ConfigSchema when it is read.
  */
 class ConfigManager {
     /**
@@ -27,7 +124,7 @@ class ConfigManager {
         // Create config directory if it doesn't exist
         this._ensureConfigDirectory();
         
-        console.log(`ConfigManager initialized for project: ${projectDirectory}`);
+        logger.debug(`ConfigManager initialized for project: ${projectDirectory}`);
     }
     
     /**
@@ -39,7 +136,7 @@ class ConfigManager {
         try {
             await fs.ensureDir(this.configDir);
         } catch (error) {
-            console.warn(`Cannot create config directory: ${error.message}`);
+            logger.warning(`Cannot create config directory: ${error.message}`);
             throw error;
         }
     }
@@ -56,74 +153,738 @@ class ConfigManager {
             const configFileName = `${projectBasename}_${projectHash}.json`;
             return path.join(this.configDir, configFileName);
         } catch (error) {
-            console.warn(`Error creating config file name: ${error.message}`);
+            logger.warning(`Error creating config file name: ${error.message}`);
             // Fallback to simple name
             return path.join(this.configDir, 'default_config.json');
         }
     }
     
     /**
-     * Load configuration from JSON file
-     * Returns default config if file doesn't exist
-     * @returns {Promise<Object>} Configuration data
+     * Get the config file shared by all projects of the user
+     * @returns {string} Full path to ~/.interactive-feedback-mcp/config.json
      */
-    async loadConfig() {
-        const configFile = this.getConfigFile();
+    getGlobalConfigFile() {
+        return path.join(this.configDir, GLOBAL_CONFIG_FILE);
+    }
+    
+    /**
+     * Get the config file committed with the project
+     * @returns {string} Full path to .feedbackrc.json in the project directory
+     */
+    getProjectConfigFile() {
+        return path.join(this.projectDirectory, PROJECT_CONFIG_FILE);
+    }
+    
+    /**
+     * Check a profile name
+     * @param {string} name - Profile name
+     * @returns {boolean} True if the name is allowed
+     */
+    static isValidProfileName(name) {
+        return ConfigSchema.isValidProfileName(name);
+    }
+    
+    /**
+     * Read one config file into a layer
+     * Older versions are migrated and invalid entries left out, with the problems kept in errors.
+     * A missing file is an empty layer; one that can't be parsed or is too new is skipped with error set.
+     * @private
+     * @param {string} name - Layer name: global, project or user
+     * @param {string} file - File path
+     * @returns {Promise<Object>} Layer with name, file, exists, hash, error, errors, settings, default_profile and profiles
+     */
+    async _readLayer(name, file) {
+        const layer = { name, file, exists: false, hash: null, error: null, errors: {}, settings: {}, default_profile: undefined, profiles: [] };
+        let config;
+        
+        try {
+            if (!await fs.pathExists(file)) {
+                return layer;
+            }
+            layer.exists = true;
+            
+            const content = await fs.readFile(file, 'utf8');
+            layer.hash = crypto.createHash('sha256').update(content).digest('hex');
+            
+            const stored = JSON.parse(content);
+            if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+                throw new Error('Not a JSON object');
+            }
+            
+            const migrated = ConfigSchema.migrate(stored, name);
+            if (migrated.version < ConfigSchema.VERSION) {
+                // Only the per-user file is written back, in the current version, on its next save
+                logger.debug(`Migrated ${file} from config version ${migrated.version} to ${ConfigSchema.VERSION}`);
+            }
+            config = migrated.config;
+        } catch (error) {
+            logger.warning(`Error reading config file ${file}: ${error.message}. Skipping it.`);
+            layer.error = error.message;
+            return layer;
+        }
+        
+        const { valid, errors, value } = ConfigSchema.validate(config);
+        if (!valid) {
+            logger.warning(`Ignoring invalid entries in ${file}: ${describeErrors(errors)}`);
+            layer.errors = errors;
+        }
+        
+        const { version, default_profile: defaultProfile, profiles, ...settings } = value;
+        
+        // null leaves the value to the layers below
+        for (const [key, settingValue] of Object.entries(settings)) {
+            if (settingValue !== null) {
+                layer.settings[key] = settingValue;
+            }
+        }
+        if (defaultProfile !== undefined) {
+            layer.default_profile = defaultProfile;
+        }
+        layer.profiles = profiles.map(profile => ({ name: profile.name, ...pickProfileSettings(profile) }));
+        
+        return layer;
+    }
+    
+    /**
+     * Collect the IFM_* overrides from the environment
+     * @private
+     * @returns {Object} Layer with settings, default_profile, profile settings and the variables used
+     */
+    _readEnvLayer() {
+        const layer = { name: 'env', settings: {}, default_profile: undefined, profile: {}, variables: [] };
+        
+        for (const [variable, { key, type }] of Object.entries(ENV_OVERRIDES)) {
+            const raw = process.env[variable];
+            if (raw === undefined || raw === '') {
+                continue;
+            }
+            
+            const value = parseEnvOverride(type, raw);
+            if (value === undefined) {
+                logger.warning(`Ignoring ${variable}=${raw}, expected a ${type}`);
+                continue;
+            }
+            
+            if (key === 'default_profile') {
+                layer.default_profile = value;
+            } else if (key in PROFILE_DEFAULTS) {
+                layer.profile[key] = value;
+            } else {
+                layer.settings[key] = value;
+            }
+            layer.variables.push(variable);
+        }
         
-        // Default configuration
-        const defaultConfig = {
-            run_command: '',
-            execute_automatically: false,
-            command_section_visible: false,
-            window_geometry: null
+        return layer;
+    }
+    
+    /**
+     * Read every layer
+     * @private
+     * @returns {Promise<Object>} { global, project, user, env }
+     */
+    async _readLayers() {
+        const project = await this._readLayer('project', this.getProjectConfigFile());
+        
+        // A cloned repository must not decide on its own what runs automatically or with which environment
+        const trustedFiles = await this._readTrustedFiles();
+        project.trusted = !project.exists || (project.hash !== null && trustedFiles[project.file] === project.hash);
+        project.ignored = [];
+        if (!project.trusted) {
+            for (const profile of project.profiles) {
+                for (const key of TRUSTED_PROFILE_KEYS) {
+                    if (profile[key] !== undefined) {
+                        project.ignored.push(`profiles.${profile.name}.${key}`);
+                        delete profile[key];
+                    }
+                }
+            }
+        }
+        
+        return {
+            global: await this._readLayer('global', this.getGlobalConfigFile()),
+            project,
+            user: await this._readLayer('user', this.getConfigFile()),
+            env: this._readEnvLayer()
         };
+    }
+    
+    /**
+     * Read the hashes of the trusted .feedbackrc.json files
+     * @private
+     * @returns {Promise<Object>} File path -> SHA-256 of the content that was trusted
+     */
+    async _readTrustedFiles() {
+        const trustFile = path.join(this.configDir, TRUST_FILE);
         
         try {
-            if (await fs.pathExists(configFile)) {
-                const configData = await fs.readFile(configFile, 'utf8');
-                const parsedConfig = JSON.parse(configData);
-                
-                // Merge with default config to ensure all keys are present
-                return { ...defaultConfig, ...parsedConfig };
-            } else {
-                console.log(`Config file doesn't exist, using default configuration: ${configFile}`);
-                return defaultConfig;
+            if (await fs.pathExists(trustFile)) {
+                const trusted = await fs.readJson(trustFile);
+                if (trusted && typeof trusted === 'object' && !Array.isArray(trusted)) {
+                    return trusted;
+                }
             }
         } catch (error) {
-            console.warn(`Error reading config file: ${error.message}. Using default configuration.`);
-            return defaultConfig;
+            logger.warning(`Error reading ${trustFile}: ${error.message}. No project file is trusted.`);
         }
+        return {};
     }
     
     /**
-     * Save configuration to JSON file
-     * Merge new config with current config
-     * @param {Object} config - New configuration data
+     * Trust the project's .feedbackrc.json as it is now
+     * Its profiles may then auto-execute and set environment variables; any later edit needs trusting again
      * @returns {Promise<void>}
+     * @throws {Error} CONFIG_FILE_INVALID if the project has no readable .feedbackrc.json
      */
-    async saveConfig(config) {
+    trustProjectConfig() {
+        return SafeFile.withLock(path.join(this.configDir, TRUST_FILE), async () => {
+            const project = await this._readLayer('project', this.getProjectConfigFile());
+            if (!project.exists || project.hash === null) {
+                throw configError('CONFIG_FILE_INVALID', `${project.file} can't be read${project.error ? ` (${project.error})` : ''}`);
+            }
+            
+            const trustFile = path.join(this.configDir, TRUST_FILE);
+            const trustedFiles = await this._readTrustedFiles();
+            trustedFiles[project.file] = project.hash;
+            
+            await this._ensureConfigDirectory();
+            await SafeFile.writeAtomic(trustFile, JSON.stringify(trustedFiles, null, 2));
+            logger.info(`Trusted project config: ${project.file}`);
+        });
+    }
+    
+    /**
+     * Merge layers over the built-in defaults, recording where each value came from
+     * Profiles are matched by name and their env variables merge one by one
+     * @private
+     * @param {Array<Object>} fileLayers - File layers, lowest precedence first
+     * @param {Object} envLayer - Environment layer (optional)
+     * @returns {Object} { config, sources }, config holds the settings, default_profile and profiles;
+     *     a source is a layer name, or "untrusted" for auto-execution turned off for an untrusted command
+     */
+    _mergeLayers(fileLayers, envLayer = null) {
+        const config = { ...DEFAULT_SETTINGS };
+        const sources = {};
+        const profiles = [];
+        const profileSources = {};
+        let defaultProfile = null;
+        let defaultProfileSource = 'defaults';
+        
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            sources[key] = 'defaults';
+        }
+        
+        const mergeProfile = (profile, layerName) => {
+            let target = profiles.find(candidate => candidate.name === profile.name);
+            if (!target) {
+                target = { name: profile.name, env: {} };
+                profiles.push(target);
+                // The layer that first defines a profile owns its name
+                profileSources[profile.name] = { name: layerName, env: {} };
+            }
+            
+            const targetSources = profileSources[profile.name];
+            for (const key of ['run_command', 'execute_automatically']) {
+                if (profile[key] !== undefined) {
+                    target[key] = profile[key];
+                    targetSources[key] = layerName;
+                }
+            }
+            for (const [variable, value] of Object.entries(profile.env || {})) {
+                target.env[variable] = value;
+                targetSources.env[variable] = layerName;
+            }
+        };
+        
+        for (const layer of fileLayers) {
+            for (const [key, value] of Object.entries(layer.settings)) {
+                config[key] = value;
+                sources[key] = layer.name;
+            }
+            if (layer.default_profile !== undefined) {
+                defaultProfile = layer.default_profile;
+                defaultProfileSource = layer.name;
+            }
+            for (const profile of layer.profiles) {
+                mergeProfile(profile, layer.name);
+            }
+        }
+        
+        if (profiles.length === 0) {
+            mergeProfile({ name: DEFAULT_PROFILE_NAME }, 'defaults');
+        }
+        for (const profile of profiles) {
+            for (const key of ['run_command', 'execute_automatically']) {
+                if (profile[key] === undefined) {
+                    profile[key] = PROFILE_DEFAULTS[key];
+                    profileSources[profile.name][key] = 'defaults';
+                }
+            }
+        }
+        
+        if (envLayer && envLayer.default_profile !== undefined) {
+            if (profiles.some(profile => profile.name === envLayer.default_profile)) {
+                defaultProfile = envLayer.default_profile;
+                defaultProfileSource = 'env';
+            } else {
+                logger.warning(`Ignoring IFM_DEFAULT_PROFILE, there is no profile named ${envLayer.default_profile}`);
+            }
+        }
+        if (!profiles.some(profile => profile.name === defaultProfile)) {
+            defaultProfile = profiles[0].name;
+            defaultProfileSource = 'defaults';
+        }
+        
+        if (envLayer) {
+            for (const [key, value] of Object.entries(envLayer.settings)) {
+                config[key] = value;
+                sources[key] = 'env';
+            }
+            const profile = profiles.find(candidate => candidate.name === defaultProfile);
+            for (const [key, value] of Object.entries(envLayer.profile)) {
+                profile[key] = value;
+                profileSources[defaultProfile][key] = 'env';
+            }
+        }
+        
+        // Commands from an untrusted file are never run automatically, whichever layer asks for it
+        const untrusted = fileLayers.filter(layer => layer.trusted === false).map(layer => layer.name);
+        for (const profile of profiles) {
+            if (profile.execute_automatically && untrusted.includes(profileSources[profile.name].run_command)) {
+                profile.execute_automatically = false;
+                profileSources[profile.name].execute_automatically = 'untrusted';
+            }
+        }
+        
+        return {
+            config: { ...config, default_profile: defaultProfile, profiles },
+            sources: { ...sources, default_profile: defaultProfileSource, profiles: profileSources }
+        };
+    }
+    
+    /**
+     * Read and merge every layer
+     * @private
+     * @returns {Promise<Object>} { layers, merged } with merged as returned by _mergeLayers()
+     */
+    async _load() {
+        const layers = await this._readLayers();
+        const merged = this._mergeLayers([layers.global, layers.project, layers.user], layers.env);
+        return { layers, merged };
+    }
+    
+    /**
+     * Write the per-user project file
+     * The file is replaced in one rename so concurrent readers and writers never see half of it
+     * @private
+     * @param {Object} layer - User layer as read by _readLayer()
+     * @returns {Promise<void>}
+     * @throws {Error} CONFIG_FILE_INVALID if the file on disk couldn't be read or has invalid entries
+     */
+    async _writeUserLayer(layer) {
         const configFile = this.getConfigFile();
         
+        // Overwriting would silently drop what couldn't be read
+        if (layer.error) {
+            throw configError('CONFIG_FILE_INVALID', `${configFile} can't be read (${layer.error}), fix or remove it before saving`);
+        }
+        if (Object.keys(layer.errors).length > 0) {
+            throw configError('CONFIG_FILE_INVALID', `${configFile} has invalid entries (${describeErrors(layer.errors)}), fix them before saving`, layer.errors);
+        }
+        
+        const stored = { version: ConfigSchema.VERSION, ...layer.settings };
+        if (layer.default_profile !== undefined) {
+            stored.default_profile = layer.default_profile;
+        }
+        stored.profiles = layer.profiles;
+        
         try {
             // Ensure config directory exists
             await this._ensureConfigDirectory();
             
-            // Load current config and merge with new config
-            const currentConfig = await this.loadConfig();
-            const mergedConfig = { ...currentConfig, ...config };
-            
-            // Write to file with pretty format
-            await fs.writeFile(configFile, JSON.stringify(mergedConfig, null, 2), 'utf8');
+            // Write with pretty format
+            await SafeFile.writeAtomic(configFile, JSON.stringify(stored, null, 2));
             
-            console.log(`Configuration saved to: ${configFile}`);
+            logger.info(`Configuration saved to: ${configFile}`);
         } catch (error) {
-            console.warn(`Error saving config file: ${error.message}`);
+            logger.warning(`Error saving config file: ${error.message}`);
             throw error;
         }
     }
     
     /**
-     * Delete configuration file
+     * Run a read-modify-write of the per-user file
+     * Saves from this process and from other MCP servers or Web UI daemons take turns,
+     * so each one reads what the previous one wrote
+     * @private
+     * @param {Function} task - Async function that reads the layers, changes them and writes the user layer
+     * @returns {Promise<*>} Result of the task
+     */
+    _lockUserFile(task) {
+        return SafeFile.withLock(this.getConfigFile(), task);
+    }
+    
+    /**
+     * Find a profile by name
+     * @private
+     * @param {Object} config - Merged settings with profiles
+     * @param {string} name - Profile name
+     * @returns {Object} The profile
+     * @throws {Error} PROFILE_NOT_FOUND if there is no such profile
+     */
+    _findProfile(config, name) {
+        const profile = config.profiles.find(candidate => candidate.name === name);
+        if (!profile) {
+            throw configError('PROFILE_NOT_FOUND', `Profile not found: ${name}`);
+        }
+        return profile;
+    }
+    
+    /**
+     * Check a name for a new or renamed profile
+     * @private
+     * @param {Object} config - Merged settings with profiles
+     * @param {string} name - Profile name
+     * @throws {Error} INVALID_PROFILE or PROFILE_EXISTS
+     */
+    _checkNewProfileName(config, name) {
+        if (!ConfigManager.isValidProfileName(name)) {
+            throw configError('INVALID_PROFILE', 'Profile names are 1-64 characters, without slashes or surrounding spaces');
+        }
+        if (config.profiles.some(profile => profile.name === name)) {
+            throw configError('PROFILE_EXISTS', `Profile already exists: ${name}`);
+        }
+    }
+    
+    /**
+     * Check that a profile is defined in the per-user file and can be renamed or deleted
+     * @private
+     * @param {Object} merged - Result of _mergeLayers()
+     * @param {Object} layers - Result of _readLayers()
+     * @param {string} name - Profile name
+     * @throws {Error} PROFILE_NOT_FOUND, or PROFILE_READ_ONLY for profiles from a shared file
+     */
+    _checkOwnProfile(merged, layers, name) {
+        this._findProfile(merged.config, name);
+        
+        const definedIn = merged.sources.profiles[name].name;
+        if (definedIn === 'global' || definedIn === 'project') {
+            throw configError('PROFILE_READ_ONLY', `Profile "${name}" comes from ${layers[definedIn].file}, edit that file to rename or delete it`);
+        }
+    }
+    
+    /**
+     * Check the settings given for a profile
+     * @private
+     * @param {Object} settings - Profile settings
+     * @throws {Error} INVALID_PROFILE if a value has the wrong type
+     */
+    _checkProfileSettings(settings) {
+        const { valid, errors } = ConfigSchema.validateProfileSettings(settings);
+        if (!valid) {
+            throw configError('INVALID_PROFILE', `Invalid profile settings: ${describeErrors(errors)}`, errors);
+        }
+    }
+    
+    /**
+     * Flatten a profile into the project settings
+     * @private
+     * @param {Object} merged - Result of _mergeLayers()
+     * @param {Object} layers - Result of _readLayers()
+     * @param {Object} profile - Profile to apply
+     * @returns {Object} Configuration as returned by loadConfig()
+     */
+    _applyProfile(merged, layers, profile) {
+        const profileSources = merged.sources.profiles[profile.name];
+        
+        return {
+            ...merged.config,
+            profile: profile.name,
+            run_command: profile.run_command,
+            execute_automatically: profile.execute_automatically,
+            env: { ...profile.env },
+            sources: {
+                ...merged.sources,
+                run_command: profileSources.run_command,
+                execute_automatically: profileSources.execute_automatically,
+                env: { ...profileSources.env }
+            },
+            layers: [
+                { name: 'defaults' },
+                ...['global', 'project', 'user'].map(name => ({
+                    name,
+                    file: layers[name].file,
+                    exists: layers[name].exists,
+                    error: layers[name].error,
+                    errors: layers[name].errors,
+                    ...(name === 'project' ? { trusted: layers.project.trusted, ignored: layers.project.ignored } : {})
+                })),
+                { name: 'env', variables: layers.env.variables }
+            ]
+        };
+    }
+    
+    /**
+     * Load the merged configuration
+     * @param {string} profileName - Profile to apply (default: the project's default profile)
+     * @returns {Promise<Object>} Configuration data, with run_command, execute_automatically and env of the profile,
+     *     sources naming the layer each value came from (defaults, global, project, user or env) and the layer files
+     *     with their read and validation errors
+     * @throws {Error} PROFILE_NOT_FOUND if the named profile doesn't exist
+     */
+    async loadConfig(profileName = null) {
+        const { layers, merged } = await this._load();
+        const profile = this._findProfile(merged.config, profileName || merged.config.default_profile);
+        return this._applyProfile(merged, layers, profile);
+    }
+    
+    /**
+     * Save configuration to the per-user project file
+     * Profile settings go to the profile, which is created if missing; other keys are shared by all profiles.
+     * Only values that differ from the global and project files are stored, so shared changes still come through.
+     * @param {Object} config - New configuration data
+     * @param {string} profileName - Profile to save to (default: config.profile, then the default profile)
+     * @returns {Promise<Object>} Saved configuration as returned by loadConfig()
+     * @throws {Error} INVALID_CONFIG, INVALID_PROFILE, PROFILE_EXISTS or CONFIG_FILE_INVALID
+     */
+    saveConfig(config, profileName = null) {
+        return this._lockUserFile(async () => {
+            const { layers, merged } = await this._load();
+            const shared = this._mergeLayers([layers.global, layers.project]);
+            const user = layers.user;
+            
+            // Profiles are managed by the profile methods, sources and layers are only reported
+            const { profile: selectedProfile, profiles, default_profile: defaultProfile, sources, layers: layerList, ...changes } = config;
+            const name = profileName || selectedProfile || merged.config.default_profile;
+            
+            const profileSettings = pickProfileSettings(changes);
+            const projectSettings = {};
+            for (const [key, value] of Object.entries(changes)) {
+                if (!(key in PROFILE_DEFAULTS)) {
+                    projectSettings[key] = value;
+                }
+            }
+            
+            const errors = {
+                ...ConfigSchema.validateProfileSettings(profileSettings).errors,
+                ...ConfigSchema.validateSettings(projectSettings).errors
+            };
+            if (Object.keys(errors).length > 0) {
+                throw configError('INVALID_CONFIG', `Invalid configuration: ${describeErrors(errors)}`, errors);
+            }
+            
+            if (!merged.config.profiles.some(profile => profile.name === name)) {
+                this._checkNewProfileName(merged.config, name);
+            }
+            
+            let entry = user.profiles.find(profile => profile.name === name);
+            if (!entry) {
+                entry = { name };
+                user.profiles.push(entry);
+            }
+            
+            const sharedProfile = shared.config.profiles.find(profile => profile.name === name);
+            const baseProfile = sharedProfile || { name, ...PROFILE_DEFAULTS };
+            for (const key of ['run_command', 'execute_automatically']) {
+                if (profileSettings[key] === undefined) {
+                    continue;
+                }
+                if (ConfigSchema.sameValue(profileSettings[key], baseProfile[key])) {
+                    delete entry[key];
+                } else {
+                    entry[key] = profileSettings[key];
+                }
+            }
+            if (profileSettings.env) {
+                const env = {};
+                for (const [variable, value] of Object.entries(profileSettings.env)) {
+                    if (baseProfile.env[variable] !== value) {
+                        env[variable] = value;
+                    }
+                }
+                if (Object.keys(env).length > 0) {
+                    entry.env = env;
+                } else {
+                    delete entry.env;
+                }
+            }
+            
+            // A shared profile without overrides needs no entry of its own
+            if (sharedProfile && Object.keys(entry).length === 1) {
+                user.profiles = user.profiles.filter(profile => profile !== entry);
+            }
+            
+            for (const [key, value] of Object.entries(projectSettings)) {
+                if (value === null || ConfigSchema.sameValue(value, shared.config[key])) {
+                    delete user.settings[key];
+                } else {
+                    user.settings[key] = value;
+                }
+            }
+            
+            await this._writeUserLayer(user);
+            return this.loadConfig(name);
+        });
+    }
+    
+    /**
+     * Check if a profile exists
+     * @param {string} name - Profile name
+     * @returns {Promise<boolean>} True if the project has the profile
+     */
+    async hasProfile(name) {
+        const { merged } = await this._load();
+        return merged.config.profiles.some(profile => profile.name === name);
+    }
+    
+    /**
+     * List the profiles of the project
+     * @returns {Promise<Object>} { defaultProfile, profiles } with shared profiles first
+     */
+    async listProfiles() {
+        const { merged } = await this._load();
+        return {
+            defaultProfile: merged.config.default_profile,
+            profiles: merged.config.profiles
+        };
+    }
+    
+    /**
+     * Look up a profile after a change
+     * @private
+     * @param {string} name - Profile name
+     * @returns {Promise<Object>} The merged profile
+     */
+    async _reloadProfile(name) {
+        const { merged } = await this._load();
+        return this._findProfile(merged.config, name);
+    }
+    
+    /**
+     * Create a profile
+     * @param {string} name - Profile name
+     * @param {Object} settings - run_command, execute_automatically and env (optional)
+     * @returns {Promise<Object>} The new profile
+     * @throws {Error} INVALID_PROFILE or PROFILE_EXISTS
+     */
+    createProfile(name, settings = {}) {
+        return this._lockUserFile(async () => {
+            const { layers, merged } = await this._load();
+            this._checkNewProfileName(merged.config, name);
+            
+            const profileSettings = pickProfileSettings(settings);
+            this._checkProfileSettings(profileSettings);
+            
+            layers.user.profiles.push({ name, ...profileSettings });
+            
+            await this._writeUserLayer(layers.user);
+            return this._reloadProfile(name);
+        });
+    }
+    
+    /**
+     * Copy a profile under a new name
+     * Environment overrides are not copied
+     * @param {string} sourceName - Profile to copy
+     * @param {string} name - Name of the copy
+     * @returns {Promise<Object>} The new profile
+     * @throws {Error} PROFILE_NOT_FOUND, INVALID_PROFILE or PROFILE_EXISTS
+     */
+    cloneProfile(sourceName, name) {
+        return this._lockUserFile(async () => {
+            const layers = await this._readLayers();
+            const files = this._mergeLayers([layers.global, layers.project, layers.user]);
+            const source = this._findProfile(files.config, sourceName);
+            this._checkNewProfileName(files.config, name);
+            
+            layers.user.profiles.push({ ...source, name, env: { ...source.env } });
+            
+            await this._writeUserLayer(layers.user);
+            return this._reloadProfile(name);
+        });
+    }
+    
+    /**
+     * Rename a profile, keeping it the default if it was
+     * @param {string} name - Current name
+     * @param {string} newName - New name
+     * @returns {Promise<Object>} The renamed profile
+     * @throws {Error} PROFILE_NOT_FOUND, PROFILE_READ_ONLY, INVALID_PROFILE or PROFILE_EXISTS
+     */
+    renameProfile(name, newName) {
+        return this._lockUserFile(async () => {
+            const { layers, merged } = await this._load();
+            this._checkOwnProfile(merged, layers, name);
+            this._checkNewProfileName(merged.config, newName);
+            
+            const user = layers.user;
+            const entry = user.profiles.find(profile => profile.name === name);
+            if (entry) {
+                entry.name = newName;
+            } else {
+                // The built-in default profile has no entry yet
+                user.profiles.push({ name: newName });
+            }
+            if (user.default_profile === name) {
+                user.default_profile = newName;
+            }
+            
+            await this._writeUserLayer(user);
+            return this._reloadProfile(newName);
+        });
+    }
+    
+    /**
+     * Delete a profile
+     * The first remaining profile becomes the default when the default one is deleted
+     * @param {string} name - Profile name
+     * @returns {Promise<void>}
+     * @throws {Error} PROFILE_NOT_FOUND, PROFILE_READ_ONLY, or LAST_PROFILE for the only profile
+     */
+    deleteProfile(name) {
+        return this._lockUserFile(async () => {
+            const { layers, merged } = await this._load();
+            this._checkOwnProfile(merged, layers, name);
+            
+            if (merged.config.profiles.length === 1) {
+                throw configError('LAST_PROFILE', 'The last profile of a project cannot be deleted');
+            }
+            
+            const user = layers.user;
+            user.profiles = user.profiles.filter(profile => profile.name !== name);
+            if (user.default_profile === name) {
+                delete user.default_profile;
+            }
+            
+            await this._writeUserLayer(user);
+        });
+    }
+    
+    /**
+     * Make a profile the one used when none is chosen
+     * Auto-execution on new requests and the terminal's /run follow the default profile
+     * @param {string} name - Profile name
+     * @returns {Promise<void>}
+     * @throws {Error} PROFILE_NOT_FOUND
+     */
+    setDefaultProfile(name) {
+        return this._lockUserFile(async () => {
+            const { layers, merged } = await this._load();
+            this._findProfile(merged.config, name);
+            
+            const shared = this._mergeLayers([layers.global, layers.project]);
+            if (shared.config.default_profile === name) {
+                delete layers.user.default_profile;
+            } else {
+                layers.user.default_profile = name;
+            }
+            
+            await this._writeUserLayer(layers.user);
+        });
+    }
+    
+    /**
+     * Delete the per-user project file
      * Handle errors gracefully
      * @returns {Promise<void>}
      */
@@ -133,15 +894,18 @@ class ConfigManager {
         try {
             if (await fs.pathExists(configFile)) {
                 await fs.unlink(configFile);
-                console.log(`Config file deleted: ${configFile}`);
+                logger.info(`Config file deleted: ${configFile}`);
             } else {
-                console.log(`Config file doesn't exist: ${configFile}`);
+                logger.debug(`Config file doesn't exist: ${configFile}`);
             }
         } catch (error) {
-            console.warn(`Error deleting config file: ${error.message}`);
+            logger.warning(`Error deleting config file: ${error.message}`);
             throw error;
         }
     }
 }
 
+ConfigManager.DEFAULT_PROFILE_NAME = DEFAULT_PROFILE_NAME;
+ConfigManager.PROJECT_CONFIG_FILE = PROJECT_CONFIG_FILE;
+
 module.exports = ConfigManager;
\ No newline at end of file
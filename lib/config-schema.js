@@ -0,0 +1,274 @@
+/**
+ * Interactive Feedback MCP - Config Schema
+ * Versioned layout of the config files, with validation and migrations
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+// Layout written by this release, older files are migrated up to it when read
+const CONFIG_VERSION = 2;
+
+// Profile created for projects that have none yet, it takes over the old flat run_command
+const DEFAULT_PROFILE_NAME = 'default';
+
+// Profile names show up in URLs and menus, slashes and control characters are kept out
+const PROFILE_NAME_PATTERN = /^[^\x00-\x1f\x7f/\\]{1,64}$/;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Settings shared by all profiles of a project
+const SETTINGS = {
+    command_section_visible: { default: false, expected: 'true or false', check: value => typeof value === 'boolean' },
+    window_geometry: { default: null, expected: 'an object', check: value => isPlainObject(value) },
+    // Seconds before timeout_default_answer is sent, null uses the server default
+    feedback_timeout: { default: null, expected: 'a number of seconds, 0 or more', check: value => typeof value === 'number' && Number.isFinite(value) && value >= 0 },
+    timeout_default_answer: { default: null, expected: 'a string', check: value => typeof value === 'string' }
+};
+
+// Settings each profile carries on its own, env is checked variable by variable
+const PROFILE_SETTINGS = {
+    run_command: { default: '', expected: 'a string', check: value => typeof value === 'string' },
+    execute_automatically: { default: false, expected: 'true or false', check: value => typeof value === 'boolean' },
+    env: { default: {}, expected: 'an object of variable names to string values', check: value => isPlainObject(value) }
+};
+
+// Keys the Web UI used to save before it followed the file's naming
+const LEGACY_KEYS = {
+    command: 'run_command',
+    autoExecute: 'execute_automatically',
+    commandSectionVisible: 'command_section_visible'
+};
+
+// Upgrade from each version to the next, given the stored object and the layer it was read for
+const MIGRATIONS = {
+    // Flat files from before profiles: the command settings become the "default" profile
+    1: (stored, layer) => {
+        const renamed = { ...stored };
+
+        // Rename keys written by older Web UI versions, they won over the file's keys back then
+        for (const [legacyKey, key] of Object.entries(LEGACY_KEYS)) {
+            if (renamed[legacyKey] !== undefined) {
+                renamed[key] = renamed[legacyKey];
+            }
+            delete renamed[legacyKey];
+        }
+
+        // Per-user files of this version hold every default value, only changed ones are kept
+        const writtenWithDefaults = layer === 'user';
+        const migrated = { version: 2, profiles: [] };
+        const profile = {};
+
+        for (const [key, value] of Object.entries(renamed)) {
+            const definition = SETTINGS[key] || PROFILE_SETTINGS[key];
+            if (key === 'version' || (writtenWithDefaults && definition && ConfigSchema.sameValue(value, definition.default))) {
+                continue;
+            }
+            if (key in PROFILE_SETTINGS) {
+                profile[key] = value;
+            } else {
+                migrated[key] = value;
+            }
+        }
+
+        if (Object.keys(profile).length > 0) {
+            migrated.profiles.push({ name: DEFAULT_PROFILE_NAME, ...profile });
+        }
+        return migrated;
+    }
+};
+
+/**
+ * Config Schema Class
+ * Every config file (global, .feedbackrc.json and per-user) has the same layout:
+ * version, the project settings, default_profile and profiles. A null value leaves a setting unset.
+ * Files without a version are version 1 unless they already have profiles.
+ */
+class ConfigSchema {
+    /**
+     * Check a profile name
+     * @param {string} name - Profile name
+     * @returns {boolean} True if the name is allowed
+     */
+    static isValidProfileName(name) {
+        return typeof name === 'string' && name === name.trim() && PROFILE_NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Compare two JSON values
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if both serialize the same
+     */
+    static sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Bring a stored config up to the current version
+     * @param {Object} stored - Parsed file contents
+     * @param {string} layer - global, project or user
+     * @returns {Object} { config, version } with the version the file had
+     * @throws {Error} If the version is invalid or newer than this release reads
+     */
+    static migrate(stored, layer) {
+        const version = stored.version === undefined
+            ? (Array.isArray(stored.profiles) ? 2 : 1)
+            : stored.version;
+
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid config version: ${JSON.stringify(stored.version)}`);
+        }
+        if (version > CONFIG_VERSION) {
+            throw new Error(`Config version ${version} was written by a newer release, this one reads up to version ${CONFIG_VERSION}`);
+        }
+
+        let config = stored;
+        for (let from = version; from < CONFIG_VERSION; from++) {
+            config = MIGRATIONS[from](config, layer);
+        }
+        return { config, version };
+    }
+
+    /**
+     * Validate a config in the current layout
+     * Invalid entries are left out of the value so the rest of the file still applies
+     * @param {Object} config - Migrated config
+     * @returns {Object} { valid, errors, value } with errors keyed by path, e.g. "profiles[1].env.PORT"
+     */
+    static validate(config) {
+        const { version, default_profile: defaultProfile, profiles, ...settings } = config;
+        const errors = {};
+        const value = { version: CONFIG_VERSION, profiles: [] };
+
+        if (version !== undefined && version !== CONFIG_VERSION) {
+            errors.version = `must be ${CONFIG_VERSION}`;
+        }
+
+        if (defaultProfile !== undefined && defaultProfile !== null) {
+            if (ConfigSchema.isValidProfileName(defaultProfile)) {
+                value.default_profile = defaultProfile;
+            } else {
+                errors.default_profile = 'must be a profile name';
+            }
+        }
+
+        if (profiles !== undefined && !Array.isArray(profiles)) {
+            errors.profiles = 'must be an array of profiles';
+        }
+        (Array.isArray(profiles) ? profiles : []).forEach((profile, index) => {
+            const path = `profiles[${index}]`;
+
+            if (!isPlainObject(profile)) {
+                errors[path] = 'must be an object';
+                return;
+            }
+            if (!ConfigSchema.isValidProfileName(profile.name)) {
+                errors[`${path}.name`] = 'must be 1-64 characters, without slashes or surrounding spaces';
+                return;
+            }
+            if (value.profiles.some(candidate => candidate.name === profile.name)) {
+                errors[`${path}.name`] = `"${profile.name}" is already used by another profile`;
+                return;
+            }
+
+            const { name, ...profileSettings } = profile;
+            const checked = ConfigSchema.validateProfileSettings(profileSettings);
+            for (const [key, message] of Object.entries(checked.errors)) {
+                errors[`${path}.${key}`] = message;
+            }
+            value.profiles.push({ name, ...checked.value });
+        });
+
+        const checked = ConfigSchema.validateSettings(settings);
+        Object.assign(errors, checked.errors);
+        Object.assign(value, checked.value);
+
+        return { valid: Object.keys(errors).length === 0, errors, value };
+    }
+
+    /**
+     * Validate project settings
+     * @param {Object} settings - Settings shared by all profiles
+     * @returns {Object} { valid, errors, value } with errors keyed by setting name
+     */
+    static validateSettings(settings) {
+        const errors = {};
+        const value = {};
+
+        for (const [key, raw] of Object.entries(settings)) {
+            if (key in PROFILE_SETTINGS) {
+                errors[key] = 'belongs in a profile';
+            } else if (!(key in SETTINGS)) {
+                errors[key] = 'unknown setting';
+            } else if (raw === null || SETTINGS[key].check(raw)) {
+                value[key] = raw;
+            } else {
+                errors[key] = `must be ${SETTINGS[key].expected}`;
+            }
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors, value };
+    }
+
+    /**
+     * Validate the settings of one profile
+     * @param {Object} settings - run_command, execute_automatically and env
+     * @returns {Object} { valid, errors, value } with errors keyed by setting name, or env.<VARIABLE>
+     */
+    static validateProfileSettings(settings) {
+        const errors = {};
+        const value = {};
+
+        for (const [key, raw] of Object.entries(settings)) {
+            if (!(key in PROFILE_SETTINGS)) {
+                errors[key] = key in SETTINGS ? 'is a project setting, not a profile setting' : 'unknown profile setting';
+            } else if (raw === null) {
+                value[key] = raw;
+            } else if (!PROFILE_SETTINGS[key].check(raw)) {
+                errors[key] = `must be ${PROFILE_SETTINGS[key].expected}`;
+            } else if (key === 'env') {
+                value.env = {};
+                for (const [variable, variableValue] of Object.entries(raw)) {
+                    if (ENV_NAME_PATTERN.test(variable) && typeof variableValue === 'string') {
+                        value.env[variable] = variableValue;
+                    } else {
+                        errors[`env.${variable}`] = 'must be a variable name with a string value';
+                    }
+                }
+            } else {
+                value[key] = raw;
+            }
+        }
+
+        return { valid: Object.keys(errors).length === 0, errors, value };
+    }
+}
+
+/**
+ * Check for an object that is not an array
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Collect the built-in defaults of a group of settings
+ * @param {Object} definitions - SETTINGS or PROFILE_SETTINGS
+ * @returns {Object} Setting name -> default value
+ */
+function defaultsOf(definitions) {
+    const defaults = {};
+    for (const [key, definition] of Object.entries(definitions)) {
+        defaults[key] = definition.default;
+    }
+    return defaults;
+}
+
+ConfigSchema.VERSION = CONFIG_VERSION;
+ConfigSchema.DEFAULT_PROFILE_NAME = DEFAULT_PROFILE_NAME;
+ConfigSchema.DEFAULT_SETTINGS = Object.freeze(defaultsOf(SETTINGS));
+ConfigSchema.PROFILE_DEFAULTS = Object.freeze(defaultsOf(PROFILE_SETTINGS));
+
+module.exports = ConfigSchema;
@@ -0,0 +1,330 @@
+/**
+ * Interactive Feedback MCP - Daemon Client
+ * Connects the MCP server to the long-lived Web UI daemon, starting it on demand
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const Logger = require('./logger');
+
+const logger = Logger.getLogger('daemon-client');
+
+// Where the running daemon records its pid and port
+const CONFIG_DIR = path.join(os.homedir(), '.interactive-feedback-mcp');
+const STATE_FILE = path.join(CONFIG_DIR, 'daemon.json');
+
+// How long to wait for a freshly spawned daemon, and how often to look for it (ms)
+// A claim still without a port after START_TIMEOUT is left over from a daemon that never started
+const START_TIMEOUT = 10000;
+const START_POLL_INTERVAL = 200;
+
+/**
+ * Daemon Client Class
+ * One WebSocket per MCP server process; requests are multiplexed over it by id
+ */
+class DaemonClient {
+    /**
+     * Initialize Daemon Client
+     * @param {Object} options - Client options
+     * @param {string} options.webUIPath - Path to web-ui.js, spawned with --daemon when no daemon is running
+     * @param {string} options.stateFile - Daemon state file (default ~/.interactive-feedback-mcp/daemon.json)
+     */
+    constructor({ webUIPath, stateFile = STATE_FILE }) {
+        this.webUIPath = webUIPath;
+        this.stateFile = stateFile;
+        this.ws = null;
+        this.connecting = null;
+
+        // Requests waiting for a result, keyed by request id
+        this.pending = new Map();
+    }
+
+    /**
+     * Read the state of the running daemon
+     * @param {string} stateFile - Daemon state file (default ~/.interactive-feedback-mcp/daemon.json)
+     * @returns {Object|null} { pid, port, token, started_at } with a null port while the daemon starts,
+     *          or null when no live daemon is recorded
+     */
+    static readState(stateFile = STATE_FILE) {
+        try {
+            const state = fs.readJsonSync(stateFile);
+            process.kill(state.pid, 0);
+
+            // The pid may have died and been reused, a claim that never got a port is not trusted for long
+            if (!state.port && !(Date.now() - Date.parse(state.started_at) < START_TIMEOUT)) {
+                return null;
+            }
+            return state;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Connect to the daemon, starting it if needed
+     * Concurrent callers share one connection attempt
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            return;
+        }
+
+        if (!this.connecting) {
+            this.connecting = this.establish().finally(() => {
+                this.connecting = null;
+            });
+        }
+
+        return this.connecting;
+    }
+
+    /**
+     * Open a connection to a running daemon or spawn one and wait for it
+     * @returns {Promise<void>}
+     */
+    async establish() {
+        const state = DaemonClient.readState(this.stateFile);
+        let unreachable = null;
+        if (state && state.port) {
+            try {
+                await this.open(state.port, state.token);
+                return;
+            } catch (error) {
+                logger.warning('Recorded daemon is not reachable, starting a new one', { port: state.port, error: error.message });
+                unreachable = state.pid;
+            }
+        }
+
+        // A daemon that is still starting records its port shortly
+        let spawned = false;
+        if (!state || unreachable) {
+            this.spawnDaemon();
+            spawned = true;
+        }
+
+        const deadline = Date.now() + START_TIMEOUT;
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, START_POLL_INTERVAL));
+
+            const started = DaemonClient.readState(this.stateFile);
+
+            // The daemon we waited on died or its claim went stale
+            if (!started && !spawned) {
+                this.spawnDaemon();
+                spawned = true;
+            }
+            if (started && started.port && started.pid !== unreachable) {
+                await this.open(started.port, started.token);
+                return;
+            }
+        }
+
+        throw new Error(`Feedback UI daemon did not start within ${START_TIMEOUT / 1000}s, see ${path.join(CONFIG_DIR, 'daemon.log')}`);
+    }
+
+    /**
+     * Start web-ui.js --daemon detached, so it outlives this process
+     * Its diagnostics go to IFM_LOG_FILE, or daemon.log in the config directory
+     */
+    spawnDaemon() {
+        fs.ensureDirSync(CONFIG_DIR);
+
+        const child = spawn(process.execPath, [this.webUIPath, '--daemon'], {
+            detached: true,
+            stdio: 'ignore',
+            env: {
+                ...process.env,
+                IFM_LOG_FILE: process.env.IFM_LOG_FILE || path.join(CONFIG_DIR, 'daemon.log')
+            }
+        });
+        child.unref();
+
+        logger.info('Started feedback UI daemon', { pid: child.pid });
+    }
+
+    /**
+     * Open the agent WebSocket of a daemon
+     * @param {number} port - Daemon port
+     * @param {string} token - Session token from the state file
+     * @returns {Promise<void>}
+     */
+    open(port, token) {
+        return new Promise((resolve, reject) => {
+            // Daemons from before session tokens record none and only accept the bare path
+            const query = token ? `?token=${encodeURIComponent(token)}` : '';
+            const ws = new WebSocket(`ws://localhost:${port}/agent${query}`);
+
+            ws.once('open', () => {
+                this.ws = ws;
+                ws.on('message', (data) => this.handleMessage(data));
+                ws.on('close', () => this.handleClose(ws));
+                logger.debug('Connected to feedback UI daemon', { port });
+                resolve();
+            });
+
+            ws.once('error', (error) => {
+                if (this.ws !== ws) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Ask the daemon for feedback and wait for the answer
+     * @param {Object} params - Request fields
+     * @param {string} params.projectDirectory - Project directory
+     * @param {string} params.prompt - Prompt shown to the user
+     * @param {Object} params.interaction - Structured question (optional)
+     * @param {Object} params.timeout - { seconds, defaultAnswer } (optional)
+     * @param {string} params.agentName - MCP client name shown on the inbox tab (optional)
+     * @param {Object} options - Wait options
+     * @param {Function} options.onProgress - Called with status messages from the UI (optional)
+     * @param {Function} options.onBrowserUnavailable - Called once with the UI address when no browser could be opened (optional)
+     * @param {Function} options.onLog - Called with the daemon's log entries about this request (optional)
+     * @param {AbortSignal} options.signal - Withdraws the request from the UI (optional)
+     * @returns {Promise<Object>} Feedback result
+     */
+    async request(params, { onProgress = null, onBrowserUnavailable = null, onLog = null, signal = null } = {}) {
+        await this.connect();
+
+        const id = crypto.randomUUID();
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                const reason = typeof signal.reason === 'string' ? signal.reason : 'Request cancelled by agent';
+                this.pending.delete(id);
+                this.send({ type: 'cancel', id, reason });
+                reject(new Error(reason));
+            };
+
+            if (signal) {
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            this.pending.set(id, {
+                resolve,
+                reject,
+                onProgress,
+                onBrowserUnavailable,
+                onLog,
+                cleanup: () => signal && signal.removeEventListener('abort', onAbort)
+            });
+
+            this.send({ type: 'request', id, ...params });
+        });
+    }
+
+    /**
+     * Send a message to the daemon
+     * @param {Object} message - Message
+     */
+    send(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.ws.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Handle a message from the daemon
+     * @param {Buffer} data - Raw message
+     */
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            logger.warning('Invalid message from feedback UI daemon', error);
+            return;
+        }
+
+        // Daemon diagnostics about one of our requests, already written to its own log.
+        // Only the caller that made the request gets them: one client may serve several MCP sessions
+        if (message.type === 'log') {
+            const pending = this.pending.get(message.id);
+            if (pending && pending.onLog) {
+                pending.onLog(message.entry);
+            }
+            return;
+        }
+
+        // Not tied to one request: every request still waiting has no browser showing it
+        if (message.type === 'browserUnavailable') {
+            for (const pending of this.pending.values()) {
+                if (pending.onBrowserUnavailable) {
+                    const notify = pending.onBrowserUnavailable;
+                    pending.onBrowserUnavailable = null;
+                    notify(message.url);
+                }
+            }
+            return;
+        }
+
+        const pending = this.pending.get(message.id);
+        if (!pending) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'progress':
+                if (pending.onProgress) {
+                    pending.onProgress(message.message);
+                }
+                break;
+
+            case 'result':
+                this.pending.delete(message.id);
+                pending.cleanup();
+                pending.resolve(message.result);
+                break;
+
+            case 'error':
+                this.pending.delete(message.id);
+                pending.cleanup();
+                pending.reject(new Error(message.error));
+                break;
+        }
+    }
+
+    /**
+     * Fail requests still waiting when the daemon goes away
+     * @param {WebSocket} ws - Connection that closed
+     */
+    handleClose(ws) {
+        if (this.ws !== ws) {
+            return;
+        }
+        this.ws = null;
+
+        for (const [id, pending] of this.pending) {
+            this.pending.delete(id);
+            pending.cleanup();
+            pending.reject(new Error('Feedback UI daemon closed the connection'));
+        }
+    }
+
+    /**
+     * Close the connection; the daemon keeps running for other servers
+     */
+    close() {
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+}
+
+DaemonClient.STATE_FILE = STATE_FILE;
+
+module.exports = DaemonClient;
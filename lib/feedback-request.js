@@ -0,0 +1,203 @@
+/**
+ * Interactive Feedback MCP - Feedback Request
+ * State of one pending request in the Web UI daemon
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const crypto = require('crypto');
+const ConfigManager = require('./config-manager');
+const ProcessManager = require('./process-manager');
+const GitIgnoreParser = require('./gitignore-parser');
+
+/**
+ * Feedback Request Class
+ * Holds the prompt, project managers, attachments and countdown of a request,
+ * and settles once it is answered, times out or is cancelled
+ */
+class FeedbackRequest {
+    /**
+     * Initialize Feedback Request
+     * @param {Object} options - Request options
+     * @param {string} options.id - Request id (default: random UUID)
+     * @param {string} options.projectDirectory - Project directory
+     * @param {string} options.prompt - Prompt shown to the user
+     * @param {Object} options.interaction - Structured question rendered with the prompt (optional)
+     * @param {Object} options.timeout - { seconds, defaultAnswer } submitted for the user when the countdown ends (optional)
+     * @param {string} options.agentName - Name of the MCP client that asked, shown on the inbox tab (optional)
+     * @param {Array<string>} options.predefinedOptions - Quick replies shown as chips above the feedback box (optional)
+     * @param {Function} options.onProgress - Called with status messages for the agent (optional)
+     */
+    constructor({ id, projectDirectory, prompt, interaction = null, timeout = null, agentName = null, predefinedOptions = null, onProgress = null }) {
+        this.id = id || crypto.randomUUID();
+        this.projectDirectory = projectDirectory || process.cwd();
+        this.prompt = prompt || 'I implemented the changes you requested.';
+        this.interaction = interaction;
+        this.timeout = timeout;
+        this.agentName = agentName;
+        this.predefinedOptions = Array.isArray(predefinedOptions) ? predefinedOptions : [];
+        this.onProgress = onProgress;
+        this.createdAt = new Date().toISOString();
+
+        // Commands, config and file browsing are scoped to the request's project
+        this.configManager = new ConfigManager(this.projectDirectory);
+        this.processManager = new ProcessManager();
+        this.gitIgnoreParser = new GitIgnoreParser(this.projectDirectory);
+
+        // Images attached to the feedback, keyed by upload id
+        this.images = new Map();
+
+        // Countdown end (epoch ms) and its timer, set once the request is queued
+        this.deadline = null;
+        this.timeoutTimer = null;
+
+        // Settled with the feedback result, or rejected when cancelled
+        this.result = null;
+        this.promise = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+
+        // Callers that only cancel must not see an unhandled rejection
+        this.promise.catch(() => {});
+    }
+
+    /**
+     * Check if the request was answered, timed out or cancelled
+     * @returns {boolean} True once settled
+     */
+    isSettled() {
+        return this.result !== null;
+    }
+
+    /**
+     * Pass a status message to the agent waiting on this request
+     * @param {string} message - Progress message
+     */
+    reportProgress(message) {
+        if (this.onProgress && !this.isSettled()) {
+            this.onProgress(message);
+        }
+    }
+
+    /**
+     * Start the countdown, if the request has a timeout
+     * @param {Function} onExpire - Called when the countdown ends
+     */
+    startTimeout(onExpire) {
+        if (!this.timeout || !(this.timeout.seconds > 0)) {
+            return;
+        }
+
+        this.onExpire = onExpire;
+        this.deadline = Date.now() + this.timeout.seconds * 1000;
+        this.scheduleTimeout();
+    }
+
+    /**
+     * (Re)arm the timer for the current deadline
+     */
+    scheduleTimeout() {
+        clearTimeout(this.timeoutTimer);
+        this.timeoutTimer = setTimeout(() => {
+            this.onExpire(this);
+        }, Math.max(this.deadline - Date.now(), 0));
+    }
+
+    /**
+     * Push the deadline back
+     * @param {number} seconds - Seconds to add
+     */
+    extendTimeout(seconds) {
+        this.deadline += seconds * 1000;
+        this.scheduleTimeout();
+    }
+
+    /**
+     * Get countdown state for the browser
+     * @returns {Object|null} { remaining_ms, default_answer }, or null without a timeout
+     */
+    getTimeoutState() {
+        if (!this.deadline) {
+            return null;
+        }
+
+        return {
+            remaining_ms: Math.max(this.deadline - Date.now(), 0),
+            default_answer: this.timeout.defaultAnswer
+        };
+    }
+
+    /**
+     * Build the result sent when the countdown ends
+     * @returns {Object} Feedback result with the default answer
+     */
+    buildTimeoutResult() {
+        const result = {
+            command_logs: this.processManager.getLogs(),
+            interactive_feedback: this.timeout.defaultAnswer,
+            timed_out: true
+        };
+
+        if (this.interaction) {
+            result.interaction = null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Settle with a feedback result
+     * @param {Object} result - Feedback result
+     */
+    complete(result) {
+        if (this.isSettled()) {
+            return;
+        }
+
+        this.result = result;
+        this.dispose();
+        this.resolve(result);
+    }
+
+    /**
+     * Settle as cancelled
+     * @param {string} reason - Cancellation reason
+     */
+    cancel(reason) {
+        if (this.isSettled()) {
+            return;
+        }
+
+        this.result = { cancelled: true, reason };
+        this.processManager.stopCommand();
+        this.dispose();
+        this.reject(new Error(reason));
+    }
+
+    /**
+     * Stop the countdown and release the command runner
+     */
+    dispose() {
+        clearTimeout(this.timeoutTimer);
+        this.processManager.cleanup();
+    }
+
+    /**
+     * Describe the request for the browser inbox
+     * @returns {Object} Inbox entry
+     */
+    describe() {
+        return {
+            id: this.id,
+            project_directory: this.projectDirectory,
+            title: this.prompt.split('\n')[0].trim().substring(0, 120),
+            type: this.interaction ? this.interaction.type : 'feedback',
+            agent_name: this.agentName,
+            created_at: this.createdAt
+        };
+    }
+}
+
+module.exports = FeedbackRequest;
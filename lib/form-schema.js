@@ -0,0 +1,223 @@
+/**
+ * Interactive Feedback MCP - Form Schema
+ * JSON Schema subset used by the ask_form tool
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+// Field types the form can render
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'array'];
+const ITEM_TYPES = ['string', 'number', 'integer'];
+
+/**
+ * Form Schema Class
+ * Checks that a schema stays within the supported subset and validates submitted values against it.
+ *
+ * Supported: a top-level object whose properties are string, number, integer or boolean fields,
+ * enums of strings or numbers, and arrays of those scalars. Keywords: title, description, default,
+ * enum, required, minLength, maxLength, pattern, minimum, maximum, items, minItems, maxItems.
+ */
+class FormSchema {
+    /**
+     * Initialize Form Schema
+     * @param {Object} schema - JSON Schema for the form
+     * @throws {Error} If the schema uses unsupported features
+     */
+    constructor(schema) {
+        this.schema = schema;
+        this.assertSupported();
+    }
+
+    /**
+     * Throw if the schema is outside the supported subset
+     */
+    assertSupported() {
+        const schema = this.schema;
+
+        if (!schema || schema.type !== 'object' || !schema.properties || typeof schema.properties !== 'object') {
+            throw new Error('schema must be an object schema with properties');
+        }
+
+        const names = Object.keys(schema.properties);
+        if (names.length === 0) {
+            throw new Error('schema must define at least one property');
+        }
+
+        if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(name => !names.includes(name)))) {
+            throw new Error('schema.required must list defined properties');
+        }
+
+        for (const name of names) {
+            const field = schema.properties[name];
+
+            if (!field || !FIELD_TYPES.includes(field.type)) {
+                throw new Error(`${name}: type must be one of ${FIELD_TYPES.join(', ')}`);
+            }
+
+            if (field.enum !== undefined && (!Array.isArray(field.enum) || field.enum.length === 0)) {
+                throw new Error(`${name}: enum must be a non-empty array`);
+            }
+
+            if (field.pattern !== undefined) {
+                try {
+                    new RegExp(field.pattern);
+                } catch (error) {
+                    throw new Error(`${name}: invalid pattern`);
+                }
+            }
+
+            if (field.type === 'array') {
+                if (!field.items || !ITEM_TYPES.includes(field.items.type)) {
+                    throw new Error(`${name}: items.type must be one of ${ITEM_TYPES.join(', ')}`);
+                }
+                if (field.items.enum !== undefined && (!Array.isArray(field.items.enum) || field.items.enum.length === 0)) {
+                    throw new Error(`${name}: items.enum must be a non-empty array`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Validate submitted values
+     * Empty optional fields are dropped and defaults applied, numeric strings are coerced
+     * @param {Object} values - Values submitted from the form
+     * @returns {Object} { valid, errors: { field: message }, value }
+     */
+    validate(values) {
+        const input = values && typeof values === 'object' ? values : {};
+        const required = this.schema.required || [];
+        const errors = {};
+        const value = {};
+
+        for (const [name, field] of Object.entries(this.schema.properties)) {
+            let fieldValue = input[name];
+
+            if (isEmpty(fieldValue) && field.default !== undefined) {
+                fieldValue = field.default;
+            }
+
+            if (isEmpty(fieldValue)) {
+                if (required.includes(name)) {
+                    errors[name] = 'This field is required';
+                }
+                continue;
+            }
+
+            const result = field.type === 'array'
+                ? validateArray(field, fieldValue)
+                : validateScalar(field, fieldValue);
+
+            if (result.error) {
+                errors[name] = result.error;
+            } else {
+                value[name] = result.value;
+            }
+        }
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors,
+            value
+        };
+    }
+}
+
+/**
+ * Check if a submitted value counts as not filled in
+ * @param {*} value - Submitted value
+ * @returns {boolean} True if empty
+ */
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Validate a string, number, integer or boolean value
+ * @param {Object} field - Field schema
+ * @param {*} raw - Submitted value
+ * @returns {Object} { value } or { error }
+ */
+function validateScalar(field, raw) {
+    let value = raw;
+
+    switch (field.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return { error: 'Must be text' };
+            }
+            if (field.minLength !== undefined && value.length < field.minLength) {
+                return { error: `Must be at least ${field.minLength} characters` };
+            }
+            if (field.maxLength !== undefined && value.length > field.maxLength) {
+                return { error: `Must be at most ${field.maxLength} characters` };
+            }
+            if (field.pattern !== undefined && !new RegExp(field.pattern).test(value)) {
+                return { error: `Must match ${field.pattern}` };
+            }
+            break;
+
+        case 'number':
+        case 'integer':
+            if (typeof value === 'string' && value.trim() !== '') {
+                value = Number(value);
+            }
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                return { error: 'Must be a number' };
+            }
+            if (field.type === 'integer' && !Number.isInteger(value)) {
+                return { error: 'Must be a whole number' };
+            }
+            if (field.minimum !== undefined && value < field.minimum) {
+                return { error: `Must be at least ${field.minimum}` };
+            }
+            if (field.maximum !== undefined && value > field.maximum) {
+                return { error: `Must be at most ${field.maximum}` };
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return { error: 'Must be true or false' };
+            }
+            break;
+    }
+
+    if (field.enum !== undefined && !field.enum.includes(value)) {
+        return { error: `Must be one of ${field.enum.join(', ')}` };
+    }
+
+    return { value };
+}
+
+/**
+ * Validate an array of scalars
+ * @param {Object} field - Field schema
+ * @param {*} raw - Submitted value
+ * @returns {Object} { value } or { error }
+ */
+function validateArray(field, raw) {
+    if (!Array.isArray(raw)) {
+        return { error: 'Must be a list' };
+    }
+
+    if (field.minItems !== undefined && raw.length < field.minItems) {
+        return { error: `Must have at least ${field.minItems} item(s)` };
+    }
+    if (field.maxItems !== undefined && raw.length > field.maxItems) {
+        return { error: `Must have at most ${field.maxItems} item(s)` };
+    }
+
+    const value = [];
+    for (let index = 0; index < raw.length; index++) {
+        const result = validateScalar(field.items, raw[index]);
+        if (result.error) {
+            return { error: `Item ${index + 1}: ${result.error}` };
+        }
+        value.push(result.value);
+    }
+
+    return { value };
+}
+
+module.exports = FormSchema;
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const Logger = require('./logger');
+
+const logger = Logger.getLogger('gitignore-parser');
 
 /**
  * GitIgnore Parser - Utility to parse .gitignore files and check if files/folders should be ignored
@@ -23,7 +26,7 @@ class GitIgnoreParser {
                 this.patterns = this.parseGitIgnore(content);
             }
         } catch (error) {
-            console.warn('Warning: Could not read .gitignore file:', error.message);
+            logger.warning('Could not read .gitignore file', error);
         }
     }
 
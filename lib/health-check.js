@@ -0,0 +1,284 @@
+/**
+ * Interactive Feedback MCP - Health Check
+ * Diagnostics behind `node server.js --health-check`
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs-extra');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const dotenv = require('dotenv');
+const DaemonClient = require('./daemon-client');
+const SpeechProvider = require('./speech-provider');
+
+// Ports the Web UI tries, in order
+const UI_PORT_START = 3636;
+const UI_PORT_COUNT = 10;
+
+/**
+ * Health Check Class
+ * Runs each check independently and collects pass/warn/fail results
+ */
+class HealthCheck {
+    /**
+     * Initialize Health Check
+     * @param {Object} options - Check options
+     * @param {string} options.envPath - Path to the .env file
+     * @param {Function} options.createServer - Returns an MCPServer for the protocol round-trip
+     * @param {Array<string>} options.protocolVersions - Supported protocol revisions, newest first
+     * @param {string} options.configDir - User config directory (default ~/.interactive-feedback-mcp)
+     * @param {string} options.daemonStateFile - Web UI daemon state file (default ~/.interactive-feedback-mcp/daemon.json)
+     */
+    constructor({ envPath, createServer, protocolVersions, configDir = path.join(os.homedir(), '.interactive-feedback-mcp'), daemonStateFile = DaemonClient.STATE_FILE }) {
+        this.envPath = envPath;
+        this.createServer = createServer;
+        this.protocolVersions = protocolVersions;
+        this.configDir = configDir;
+        this.daemonStateFile = daemonStateFile;
+
+        this.checks = [
+            { name: 'node', title: 'Node.js version', run: () => this.checkNodeVersion() },
+            { name: 'env', title: '.env file', run: () => this.checkEnvFile() },
+            { name: 'speech', title: 'Speech provider', run: () => this.checkSpeechProvider() },
+            { name: 'daemon', title: 'Web UI daemon', run: () => this.checkDaemon() },
+            { name: 'ports', title: `Web UI ports ${UI_PORT_START}-${UI_PORT_START + UI_PORT_COUNT - 1}`, run: () => this.checkPorts() },
+            { name: 'config_dir', title: 'Config directory', run: () => this.checkConfigDirectory() },
+            { name: 'protocol', title: 'MCP round-trip', run: () => this.checkProtocol() }
+        ];
+    }
+
+    /**
+     * Run all checks
+     * @returns {Promise<Object>} Report with overall status and per-check results
+     */
+    async run() {
+        const results = [];
+
+        for (const check of this.checks) {
+            try {
+                const result = await check.run();
+                results.push({ name: check.name, title: check.title, ...result });
+            } catch (error) {
+                results.push({ name: check.name, title: check.title, status: 'fail', message: error.message });
+            }
+        }
+
+        const failed = results.filter(result => result.status === 'fail').length;
+        const warnings = results.filter(result => result.status === 'warn').length;
+
+        return {
+            status: failed > 0 ? 'fail' : (warnings > 0 ? 'warn' : 'pass'),
+            failed,
+            warnings,
+            checked_at: new Date().toISOString(),
+            checks: results
+        };
+    }
+
+    /**
+     * Check the running Node.js version against package.json engines
+     * @returns {Promise<Object>} Check result
+     */
+    async checkNodeVersion() {
+        const packageJson = await fs.readJson(path.join(__dirname, '..', 'package.json'));
+        const required = (packageJson.engines && packageJson.engines.node) || '>=18.0.0';
+        const minimumMajor = parseInt(required.replace(/[^\d.]/g, ''), 10);
+        const currentMajor = parseInt(process.versions.node, 10);
+
+        return {
+            status: currentMajor >= minimumMajor ? 'pass' : 'fail',
+            message: `${process.version} (requires ${required})`
+        };
+    }
+
+    /**
+     * Check that the .env file exists and parses
+     * @returns {Promise<Object>} Check result
+     */
+    async checkEnvFile() {
+        if (!await fs.pathExists(this.envPath)) {
+            return {
+                status: 'warn',
+                message: `Not found at ${this.envPath}, using process environment only`
+            };
+        }
+
+        const parsed = dotenv.parse(await fs.readFile(this.envPath, 'utf8'));
+        return {
+            status: 'pass',
+            message: `Loaded ${Object.keys(parsed).length} variable(s) from ${this.envPath}`
+        };
+    }
+
+    /**
+     * Validate the speech-to-text settings
+     * @returns {Promise<Object>} Check result
+     */
+    async checkSpeechProvider() {
+        let provider;
+        try {
+            provider = SpeechProvider.fromEnvironment();
+        } catch (error) {
+            return { status: 'fail', message: error.message };
+        }
+
+        if (!provider) {
+            return { status: 'pass', message: 'Disabled, voice input needs IFM_SPEECH_PROVIDER or OPENAI_API_KEY' };
+        }
+
+        const problem = await provider.check();
+        if (problem) {
+            return { status: 'fail', message: problem };
+        }
+
+        return { status: 'pass', message: provider.describe() };
+    }
+
+    /**
+     * Report whether the Web UI daemon is running
+     * @returns {Promise<Object>} Check result
+     */
+    async checkDaemon() {
+        const state = DaemonClient.readState(this.daemonStateFile);
+
+        if (!state) {
+            return { status: 'pass', message: 'Not running, started on the first feedback request' };
+        }
+
+        // The session token grants access to the UI, keep it out of reports
+        const { token, ...details } = state;
+
+        if (!details.port) {
+            return { status: 'pass', message: `Starting (pid ${details.pid})`, details };
+        }
+
+        return {
+            status: 'pass',
+            message: `Running at http://localhost:${details.port} (pid ${details.pid}) since ${details.started_at}`,
+            details
+        };
+    }
+
+    /**
+     * Check which Web UI ports are free
+     * The running daemon's own port doesn't count as busy
+     * @returns {Promise<Object>} Check result
+     */
+    async checkPorts() {
+        const busy = [];
+        const state = DaemonClient.readState(this.daemonStateFile);
+
+        for (let port = UI_PORT_START; port < UI_PORT_START + UI_PORT_COUNT; port++) {
+            if ((!state || state.port !== port) && !await isPortFree(port)) {
+                busy.push(port);
+            }
+        }
+
+        if (busy.length === 0) {
+            return { status: 'pass', message: 'All ports are free' };
+        }
+
+        return {
+            status: busy.length === UI_PORT_COUNT ? 'fail' : 'warn',
+            message: `In use: ${busy.join(', ')}`,
+            details: { busy }
+        };
+    }
+
+    /**
+     * Check write access to the user config directory
+     * @returns {Promise<Object>} Check result
+     */
+    async checkConfigDirectory() {
+        await fs.ensureDir(this.configDir);
+
+        const probeFile = path.join(this.configDir, `.health-check-${process.pid}`);
+        await fs.writeFile(probeFile, 'ok');
+        await fs.remove(probeFile);
+
+        return { status: 'pass', message: `${this.configDir} is writable` };
+    }
+
+    /**
+     * Run initialize and tools/list against an in-process server
+     * @returns {Promise<Object>} Check result
+     */
+    async checkProtocol() {
+        const server = this.createServer();
+
+        try {
+            const initialize = await server.handleRequest({
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'initialize',
+                params: {
+                    protocolVersion: this.protocolVersions[0],
+                    capabilities: {},
+                    clientInfo: { name: 'health-check', version: '1.0.0' }
+                }
+            });
+            if (initialize.error) {
+                throw new Error(`initialize failed: ${initialize.error.message}`);
+            }
+
+            const toolsList = await server.handleRequest({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+            if (toolsList.error) {
+                throw new Error(`tools/list failed: ${toolsList.error.message}`);
+            }
+
+            const tools = toolsList.result.tools.map(tool => tool.name);
+            return {
+                status: tools.includes('interactive_feedback') ? 'pass' : 'fail',
+                message: `Protocol ${initialize.result.protocolVersion}, tools: ${tools.join(', ')}`
+            };
+        } finally {
+            server.close();
+        }
+    }
+
+    /**
+     * Format a report for the terminal
+     * @param {Object} report - Report from run()
+     * @returns {string} Human-readable report
+     */
+    static formatReport(report) {
+        const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+        const width = Math.max(...report.checks.map(check => check.title.length));
+
+        const lines = [
+            'Interactive Feedback MCP - Health Check',
+            '',
+            ...report.checks.map(check => `${icons[check.status]} ${check.title.padEnd(width)}  ${check.message}`),
+            ''
+        ];
+
+        if (report.status === 'fail') {
+            lines.push(`Unhealthy: ${report.failed} check(s) failed, ${report.warnings} warning(s)`);
+        } else if (report.status === 'warn') {
+            lines.push(`Healthy with ${report.warnings} warning(s)`);
+        } else {
+            lines.push('Healthy');
+        }
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Check if a TCP port can be bound
+ * @param {number} port - Port number
+ * @returns {Promise<boolean>} True if the port is free
+ */
+function isPortFree(port) {
+    return new Promise((resolve) => {
+        const tester = net.createServer();
+        tester.once('error', () => resolve(false));
+        tester.once('listening', () => tester.close(() => resolve(true)));
+        tester.listen(port);
+    });
+}
+
+module.exports = HealthCheck;
@@ -0,0 +1,144 @@
+/**
+ * Interactive Feedback MCP - History Manager
+ * Keeps a record of completed feedback rounds
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const Logger = require('./logger');
+const SafeFile = require('./safe-file');
+
+const logger = Logger.getLogger('history-manager');
+
+/**
+ * History Manager Class
+ * Persists feedback rounds (prompt, feedback, command logs) across all projects
+ */
+class HistoryManager {
+    /**
+     * Initialize History Manager
+     * @param {Object} options - Options
+     * @param {number} options.maxEntries - Maximum number of rounds to keep (default 100)
+     */
+    constructor(options = {}) {
+        this.historyDir = path.join(os.homedir(), '.interactive-feedback-mcp');
+        this.historyFile = path.join(this.historyDir, 'feedback-history.json');
+        this.maxEntries = options.maxEntries || 100;
+    }
+
+    /**
+     * Load all history entries, newest first
+     * Returns empty list if history file doesn't exist or can't be read
+     * @returns {Promise<Array>} History entries
+     */
+    async loadHistory() {
+        try {
+            return await this._readHistoryFile();
+        } catch (error) {
+            logger.warning(`Error reading history file: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Read the history file as it is on disk
+     * @private
+     * @returns {Promise<Array>} History entries, empty if the file doesn't exist yet
+     * @throws {Error} If the file can't be read or doesn't hold a list
+     */
+    async _readHistoryFile() {
+        if (!await fs.pathExists(this.historyFile)) {
+            return [];
+        }
+
+        const history = await fs.readJson(this.historyFile);
+        if (!Array.isArray(history)) {
+            throw new Error(`${this.historyFile} does not contain a list of entries`);
+        }
+        return history;
+    }
+
+    /**
+     * Record a completed feedback round
+     * @param {Object} round - Feedback round
+     * @param {string} round.projectDirectory - Project directory
+     * @param {string} round.summary - Summary sent by the agent
+     * @param {string} round.feedback - Feedback given by the user
+     * @param {string} round.commandLogs - Logs of commands run during the round
+     * @param {Object} round.interaction - Answer to a structured question (optional)
+     * @returns {Promise<Object>} Stored entry
+     * @throws {Error} If the history file exists but can't be read, so it isn't replaced
+     */
+    async addEntry({ projectDirectory, summary, feedback, commandLogs, interaction }) {
+        const entry = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            projectDirectory: projectDirectory || '',
+            summary: summary || '',
+            feedback: feedback || '',
+            commandLogs: commandLogs || ''
+        };
+
+        // Answer to a structured question such as ask_choice
+        if (interaction) {
+            entry.interaction = interaction;
+        }
+
+        // Every MCP server appends to the same file: take turns, and write it whole or not at all
+        await SafeFile.withLock(this.historyFile, async () => {
+            const history = await this._readHistoryFile();
+            history.unshift(entry);
+
+            await fs.ensureDir(this.historyDir);
+            await SafeFile.writeAtomic(this.historyFile, JSON.stringify(history.slice(0, this.maxEntries), null, 2) + '\n');
+        });
+
+        return entry;
+    }
+
+    /**
+     * Get a single history entry
+     * @param {string} id - Entry ID
+     * @returns {Promise<Object|null>} Entry or null if not found
+     */
+    async getEntry(id) {
+        const history = await this.loadHistory();
+        return history.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Get the most recent history entry
+     * @returns {Promise<Object|null>} Latest entry or null if history is empty
+     */
+    async getLatestEntry() {
+        const history = await this.loadHistory();
+        return history[0] || null;
+    }
+
+    /**
+     * Get the rounds of one project, newest first
+     * @param {string} projectDirectory - Project directory
+     * @param {number} limit - Maximum number of rounds to return (optional)
+     * @returns {Promise<Array>} History entries of the project
+     */
+    async getProjectEntries(projectDirectory, limit = this.maxEntries) {
+        const history = await this.loadHistory();
+        return history.filter(entry => entry.projectDirectory === projectDirectory).slice(0, limit);
+    }
+
+    /**
+     * Get all project directories that appear in history
+     * @returns {Promise<Array<string>>} Unique project directories
+     */
+    async getProjects() {
+        const history = await this.loadHistory();
+        return [...new Set(history.map(entry => entry.projectDirectory).filter(Boolean))];
+    }
+}
+
+module.exports = HistoryManager;
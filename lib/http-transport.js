@@ -0,0 +1,346 @@
+/**
+ * Interactive Feedback MCP - Streamable HTTP Transport
+ * Serves MCP over HTTP POST with Server-Sent Events responses
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const Logger = require('./logger');
+
+const logger = Logger.getLogger('http-transport');
+
+// Sessions without requests or an open stream for this long are closed as if the client sent DELETE (ms)
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * HTTP Transport Class
+ * Implements the MCP Streamable HTTP transport on a single /mcp endpoint.
+ * Each client session gets its own MCPServer instance so that several agents
+ * can share one server process.
+ */
+class HttpTransport {
+    /**
+     * Initialize HTTP Transport
+     * @param {Object} options - Transport options
+     * @param {Function} options.createServer - Factory called with a send function, returns an MCPServer
+     * @param {number} options.port - Port to listen on (default 3700)
+     * @param {string} options.host - Host to bind to (default 127.0.0.1)
+     * @param {Array<string>} options.protocolVersions - Accepted MCP-Protocol-Version header values
+     * @param {number} options.sessionIdleTimeout - Close sessions idle for this long, in ms (default 30 minutes)
+     */
+    constructor({ createServer, port = 3700, host = '127.0.0.1', protocolVersions = [], sessionIdleTimeout = SESSION_IDLE_TIMEOUT }) {
+        this.createServer = createServer;
+        this.protocolVersions = protocolVersions;
+        this.port = port;
+        this.host = host;
+        this.sessionIdleTimeout = sessionIdleTimeout;
+
+        // Active sessions: id -> { server, stream, activeRequests, lastActivity }
+        this.sessions = new Map();
+
+        this.app = express();
+        this.httpServer = null;
+        this.sweepTimer = null;
+        this.setupRoutes();
+    }
+
+    /**
+     * Setup the /mcp endpoint
+     */
+    setupRoutes() {
+        this.app.use('/mcp', (req, res, next) => this.validateOrigin(req, res, next));
+        this.app.use('/mcp', (req, res, next) => this.validateProtocolVersion(req, res, next));
+        this.app.use('/mcp', express.json({ limit: '10mb' }));
+
+        this.app.post('/mcp', (req, res) => this.handlePost(req, res));
+        this.app.get('/mcp', (req, res) => this.handleGet(req, res));
+        this.app.delete('/mcp', (req, res) => this.handleDelete(req, res));
+
+        // Malformed JSON bodies
+        this.app.use((error, req, res, next) => {
+            this.sendError(res, 400, -32700, 'Parse error', error.message);
+        });
+    }
+
+    /**
+     * Reject cross-origin browser requests to prevent DNS rebinding attacks
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Function} next - Next middleware
+     */
+    validateOrigin(req, res, next) {
+        const origin = req.headers.origin;
+        if (!origin) {
+            return next();
+        }
+
+        try {
+            const { hostname } = new URL(origin);
+            if (['localhost', '127.0.0.1', '[::1]'].includes(hostname)) {
+                return next();
+            }
+        } catch (error) {
+            // Fall through to rejection
+        }
+
+        res.status(403).json({ error: `Origin not allowed: ${origin}` });
+    }
+
+    /**
+     * Reject requests for a protocol revision this server doesn't speak
+     * A missing header is accepted for clients that predate it
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Function} next - Next middleware
+     */
+    validateProtocolVersion(req, res, next) {
+        const version = req.headers['mcp-protocol-version'];
+        if (!version || this.protocolVersions.length === 0 || this.protocolVersions.includes(version)) {
+            return next();
+        }
+
+        this.sendError(res, 400, -32000, 'Bad Request', `Unsupported MCP-Protocol-Version: ${version}`);
+    }
+
+    /**
+     * Handle POST /mcp - client messages
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    async handlePost(req, res) {
+        const messages = Array.isArray(req.body) ? req.body : [req.body];
+        if (messages.length === 0 || messages.some(message => !message || typeof message !== 'object')) {
+            return this.sendError(res, 400, -32600, 'Invalid Request', 'Expected a JSON-RPC message');
+        }
+
+        // Initialize starts a new session, everything else needs an existing one
+        let sessionId = req.headers['mcp-session-id'];
+        let session;
+
+        if (messages.some(message => message.method === 'initialize')) {
+            if (messages.length > 1) {
+                return this.sendError(res, 400, -32600, 'Invalid Request', 'initialize must be sent on its own');
+            }
+            sessionId = crypto.randomUUID();
+            session = this.createSession(sessionId);
+        } else if (!sessionId) {
+            return this.sendError(res, 400, -32000, 'Bad Request', 'Missing Mcp-Session-Id header');
+        } else {
+            session = this.sessions.get(sessionId);
+            if (!session) {
+                return this.sendError(res, 404, -32001, 'Session not found', sessionId);
+            }
+        }
+
+        res.setHeader('Mcp-Session-Id', sessionId);
+        session.lastActivity = Date.now();
+
+        const requests = messages.filter(message => message.method && message.id !== undefined);
+
+        // Notifications and responses are only acknowledged
+        if (requests.length === 0) {
+            messages.forEach(message => session.server.handleRequest(message));
+            return res.status(202).end();
+        }
+
+        // Requests are answered on an SSE stream, which also carries related notifications
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        const send = (message) => this.writeEvent(res, message);
+
+        // A client that drops the connection before the answer cancels its calls,
+        // the same as notifications/cancelled, so their feedback UIs are torn down
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                requests.forEach(message => session.server.handleCancelled({
+                    params: { requestId: message.id, reason: 'Client disconnected' }
+                }));
+            }
+        });
+
+        // A session waiting on a long tool call is not idle
+        session.activeRequests++;
+        try {
+            await Promise.all(messages.map(async (message) => {
+                const response = await session.server.handleRequest(message, { send });
+                if (response) {
+                    send(response);
+                }
+            }));
+        } finally {
+            session.activeRequests--;
+            session.lastActivity = Date.now();
+        }
+
+        res.end();
+    }
+
+    /**
+     * Handle GET /mcp - standalone stream for server-initiated messages
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    handleGet(req, res) {
+        const session = this.sessions.get(req.headers['mcp-session-id']);
+        if (!session) {
+            return this.sendError(res, 404, -32001, 'Session not found', req.headers['mcp-session-id'] || null);
+        }
+
+        if (session.stream) {
+            return this.sendError(res, 409, -32000, 'Conflict', 'Only one stream per session is allowed');
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        session.stream = res;
+
+        // Keep intermediaries from closing an idle stream
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30000);
+
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            if (session.stream === res) {
+                session.stream = null;
+                session.lastActivity = Date.now();
+            }
+        });
+    }
+
+    /**
+     * Handle DELETE /mcp - terminate session
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    handleDelete(req, res) {
+        const sessionId = req.headers['mcp-session-id'];
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return this.sendError(res, 404, -32001, 'Session not found', sessionId || null);
+        }
+
+        this.closeSession(sessionId);
+        res.status(200).end();
+    }
+
+    /**
+     * Create a session with its own MCP server
+     * @param {string} sessionId - Session ID
+     * @returns {Object} Session
+     */
+    createSession(sessionId) {
+        const session = { server: null, stream: null, activeRequests: 0, lastActivity: Date.now() };
+
+        // Server-initiated messages go to the standalone GET stream when one is open
+        session.server = this.createServer((message) => {
+            if (session.stream) {
+                this.writeEvent(session.stream, message);
+            }
+        });
+
+        this.sessions.set(sessionId, session);
+        return session;
+    }
+
+    /**
+     * Close a session, aborting its pending tool calls and background tickets
+     * @param {string} sessionId - Session ID
+     */
+    closeSession(sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session) {
+            return;
+        }
+
+        if (session.stream) {
+            session.stream.end();
+        }
+
+        session.server.close();
+        this.sessions.delete(sessionId);
+    }
+
+    /**
+     * Close sessions of clients that went away without sending DELETE
+     * Sessions with a request in progress or an open stream are kept
+     */
+    expireIdleSessions() {
+        const now = Date.now();
+        for (const [sessionId, session] of [...this.sessions]) {
+            if (!session.stream && session.activeRequests === 0 && now - session.lastActivity > this.sessionIdleTimeout) {
+                logger.info('Closing idle MCP session', { session: sessionId });
+                this.closeSession(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Write a JSON-RPC message as an SSE event
+     * @param {Object} res - Express response
+     * @param {Object} message - JSON-RPC message
+     */
+    writeEvent(res, message) {
+        if (!res.writableEnded && !res.destroyed) {
+            res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+        }
+    }
+
+    /**
+     * Send a JSON-RPC error with an HTTP status
+     * @param {Object} res - Express response
+     * @param {number} status - HTTP status code
+     * @param {number} code - JSON-RPC error code
+     * @param {string} message - Error message
+     * @param {*} data - Error data
+     */
+    sendError(res, status, code, message, data) {
+        res.status(status).json({
+            jsonrpc: '2.0',
+            id: null,
+            error: { code, message, data }
+        });
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<void>}
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.httpServer = this.app.listen(this.port, this.host, () => {
+                logger.info(`MCP Streamable HTTP transport listening on http://${this.host}:${this.port}/mcp`);
+                resolve();
+            });
+            this.sweepTimer = setInterval(() => this.expireIdleSessions(), Math.min(SESSION_SWEEP_INTERVAL, this.sessionIdleTimeout));
+            this.sweepTimer.unref();
+            this.httpServer.on('error', reject);
+        });
+    }
+
+    /**
+     * Stop listening and close all sessions
+     */
+    close() {
+        clearInterval(this.sweepTimer);
+        for (const sessionId of [...this.sessions.keys()]) {
+            this.closeSession(sessionId);
+        }
+
+        if (this.httpServer) {
+            this.httpServer.close();
+        }
+    }
+}
+
+module.exports = HttpTransport;
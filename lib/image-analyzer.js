@@ -10,6 +10,9 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const Logger = require('./logger');
+
+const logger = Logger.getLogger('image-analyzer');
 
 /**
  * ImageAnalyzer Class
@@ -37,7 +40,7 @@ class ImageAnalyzer {
                 const analysis = await this.analyzeImage(image);
                 analyzedImages.push(analysis);
             } catch (error) {
-                console.error(`Error analyzing image ${image.name}:`, error);
+                logger.error(`Error analyzing image ${image.name}`, error);
                 analyzedImages.push({
                     ...image,
                     analysis: {
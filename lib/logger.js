@@ -0,0 +1,257 @@
+/**
+ * Interactive Feedback MCP - Logger
+ * Structured diagnostics that never touch stdout, which carries JSON-RPC
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Syslog severities used by MCP logging, lowest first
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// MCP session whose work is running, recorded on each entry so listeners can keep to their own
+const sessionContext = new AsyncLocalStorage();
+
+/**
+ * Logger Class
+ * Writes entries to stderr, or to IFM_LOG_FILE when set, filtered by IFM_LOG_LEVEL (default info).
+ * Named loggers share one root so level, destination and listeners are process-wide.
+ */
+class Logger {
+    /**
+     * Initialize Logger
+     * @param {string} name - Component name shown in each entry
+     * @param {Logger} root - Logger owning level, destination and listeners (omit for a root logger)
+     */
+    constructor(name, root = null) {
+        this.name = name;
+        this.root = root || this;
+
+        if (!root) {
+            this.level = Logger.isValidLevel(process.env.IFM_LOG_LEVEL) ? process.env.IFM_LOG_LEVEL : 'info';
+            this.file = process.env.IFM_LOG_FILE || null;
+            this.listeners = new Set();
+        }
+    }
+
+    /**
+     * Get a named logger attached to the shared process root
+     * @param {string} name - Component name
+     * @returns {Logger} Named logger
+     */
+    static getLogger(name) {
+        if (!Logger.sharedRoot) {
+            Logger.sharedRoot = new Logger('interactive-feedback-mcp');
+        }
+        return new Logger(name, Logger.sharedRoot);
+    }
+
+    /**
+     * Run a task on behalf of an MCP session
+     * Entries logged by the task, and by async work it starts, carry the session id
+     * @param {string} session - Session id
+     * @param {Function} task - Function to run
+     * @returns {*} Result of the task
+     */
+    static runInSession(session, task) {
+        return sessionContext.run(session, task);
+    }
+
+    /**
+     * Get the MCP session the current code runs for
+     * @returns {string|null} Session id, or null outside of any session
+     */
+    static currentSession() {
+        return sessionContext.getStore() || null;
+    }
+
+    /**
+     * Check if a level name is valid
+     * @param {string} level - Level name
+     * @returns {boolean} True if level is valid
+     */
+    static isValidLevel(level) {
+        return LOG_LEVELS.includes(level);
+    }
+
+    /**
+     * Check if a level is at or above a threshold
+     * @param {string} level - Entry level
+     * @param {string} threshold - Minimum level
+     * @returns {boolean} True if the entry passes the threshold
+     */
+    static isLevelEnabled(level, threshold) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+    }
+
+    /**
+     * Set minimum level written to stderr or the log file
+     * @param {string} level - Level name
+     */
+    setLevel(level) {
+        if (!Logger.isValidLevel(level)) {
+            throw new Error(`Invalid log level: ${level}`);
+        }
+        this.root.level = level;
+    }
+
+    /**
+     * Receive every entry regardless of level, e.g. to forward it to an MCP client
+     * @param {Function} listener - Called with each log entry
+     * @returns {Function} Removes the listener
+     */
+    addListener(listener) {
+        this.root.listeners.add(listener);
+        return () => this.root.listeners.delete(listener);
+    }
+
+    /**
+     * Log an entry
+     * @param {string} level - Level name
+     * @param {string} message - Message
+     * @param {Object|Error} data - Structured details (optional)
+     */
+    log(level, message, data) {
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            logger: this.name,
+            message,
+            data: normalizeData(data),
+            session: Logger.currentSession()
+        };
+
+        if (Logger.isLevelEnabled(level, this.root.level)) {
+            this.root.write(entry);
+        }
+
+        this.notifyListeners(entry);
+    }
+
+    /**
+     * Pass an entry to listeners without writing it
+     * Used for entries already written by another process, such as the Web UI
+     * @param {Object} entry - Log entry
+     */
+    notifyListeners(entry) {
+        for (const listener of this.root.listeners) {
+            try {
+                listener(entry);
+            } catch (error) {
+                // A failing listener must not break the caller
+            }
+        }
+    }
+
+    /**
+     * Write an entry to the log file, falling back to stderr
+     * @param {Object} entry - Log entry
+     */
+    write(entry) {
+        let line = `${entry.timestamp} ${entry.level.toUpperCase()} [${entry.logger}] ${entry.message}`;
+        if (entry.data) {
+            line += ` ${JSON.stringify(entry.data)}`;
+        }
+
+        if (this.file) {
+            try {
+                fs.appendFileSync(this.file, `${line}\n`);
+                return;
+            } catch (error) {
+                // Fall through to stderr
+            }
+        }
+
+        process.stderr.write(`${line}\n`);
+    }
+
+    /**
+     * Print a line for the person at the terminal only
+     * Skips the log file and listeners, which may forward entries to the MCP client,
+     * so it is the only way to show secrets such as the page URL with its session token
+     * @param {string} message - Line to print
+     */
+    print(message) {
+        process.stderr.write(`${message}\n`);
+    }
+
+    /**
+     * Log a debug entry, for tracing details
+     * @param {string} message - Message
+     * @param {Object|Error} data - Structured details (optional)
+     */
+    debug(message, data) {
+        this.log('debug', message, data);
+    }
+
+    /**
+     * Log an info entry, for normal operation
+     * @param {string} message - Message
+     * @param {Object|Error} data - Structured details (optional)
+     */
+    info(message, data) {
+        this.log('info', message, data);
+    }
+
+    /**
+     * Log a notice entry, for noteworthy but normal events
+     * @param {string} message - Message
+     * @param {Object|Error} data - Structured details (optional)
+     */
+    notice(message, data) {
+        this.log('notice', message, data);
+    }
+
+    /**
+     * Log a warning entry, for problems the server recovers from
+     * @param {string} message - Message
+     * @param {Object|Error} data - Structured details (optional)
+     */
+    warning(message, data) {
+        this.log('warning', message, data);
+    }
+
+    /**
+     * Log an error entry, for failed operations
+     * @param {string} message - Message
+     * @param {Object|Error} data - Structured details (optional)
+     */
+    error(message, data) {
+        this.log('error', message, data);
+    }
+
+    /**
+     * Log a critical entry, for failures that stop the server
+     * @param {string} message - Message
+     * @param {Object|Error} data - Structured details (optional)
+     */
+    critical(message, data) {
+        this.log('critical', message, data);
+    }
+}
+
+Logger.LEVELS = LOG_LEVELS;
+Logger.sharedRoot = null;
+
+/**
+ * Turn log details into a JSON-serializable object
+ * @param {Object|Error} data - Structured details
+ * @returns {Object|undefined} Normalized details
+ */
+function normalizeData(data) {
+    if (data === undefined || data === null) {
+        return undefined;
+    }
+    if (data instanceof Error) {
+        return { error: data.message };
+    }
+    if (typeof data !== 'object') {
+        return { value: data };
+    }
+    return data;
+}
+
+module.exports = Logger;
@@ -0,0 +1,64 @@
+/**
+ * Interactive Feedback MCP - OpenAI Speech Provider
+ * Transcribes voice feedback with OpenAI or any server exposing /audio/transcriptions
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs-extra');
+const OpenAI = require('openai');
+const SpeechProvider = require('./speech-provider');
+
+/**
+ * OpenAI Speech Provider Class
+ * Uses the OpenAI SDK, pointed at a custom base URL for compatible servers
+ * (LocalAI, faster-whisper-server, Groq, ...)
+ */
+class OpenAISpeechProvider extends SpeechProvider {
+    /**
+     * Initialize OpenAI Speech Provider
+     * @param {Object} options - Provider options
+     * @param {string} options.apiKey - API key, may be empty for local servers
+     * @param {string} options.baseURL - Compatible server URL (default: OpenAI)
+     * @param {string} options.model - Transcription model (default: whisper-1)
+     * @param {string} options.language - Spoken language code, or "auto"
+     */
+    constructor({ apiKey, baseURL = null, model = 'whisper-1', language }) {
+        super({ name: baseURL ? 'OpenAI-compatible' : 'OpenAI', language });
+        this.baseURL = baseURL;
+        this.model = model;
+
+        // The SDK refuses an empty key, local servers ignore it
+        this.client = new OpenAI({
+            apiKey: apiKey || 'not-needed',
+            baseURL: baseURL || undefined
+        });
+    }
+
+    /**
+     * Transcribe an audio file
+     * @param {string} filePath - Recorded audio
+     * @returns {Promise<string>} Transcribed text
+     */
+    async transcribe(filePath) {
+        const transcription = await this.client.audio.transcriptions.create({
+            file: fs.createReadStream(filePath),
+            model: this.model,
+            ...(this.language !== 'auto' && { language: this.language })
+        });
+
+        return transcription.text;
+    }
+
+    /**
+     * Describe the provider for logs and the health check
+     * @returns {string} Provider summary
+     */
+    describe() {
+        const location = this.baseURL ? ` at ${this.baseURL}` : '';
+        return `${this.name} ${this.model}${location}, language ${this.language}`;
+    }
+}
+
+module.exports = OpenAISpeechProvider;
@@ -9,6 +9,9 @@
 const { EventEmitter } = require('events');
 const { spawn } = require('child_process');
 const os = require('os');
+const Logger = require('./logger');
+
+const logger = Logger.getLogger('process-manager');
 
 /**
  * Process Manager Class
@@ -26,15 +29,21 @@ class ProcessManager extends EventEmitter {
         this.logBuffer = [];
         this.isRunning = false;
         
-        console.log('ProcessManager initialized');
+        // Last command launched, reported by getStatus()
+        this.command = null;
+        this.startedAt = null;
+        this.exitCode = null;
+        
+        logger.debug('ProcessManager initialized');
     }
     
     /**
      * Run system command with cross-platform support
      * @param {string} command - Command to run
      * @param {string} cwd - Working directory (optional)
+     * @param {Object} env - Variables added to the server's environment (optional)
      */
-    runCommand(command, cwd = process.cwd()) {
+    runCommand(command, cwd = process.cwd(), env = {}) {
         // Check if there's already a process running
         if (this.isRunning) {
             this.addLog('Process is already running. Stopping current process first.');
@@ -58,11 +67,15 @@ class ProcessManager extends EventEmitter {
             // Spawn process with stdio pipes
             this.currentProcess = spawn(shell, args, {
                 cwd: cwd,
+                env: { ...process.env, ...env },
                 stdio: ['pipe', 'pipe', 'pipe']
             });
             
             // Set process status
             this.isRunning = true;
+            this.command = command;
+            this.startedAt = new Date().toISOString();
+            this.exitCode = null;
             this.emit('processStatus', { running: true });
             
             // Listen stdout data
@@ -83,6 +96,7 @@ class ProcessManager extends EventEmitter {
             this.currentProcess.on('close', (code) => {
                 this.isRunning = false;
                 this.currentProcess = null;
+                this.exitCode = code;
                 
                 const message = `\nProcess exited with code ${code}\n`;
                 this.addLog(message);
@@ -103,7 +117,7 @@ class ProcessManager extends EventEmitter {
                 this.emit('log', message);
             });
             
-            console.log(`Command launched: ${command}`);
+            logger.info(`Command launched: ${command}`);
             
         } catch (error) {
             this.isRunning = false;
@@ -121,7 +135,7 @@ class ProcessManager extends EventEmitter {
      */
     stopCommand() {
         if (!this.currentProcess || !this.isRunning) {
-            console.log('No process is currently running');
+            logger.debug('No process is currently running');
             return;
         }
         
@@ -139,10 +153,10 @@ class ProcessManager extends EventEmitter {
             this.emit('processStatus', { running: false, stopped: true });
             this.emit('log', message);
             
-            console.log('Process stopped');
+            logger.info('Process stopped');
             
         } catch (error) {
-            console.warn(`Error stopping process: ${error.message}`);
+            logger.warning(`Error stopping process: ${error.message}`);
         }
     }
     
@@ -161,12 +175,12 @@ class ProcessManager extends EventEmitter {
                 process.kill(-pid, 'SIGKILL');
             }
         } catch (error) {
-            console.warn(`Error killing process tree: ${error.message}`);
+            logger.warning(`Error killing process tree: ${error.message}`);
             // Fallback: kill process directly
             try {
                 process.kill(pid, 'SIGKILL');
             } catch (fallbackError) {
-                console.warn(`Fallback kill error: ${fallbackError.message}`);
+                logger.warning(`Fallback kill error: ${fallbackError.message}`);
             }
         }
     }
@@ -194,7 +208,7 @@ class ProcessManager extends EventEmitter {
     clearLogs() {
         this.logBuffer = [];
         this.emit('log', '');
-        console.log('Logs cleared');
+        logger.debug('Logs cleared');
     }
     
     /**
@@ -205,6 +219,20 @@ class ProcessManager extends EventEmitter {
         return this.isRunning;
     }
     
+    /**
+     * Get the state of the current or last command
+     * @returns {Object} Status with isRunning, pid, command, startedAt and exitCode
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            pid: this.currentProcess ? this.currentProcess.pid : null,
+            command: this.command,
+            startedAt: this.startedAt,
+            exitCode: this.exitCode
+        };
+    }
+    
     /**
      * Cleanup resources
      */
@@ -221,10 +249,10 @@ class ProcessManager extends EventEmitter {
             // Remove all listeners
             this.removeAllListeners();
             
-            console.log('ProcessManager cleaned up');
+            logger.debug('ProcessManager cleaned up');
             
         } catch (error) {
-            console.warn(`Error cleaning up ProcessManager: ${error.message}`);
+            logger.warning(`Error cleaning up ProcessManager: ${error.message}`);
         }
     }
 }
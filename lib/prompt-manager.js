@@ -0,0 +1,135 @@
+/**
+ * Interactive Feedback MCP - Prompt Manager
+ * Serves the MCP usage rules as MCP prompts
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Prompt Manager Class
+ * Loads usage rules from the rules directory, with optional per-project overrides
+ */
+class PromptManager {
+    /**
+     * Initialize Prompt Manager
+     * @param {string} rulesDirectory - Directory containing the bundled rule files
+     */
+    constructor(rulesDirectory = path.join(__dirname, '..', 'rules')) {
+        this.rulesDirectory = rulesDirectory;
+
+        // Bundled rule files by language code
+        this.languages = {
+            en: 'mcp-usage-rules-english.md',
+            vi: 'mcp-usage-rules-vietnamese.md'
+        };
+
+        this.prompts = {
+            mcp_usage_rules: {
+                description: 'Human-in-the-loop rules telling the assistant when to call interactive_feedback',
+                arguments: [
+                    {
+                        name: 'language',
+                        description: `Rules language: ${Object.keys(this.languages).join(', ')} (default: en)`,
+                        required: false
+                    },
+                    {
+                        name: 'project_directory',
+                        description: 'Project directory to look for .feedback-rules.md overrides in',
+                        required: false
+                    }
+                ]
+            }
+        };
+    }
+
+    /**
+     * List prompts in MCP format
+     * @returns {Array} Prompt definitions
+     */
+    listPrompts() {
+        return Object.keys(this.prompts).map(name => ({
+            name,
+            description: this.prompts[name].description,
+            arguments: this.prompts[name].arguments
+        }));
+    }
+
+    /**
+     * Check if a prompt exists
+     * @param {string} name - Prompt name
+     * @returns {boolean} True if prompt exists
+     */
+    hasPrompt(name) {
+        return Object.prototype.hasOwnProperty.call(this.prompts, name);
+    }
+
+    /**
+     * Check if a language is supported
+     * @param {string} language - Language code
+     * @returns {boolean} True if language is supported
+     */
+    isSupportedLanguage(language) {
+        return Object.prototype.hasOwnProperty.call(this.languages, language);
+    }
+
+    /**
+     * Get a prompt with its rendered messages
+     * @param {string} name - Prompt name
+     * @param {Object} args - Prompt arguments
+     * @returns {Promise<Object>} Prompt description and messages
+     */
+    async getPrompt(name, args = {}) {
+        const language = args.language || 'en';
+        const { text, source } = await this.loadRules(language, args.project_directory);
+
+        return {
+            description: `${this.prompts[name].description} (${language}, ${source})`,
+            messages: [
+                {
+                    role: 'user',
+                    content: {
+                        type: 'text',
+                        text
+                    }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Load rules text, preferring project overrides over the bundled rules
+     * Override lookup order: .feedback-rules.<language>.md, then .feedback-rules.md
+     * @param {string} language - Language code
+     * @param {string} projectDirectory - Project directory (optional)
+     * @returns {Promise<Object>} Rules text and where it was loaded from
+     */
+    async loadRules(language, projectDirectory) {
+        if (projectDirectory) {
+            const candidates = [
+                path.join(projectDirectory, `.feedback-rules.${language}.md`),
+                path.join(projectDirectory, '.feedback-rules.md')
+            ];
+
+            for (const candidate of candidates) {
+                if (await fs.pathExists(candidate)) {
+                    return {
+                        text: await fs.readFile(candidate, 'utf8'),
+                        source: path.basename(candidate)
+                    };
+                }
+            }
+        }
+
+        const rulesFile = path.join(this.rulesDirectory, this.languages[language]);
+        return {
+            text: await fs.readFile(rulesFile, 'utf8'),
+            source: 'bundled rules'
+        };
+    }
+}
+
+module.exports = PromptManager;
@@ -0,0 +1,128 @@
+/**
+ * Interactive Feedback MCP - Safe File
+ * Atomic writes and locked read-modify-write cycles for files shared between processes
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// How often a held lock is checked again, and how long to wait for it at most (ms)
+const LOCK_RETRY_DELAY = 25;
+const LOCK_TIMEOUT = 10000;
+
+// A lock file older than this was left behind by a process that died holding it (ms)
+const STALE_LOCK_AGE = 30000;
+
+// Callers in this process waiting for each file, so they don't fight over the lock file
+const queues = new Map();
+
+/**
+ * Safe File Class
+ * Several MCP servers and the Web UI daemon share the files in ~/.interactive-feedback-mcp.
+ * writeAtomic() keeps readers from seeing half a file; withLock() keeps two writers from
+ * reading the same content and losing one of the updates.
+ */
+class SafeFile {
+    /**
+     * Write a file next to its destination and rename it into place
+     * @param {string} file - Destination path
+     * @param {string} content - File content
+     * @returns {Promise<void>}
+     */
+    static async writeAtomic(file, content) {
+        const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        try {
+            await fs.writeFile(tempFile, content, 'utf8');
+            await fs.rename(tempFile, file);
+        } catch (error) {
+            await fs.remove(tempFile).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Run a task while holding the lock of a file
+     * Tasks of this process run one at a time; the <file>.lock file keeps other processes out
+     * @param {string} file - File the task reads and writes
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} Result of the task
+     * @throws {Error} If the lock isn't released within 10 seconds, or whatever the task throws
+     */
+    static withLock(file, task) {
+        const previous = queues.get(file) || Promise.resolve();
+        const run = previous.then(() => SafeFile.withLockFile(file, task));
+
+        const settled = run.catch(() => {});
+        queues.set(file, settled);
+        settled.then(() => {
+            if (queues.get(file) === settled) {
+                queues.delete(file);
+            }
+        });
+
+        return run;
+    }
+
+    /**
+     * Take the lock file, run the task and release it
+     * @private
+     * @param {string} file - File the task reads and writes
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} Result of the task
+     */
+    static async withLockFile(file, task) {
+        const lockFile = `${file}.lock`;
+        await SafeFile.acquireLockFile(lockFile);
+
+        try {
+            return await task();
+        } finally {
+            await fs.remove(lockFile).catch(() => {});
+        }
+    }
+
+    /**
+     * Create the lock file, waiting while another process holds it
+     * @private
+     * @param {string} lockFile - Lock file path
+     * @returns {Promise<void>}
+     */
+    static async acquireLockFile(lockFile) {
+        const deadline = Date.now() + LOCK_TIMEOUT;
+        await fs.ensureDir(path.dirname(lockFile));
+
+        for (;;) {
+            try {
+                await fs.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            try {
+                const { mtimeMs } = await fs.stat(lockFile);
+                if (Date.now() - mtimeMs > STALE_LOCK_AGE) {
+                    await fs.remove(lockFile);
+                    continue;
+                }
+            } catch (error) {
+                // Released in the meantime
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for ${lockFile}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+        }
+    }
+}
+
+module.exports = SafeFile;
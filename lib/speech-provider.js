@@ -0,0 +1,118 @@
+/**
+ * Interactive Feedback MCP - Speech Provider
+ * Common interface of the speech-to-text backends used for voice feedback
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+// Backends selectable with IFM_SPEECH_PROVIDER
+const PROVIDERS = ['openai', 'openai-compatible', 'whisper-cpp', 'none'];
+
+// Spoken language passed to the backend when WHISPER_LANGUAGE is not set
+const DEFAULT_LANGUAGE = 'vi';
+
+/**
+ * Speech Provider Class
+ * Subclasses turn a recorded audio file into text
+ */
+class SpeechProvider {
+    /**
+     * Initialize Speech Provider
+     * @param {Object} options - Provider options
+     * @param {string} options.name - Display name
+     * @param {string} options.language - Spoken language code, or "auto" to let the backend detect it
+     */
+    constructor({ name, language = DEFAULT_LANGUAGE }) {
+        this.name = name;
+        this.language = language;
+    }
+
+    /**
+     * Transcribe an audio file
+     * @param {string} filePath - Recorded audio (webm from the browser)
+     * @returns {Promise<string>} Transcribed text
+     */
+    async transcribe(filePath) {
+        throw new Error(`${this.name} does not implement transcribe()`);
+    }
+
+    /**
+     * Check that the backend can run, without transcribing anything
+     * @returns {Promise<string|null>} Problem description, or null when ready
+     */
+    async check() {
+        return null;
+    }
+
+    /**
+     * Describe the provider for logs and the health check
+     * @returns {string} Provider summary
+     */
+    describe() {
+        return `${this.name}, language ${this.language}`;
+    }
+
+    /**
+     * Create the provider configured in the environment
+     * IFM_SPEECH_PROVIDER picks the backend; without it OpenAI is used when OPENAI_API_KEY is set
+     * @param {Object} env - Environment variables (default: process.env)
+     * @returns {SpeechProvider|null} Provider, or null when speech-to-text is disabled
+     * @throws {Error} If the selected provider is unknown or misses a setting
+     */
+    static fromEnvironment(env = process.env) {
+        const provider = (env.IFM_SPEECH_PROVIDER || '').trim().toLowerCase()
+            || (env.OPENAI_API_KEY ? 'openai' : 'none');
+        const language = env.WHISPER_LANGUAGE || DEFAULT_LANGUAGE;
+        const model = env.IFM_SPEECH_MODEL || undefined;
+
+        // Required here so the subclasses can extend this class
+        const OpenAISpeechProvider = require('./openai-speech-provider');
+        const WhisperCppSpeechProvider = require('./whisper-cpp-speech-provider');
+
+        switch (provider) {
+            case 'none':
+                return null;
+
+            case 'openai':
+                if (!env.OPENAI_API_KEY) {
+                    throw new Error('OPENAI_API_KEY is required for the openai speech provider');
+                }
+                return new OpenAISpeechProvider({ apiKey: env.OPENAI_API_KEY, model, language });
+
+            case 'openai-compatible':
+                if (!env.IFM_SPEECH_BASE_URL) {
+                    throw new Error('IFM_SPEECH_BASE_URL is required for the openai-compatible speech provider');
+                }
+                try {
+                    new URL(env.IFM_SPEECH_BASE_URL);
+                } catch (error) {
+                    throw new Error(`IFM_SPEECH_BASE_URL is not a valid URL: ${env.IFM_SPEECH_BASE_URL}`);
+                }
+                return new OpenAISpeechProvider({
+                    apiKey: env.IFM_SPEECH_API_KEY,
+                    baseURL: env.IFM_SPEECH_BASE_URL,
+                    model,
+                    language
+                });
+
+            case 'whisper-cpp':
+                if (!env.IFM_WHISPER_CPP_MODEL) {
+                    throw new Error('IFM_WHISPER_CPP_MODEL is required for the whisper-cpp speech provider');
+                }
+                return new WhisperCppSpeechProvider({
+                    binary: env.IFM_WHISPER_CPP_BINARY,
+                    model: env.IFM_WHISPER_CPP_MODEL,
+                    ffmpeg: env.IFM_FFMPEG_BINARY,
+                    language
+                });
+
+            default:
+                throw new Error(`Unknown IFM_SPEECH_PROVIDER "${provider}", expected one of: ${PROVIDERS.join(', ')}`);
+        }
+    }
+}
+
+SpeechProvider.PROVIDERS = PROVIDERS;
+
+module.exports = SpeechProvider;
@@ -0,0 +1,822 @@
+/**
+ * Interactive Feedback MCP - Terminal UI
+ * Answers a feedback request in the terminal when no browser can be opened (SSH sessions, headless machines)
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tty = require('tty');
+const readline = require('readline');
+const ConfigManager = require('./config-manager');
+const ProcessManager = require('./process-manager');
+const GitIgnoreParser = require('./gitignore-parser');
+const FormSchema = require('./form-schema');
+
+// Controlling terminal, reachable even though stdin and stdout carry JSON-RPC
+const TTY_PATH = process.platform === 'win32' ? null : '/dev/tty';
+
+// ANSI open and close codes
+const STYLES = {
+    bold: [1, 22],
+    dim: [2, 22],
+    italic: [3, 23],
+    underline: [4, 24],
+    red: [31, 39],
+    green: [32, 39],
+    yellow: [33, 39],
+    cyan: [36, 39]
+};
+
+const RISK_STYLES = { low: 'green', medium: 'yellow', high: 'red', critical: 'red' };
+
+const DECISIONS = {
+    a: 'approved',
+    approve: 'approved',
+    r: 'rejected',
+    reject: 'rejected',
+    c: 'approved_with_changes',
+    changes: 'approved_with_changes'
+};
+
+const HELP = [
+    ['.', 'Send the feedback (or /send, or Ctrl+D on an empty line)'],
+    ['/run [command]', 'Run a command in the project, by default the command of the default profile'],
+    ['/ls [directory]', 'List project files; type @ and press Tab to reference one'],
+    ['/reply <n>', 'Send quick reply n as is'],
+    ['/edit <n>', 'Insert quick reply n to edit it'],
+    ['/clear', 'Start the feedback over'],
+    ['Ctrl+C', 'Stop a running command, or leave the request to the web UI']
+];
+
+/**
+ * Terminal UI Class
+ * Renders the prompt as Markdown on the controlling terminal and reads multi-line feedback,
+ * returning the same result shape as the web UI
+ */
+class TerminalUI {
+    /**
+     * Initialize Terminal UI
+     * @param {Object} options - Request options
+     * @param {string} options.projectDirectory - Project directory
+     * @param {string} options.prompt - Markdown prompt
+     * @param {Object} options.interaction - Structured question (optional)
+     * @param {Array<string>} options.predefinedOptions - Quick replies (optional)
+     * @param {Object} options.timeout - { seconds, defaultAnswer }, only announced, the daemon enforces it (optional)
+     * @param {string} options.url - Web UI address where the request stays open (optional)
+     * @param {string} options.ttyPath - Terminal device (default /dev/tty)
+     */
+    constructor({ projectDirectory, prompt, interaction = null, predefinedOptions = null, timeout = null, url = null, ttyPath = TTY_PATH }) {
+        this.projectDirectory = projectDirectory;
+        this.prompt = prompt;
+        this.interaction = interaction;
+        this.predefinedOptions = predefinedOptions || [];
+        this.timeout = timeout;
+        this.url = url;
+        this.ttyPath = ttyPath;
+
+        this.configManager = new ConfigManager(projectDirectory);
+        this.processManager = new ProcessManager();
+        this.gitIgnoreParser = new GitIgnoreParser(projectDirectory);
+
+        this.input = null;
+        this.output = null;
+        this.rl = null;
+        this.color = false;
+
+        // Line being waited for, and why reading stopped early
+        this.pendingLine = null;
+        this.failure = null;
+        this.closedByUser = false;
+    }
+
+    /**
+     * Check if a terminal can be opened
+     * @param {string} ttyPath - Terminal device (default /dev/tty)
+     * @returns {boolean} True when the process has a controlling terminal
+     */
+    static isAvailable(ttyPath = TTY_PATH) {
+        if (!ttyPath) {
+            return false;
+        }
+
+        try {
+            const fd = fs.openSync(ttyPath, 'r+');
+            const isTerminal = tty.isatty(fd);
+            fs.closeSync(fd);
+            return isTerminal;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Show the request and wait for the answer
+     * @param {AbortSignal} signal - Closes the terminal prompt, e.g. when the web UI answered first (optional)
+     * @returns {Promise<Object|null>} Feedback result, or null when the user left the request to the web UI
+     */
+    async run(signal = null) {
+        if (signal && signal.aborted) {
+            throw new Error(abortReason(signal));
+        }
+
+        this.open();
+
+        const onAbort = () => this.abort(abortReason(signal));
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        try {
+            this.showRequest();
+
+            const answer = this.interaction ? await this.askInteraction() : null;
+            const { feedback, quickReply } = await this.readFeedback(answer);
+
+            return this.buildResult(answer, feedback, quickReply);
+        } catch (error) {
+            if (this.closedByUser) {
+                this.print(this.paint('dim', this.url ? `Left to the web UI at ${this.url}` : 'Left unanswered'));
+                return null;
+            }
+            throw error;
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            this.close();
+        }
+    }
+
+    /**
+     * Open the terminal for reading and writing
+     */
+    open() {
+        this.input = new tty.ReadStream(fs.openSync(this.ttyPath, 'r'));
+        this.output = new tty.WriteStream(fs.openSync(this.ttyPath, 'w'));
+        this.color = !process.env.NO_COLOR && this.output.hasColors();
+        this.createInterface();
+    }
+
+    /**
+     * Create the readline interface, again after Ctrl+D closed it
+     */
+    createInterface() {
+        const rl = readline.createInterface({
+            input: this.input,
+            output: this.output,
+            terminal: true,
+            historySize: 0,
+            completer: (line) => this.complete(line)
+        });
+
+        rl.on('line', (line) => this.settleLine(line));
+        rl.on('SIGINT', () => this.interrupt());
+        rl.on('close', () => {
+            if (this.rl === rl) {
+                this.rl = null;
+                this.output.write('\n');
+                this.settleLine(null);
+            }
+        });
+
+        this.rl = rl;
+    }
+
+    /**
+     * Stop the running command and release the terminal
+     */
+    close() {
+        const rl = this.rl;
+        this.rl = null;
+        if (rl) {
+            rl.close();
+        }
+
+        this.processManager.cleanup();
+
+        if (this.input) {
+            this.input.destroy();
+        }
+        if (this.output) {
+            this.output.destroy();
+        }
+    }
+
+    /**
+     * Print the prompt, quick replies and a short help
+     */
+    showRequest() {
+        this.print();
+        this.print(`${this.paint('bold', 'Interactive Feedback')} ${this.paint('dim', `· ${this.projectDirectory}`)}`);
+        if (this.url) {
+            this.print(this.paint('dim', `No browser could be opened, answer here or at ${this.url}`));
+        }
+        this.print(this.paint('dim', '─'.repeat(Math.min(this.output.columns || 80, 80))));
+        this.print(renderMarkdown(this.prompt, (style, text) => this.paint(style, text)));
+        this.print();
+
+        if (this.timeout && this.timeout.seconds > 0) {
+            const seconds = Math.ceil(this.timeout.seconds);
+            const within = seconds >= 60 ? `${Math.ceil(seconds / 60)} min` : `${seconds}s`;
+            this.print(this.paint('yellow', `Without an answer within ${within} the agent gets: ${this.timeout.defaultAnswer}`));
+        }
+
+        if (this.predefinedOptions.length > 0) {
+            this.print(this.paint('bold', 'Quick replies'));
+            this.predefinedOptions.forEach((option, index) => {
+                this.print(`  ${this.paint('cyan', `[${index + 1}]`)} ${option}`);
+            });
+            this.print(this.paint('dim', '/reply <n> sends one, /edit <n> inserts it for editing'));
+        }
+
+        this.print(this.paint('dim', 'Type /help for commands'));
+        this.print();
+    }
+
+    /**
+     * Ask the structured question
+     * @returns {Promise<Object>} Answer in the shape the web UI submits
+     */
+    async askInteraction() {
+        switch (this.interaction.type) {
+            case 'choice':
+                return this.askChoice(this.interaction);
+            case 'confirm':
+                return this.askConfirm(this.interaction);
+            case 'form':
+                return this.askForm(this.interaction);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Ask for one or more numbered options, or an answer of the user's own
+     * @param {Object} interaction - Choice interaction
+     * @returns {Promise<Object>} { selected, other }
+     */
+    async askChoice(interaction) {
+        interaction.options.forEach((option, index) => {
+            const description = option.description ? this.paint('dim', ` - ${option.description}`) : '';
+            this.print(`  ${this.paint('cyan', `${index + 1}.`)} ${option.label}${description}`);
+        });
+
+        const hint = interaction.multi_select ? 'Choose one or more, e.g. 1,3' : 'Choose one';
+        this.print(this.paint('dim', interaction.allow_other ? `${hint}, or type your own answer` : hint));
+
+        for (;;) {
+            const line = ((await this.nextLine('choice> ')) || '').trim();
+            const numbers = line.split(/[\s,]+/);
+
+            if (line && numbers.every(number => /^\d+$/.test(number))) {
+                const picked = new Set(numbers.map(number => Number(number) - 1));
+                const valid = [...picked].every(index => index >= 0 && index < interaction.options.length);
+
+                if (valid && (interaction.multi_select || picked.size === 1)) {
+                    return {
+                        selected: interaction.options.filter((option, index) => picked.has(index)).map(option => option.id),
+                        other: null
+                    };
+                }
+            } else if (line && interaction.allow_other) {
+                return { selected: [], other: line };
+            }
+
+            this.print(this.paint('red', interaction.multi_select
+                ? `Enter option numbers between 1 and ${interaction.options.length}`
+                : `Enter a single option number between 1 and ${interaction.options.length}`));
+        }
+    }
+
+    /**
+     * Show what the action affects and ask for a decision
+     * @param {Object} interaction - Confirmation interaction
+     * @returns {Promise<Object>} { decision }
+     */
+    async askConfirm(interaction) {
+        this.print(`Risk: ${this.paint(RISK_STYLES[interaction.risk_level] || 'bold', interaction.risk_level)}`);
+
+        if (interaction.commands.length > 0) {
+            this.print(this.paint('bold', 'Commands'));
+            interaction.commands.forEach(command => this.print(`  ${this.paint('cyan', `$ ${command}`)}`));
+        }
+
+        if (interaction.files.length > 0) {
+            this.print(this.paint('bold', 'Files'));
+            interaction.files.forEach(file => this.print(`  • ${file}`));
+        }
+
+        for (;;) {
+            const line = ((await this.nextLine('[a]pprove, [r]eject or approve with [c]hanges? ')) || '').trim().toLowerCase();
+            if (DECISIONS[line]) {
+                return { decision: DECISIONS[line] };
+            }
+        }
+    }
+
+    /**
+     * Ask each form field in turn until the values validate
+     * @param {Object} interaction - Form interaction
+     * @returns {Promise<Object>} { values }
+     */
+    async askForm(interaction) {
+        const { schema } = interaction;
+        const required = schema.required || [];
+        const fields = Object.entries(schema.properties);
+
+        if (schema.title) {
+            this.print(this.paint('bold', schema.title));
+        }
+        if (schema.description) {
+            this.print(this.paint('dim', schema.description));
+        }
+
+        const values = {};
+        let names = fields.map(([name]) => name);
+
+        for (;;) {
+            for (const name of names) {
+                values[name] = await this.askField(name, schema.properties[name], required.includes(name));
+            }
+
+            const { valid, errors, value } = new FormSchema(schema).validate(values);
+            if (valid) {
+                return { values: value };
+            }
+
+            // Only the rejected fields are asked again
+            names = Object.keys(errors);
+            names.forEach(name => {
+                this.print(this.paint('red', `${schema.properties[name].title || name}: ${errors[name]}`));
+            });
+        }
+    }
+
+    /**
+     * Ask for one form field
+     * Answers are converted the way the web form sends them; empty answers take the default
+     * @param {string} name - Property name
+     * @param {Object} field - Property schema
+     * @param {boolean} required - Whether the field is required
+     * @returns {Promise<*>} Raw value for FormSchema.validate()
+     */
+    async askField(name, field, required) {
+        const label = `${field.title || name}${required ? ' *' : ''}`;
+        const choices = field.type === 'array' ? field.items.enum : field.enum;
+
+        if (field.description) {
+            this.print(this.paint('dim', field.description));
+        }
+        if (choices) {
+            choices.forEach((choice, index) => this.print(`  ${this.paint('cyan', `${index + 1}.`)} ${choice}`));
+        }
+
+        let hint = '';
+        if (field.type === 'boolean') {
+            hint = ' (y/n)';
+        } else if (field.type === 'array') {
+            hint = choices ? ' (numbers, comma separated)' : ' (comma separated)';
+        } else if (choices) {
+            hint = ` (1-${choices.length})`;
+        }
+        const fallback = field.default !== undefined ? this.paint('dim', ` [${[].concat(field.default).join(', ')}]`) : '';
+
+        const line = ((await this.nextLine(`${label}${hint}${fallback}: `)) || '').trim();
+        if (!line) {
+            return undefined;
+        }
+
+        if (field.type === 'boolean') {
+            return /^(y|yes|true|1)$/i.test(line);
+        }
+
+        const items = field.type === 'array' ? line.split(',').map(item => item.trim()).filter(Boolean) : [line];
+        const converted = choices
+            ? items.map(item => (/^\d+$/.test(item) && choices[Number(item) - 1] !== undefined ? choices[Number(item) - 1] : item))
+            : items;
+
+        return field.type === 'array' ? converted : converted[0];
+    }
+
+    /**
+     * Read multi-line feedback and run commands typed on their own line
+     * @param {Object|null} answer - Answer to the structured question
+     * @returns {Promise<Object>} { feedback, quickReply }
+     */
+    async readFeedback(answer) {
+        // Rejections and requested changes must say why
+        const reasonRequired = Boolean(answer && answer.decision && answer.decision !== 'approved');
+        const feedbackRequired = !this.interaction || reasonRequired;
+
+        this.print(this.paint('dim', reasonRequired
+            ? 'Explain your decision, then send with a line containing only "."'
+            : `Type your ${this.interaction ? 'comment (optional)' : 'feedback'}, then send with a line containing only "."`));
+
+        const lines = [];
+        let quickReply = null;
+        let prefill = '';
+
+        for (;;) {
+            const line = await this.nextLine(lines.length > 0 ? '· ' : '> ', prefill);
+            prefill = '';
+
+            const [command, ...rest] = line === null ? ['/send'] : line.trim().split(/\s+/);
+            const argument = rest.join(' ');
+
+            if (command === '.' || command === '/send') {
+                const feedback = lines.join('\n').trim();
+                if (!feedback && feedbackRequired) {
+                    this.print(this.paint('red', reasonRequired ? 'A reason is required to reject or request changes' : 'Please enter feedback before sending'));
+                    continue;
+                }
+                return { feedback, quickReply };
+            }
+
+            if (!command.startsWith('/') || command.length === 1) {
+                if (lines.length > 0 || line.trim()) {
+                    lines.push(line);
+                }
+                continue;
+            }
+
+            switch (command) {
+                case '/reply':
+                case '/edit': {
+                    const index = Number(argument) - 1;
+                    const text = this.predefinedOptions[index];
+                    if (!Number.isInteger(index) || typeof text !== 'string') {
+                        this.print(this.paint('red', this.predefinedOptions.length > 0
+                            ? `Pick a quick reply between 1 and ${this.predefinedOptions.length}`
+                            : 'This request has no quick replies'));
+                        break;
+                    }
+                    if (command === '/reply') {
+                        return { feedback: text, quickReply: { index, text } };
+                    }
+                    quickReply = { index, text };
+                    prefill = text;
+                    break;
+                }
+
+                case '/run':
+                    await this.runCommand(argument);
+                    break;
+
+                case '/ls':
+                    this.listFiles(argument);
+                    break;
+
+                case '/clear':
+                    lines.length = 0;
+                    quickReply = null;
+                    this.print(this.paint('dim', 'Feedback cleared'));
+                    break;
+
+                case '/help':
+                    HELP.forEach(([usage, description]) => {
+                        this.print(`  ${this.paint('cyan', usage.padEnd(16))} ${description}`);
+                    });
+                    break;
+
+                default:
+                    this.print(this.paint('red', `Unknown command ${command}, type /help`));
+            }
+        }
+    }
+
+    /**
+     * Run a command in the project directory and stream its output
+     * The environment of the project's default profile applies
+     * @param {string} command - Command line, the default profile's run command when empty
+     * @returns {Promise<void>} Resolves when the command exits or is stopped
+     */
+    async runCommand(command) {
+        const config = await this.configManager.loadConfig();
+        if (!command) {
+            command = config.run_command;
+            if (!command) {
+                this.print(this.paint('red', 'No command given and no run command configured for this project'));
+                return;
+            }
+        }
+
+        // The manager may report the same output more than once, print only what is new
+        let printed = this.processManager.getLogs().length;
+        const onLog = () => {
+            const logs = this.processManager.getLogs();
+            this.output.write(logs.slice(Math.min(printed, logs.length)));
+            printed = logs.length;
+        };
+
+        await new Promise((resolve) => {
+            const onStatus = (status) => {
+                if (!status.running) {
+                    this.processManager.off('log', onLog);
+                    this.processManager.off('processStatus', onStatus);
+                    resolve();
+                }
+            };
+
+            this.processManager.on('log', onLog);
+            this.processManager.on('processStatus', onStatus);
+            this.processManager.runCommand(command, this.projectDirectory, config.env);
+        });
+    }
+
+    /**
+     * Print a project directory in columns, skipping gitignored entries
+     * @param {string} directory - Directory relative to the project
+     */
+    listFiles(directory) {
+        let items;
+        try {
+            items = this.listDirectory(directory);
+        } catch (error) {
+            this.print(this.paint('red', error.message));
+            return;
+        }
+
+        if (items.length === 0) {
+            this.print(this.paint('dim', 'No files'));
+            return;
+        }
+
+        const names = items.map(item => (item.type === 'directory' ? `${item.name}/` : item.name));
+        const width = Math.max(...names.map(name => name.length)) + 2;
+        const perRow = Math.max(Math.floor((this.output.columns || 80) / width), 1);
+
+        for (let start = 0; start < names.length; start += perRow) {
+            this.print(names.slice(start, start + perRow).map((name, offset) => {
+                const padded = name.padEnd(width);
+                return items[start + offset].type === 'directory' ? this.paint('cyan', padded) : padded;
+            }).join('').trimEnd());
+        }
+    }
+
+    /**
+     * Read a project directory the way the web file browser does
+     * @param {string} directory - Directory relative to the project
+     * @returns {Array<Object>} { name, type, path } entries, directories first
+     * @throws {Error} If the directory is outside the project or missing
+     */
+    listDirectory(directory) {
+        const relative = (directory || '').replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+        const resolvedProject = path.resolve(this.projectDirectory);
+        const resolvedPath = path.resolve(resolvedProject, relative);
+
+        if (resolvedPath !== resolvedProject && !resolvedPath.startsWith(resolvedProject + path.sep)) {
+            throw new Error('Access denied: Path outside project directory');
+        }
+        if (!fs.existsSync(resolvedPath) || !fs.statSync(resolvedPath).isDirectory()) {
+            throw new Error(`Directory not found: ${relative}`);
+        }
+
+        const items = fs.readdirSync(resolvedPath, { withFileTypes: true }).map(entry => ({
+            name: entry.name,
+            type: entry.isDirectory() ? 'directory' : 'file',
+            path: relative ? `${relative}/${entry.name}` : entry.name
+        }));
+
+        return this.gitIgnoreParser.filterItems(items, relative).sort((a, b) => {
+            if (a.type !== b.type) return a.type === 'directory' ? -1 : 1;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Tab completion of @file references
+     * @param {string} line - Line typed so far
+     * @returns {Array} [completions, text they replace]
+     */
+    complete(line) {
+        const match = line.match(/(?:^|\s)@([^\s@]*)$/);
+        if (!match) {
+            return [[], line];
+        }
+
+        const partial = match[1];
+        const slash = partial.lastIndexOf('/');
+        const base = partial.slice(slash + 1);
+
+        let items = [];
+        try {
+            items = this.listDirectory(slash >= 0 ? partial.slice(0, slash) : '');
+        } catch (error) {
+            // Nothing to complete in a missing directory
+        }
+
+        const hits = items
+            .filter(item => item.name.startsWith(base))
+            .map(item => `@${item.path}${item.type === 'directory' ? '/' : ''}`);
+
+        return [hits, `@${partial}`];
+    }
+
+    /**
+     * Build the result submitted by the web UI
+     * @param {Object|null} answer - Answer to the structured question
+     * @param {string} feedback - Feedback text
+     * @param {Object|null} quickReply - { index, text } of the quick reply used
+     * @returns {Object} Feedback result
+     */
+    buildResult(answer, feedback, quickReply) {
+        // @references become plain project-relative paths, as inserted by the web file picker
+        const text = feedback.replace(/(^|\s)@([^\s@]+)/g, (reference, space, file) => (
+            fs.existsSync(path.join(this.projectDirectory, file)) ? `${space}${file}` : reference
+        ));
+
+        const result = {
+            command_logs: this.processManager.getLogs(),
+            interactive_feedback: text
+        };
+
+        if (this.interaction) {
+            result.interaction = answer;
+        }
+
+        if (quickReply) {
+            result.predefined_option = {
+                index: quickReply.index,
+                text: quickReply.text,
+                edited: feedback !== quickReply.text
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Prompt for a line
+     * @param {string} prompt - Prompt text
+     * @param {string} prefill - Text placed on the line for editing (optional)
+     * @returns {Promise<string|null>} The line, or null on Ctrl+D
+     */
+    nextLine(prompt, prefill = '') {
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+        if (!this.rl) {
+            this.createInterface();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingLine = { resolve, reject };
+            this.rl.setPrompt(prompt);
+            this.rl.prompt();
+            if (prefill) {
+                this.rl.write(prefill);
+            }
+        });
+    }
+
+    /**
+     * Hand a line to whoever is waiting for one
+     * @param {string|null} line - Line, or null on Ctrl+D
+     */
+    settleLine(line) {
+        const pending = this.pendingLine;
+        this.pendingLine = null;
+        if (pending) {
+            pending.resolve(line);
+        }
+    }
+
+    /**
+     * Stop reading with an error
+     * @param {Error} error - Reason reading stopped
+     */
+    fail(error) {
+        this.failure = error;
+        const pending = this.pendingLine;
+        this.pendingLine = null;
+        if (pending) {
+            pending.reject(error);
+        }
+    }
+
+    /**
+     * Ctrl+C stops a running command, otherwise leaves the request to the web UI
+     */
+    interrupt() {
+        if (this.processManager.isProcessRunning()) {
+            this.processManager.stopCommand();
+            return;
+        }
+
+        this.closedByUser = true;
+        this.output.write('\n');
+        this.fail(new Error('Closed in the terminal'));
+    }
+
+    /**
+     * Close the prompt because the request was answered or withdrawn elsewhere
+     * @param {string} reason - Why the request closed
+     */
+    abort(reason) {
+        if (this.processManager.isProcessRunning()) {
+            this.processManager.stopCommand();
+        }
+
+        this.output.write('\n');
+        this.print(this.paint('yellow', `Request closed: ${reason}`));
+        this.fail(new Error(reason));
+    }
+
+    /**
+     * Write a line to the terminal
+     * @param {string} text - Text (optional)
+     */
+    print(text = '') {
+        this.output.write(`${text}\n`);
+    }
+
+    /**
+     * Style text when the terminal supports colors
+     * @param {string} style - Key of STYLES
+     * @param {string} text - Text
+     * @returns {string} Styled text
+     */
+    paint(style, text) {
+        if (!this.color) {
+            return text;
+        }
+        const [open, close] = STYLES[style];
+        return `\x1b[${open}m${text}\x1b[${close}m`;
+    }
+}
+
+/**
+ * Get the reason of an aborted signal
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {string} Reason text
+ */
+function abortReason(signal) {
+    return typeof signal.reason === 'string' ? signal.reason : 'Request cancelled by agent';
+}
+
+/**
+ * Render Markdown for the terminal
+ * Covers headings, emphasis, code, quotes, lists, links and rules; other syntax is shown as written
+ * @param {string} markdown - Markdown text
+ * @param {Function} paint - (style, text) => styled text
+ * @returns {string} Rendered text
+ */
+function renderMarkdown(markdown, paint) {
+    const lines = [];
+    let fence = null;
+
+    for (const line of markdown.replace(/\r\n/g, '\n').split('\n')) {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fenceMatch && (!fence || fenceMatch[1] === fence)) {
+            fence = fence ? null : fenceMatch[1];
+            continue;
+        }
+
+        if (fence) {
+            lines.push(`    ${paint('cyan', line)}`);
+            continue;
+        }
+
+        let match;
+        if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+            const heading = paint('bold', renderInline(match[2], paint));
+            lines.push(match[1].length === 1 ? paint('underline', heading) : heading);
+        } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            lines.push(paint('dim', '─'.repeat(40)));
+        } else if ((match = line.match(/^\s*>\s?(.*)$/))) {
+            lines.push(`${paint('dim', '│')} ${renderInline(match[1], paint)}`);
+        } else if ((match = line.match(/^(\s*)[-*+]\s+(?:\[([ xX])\]\s+)?(.*)$/))) {
+            const bullet = match[2] === undefined ? '•' : (match[2] === ' ' ? '☐' : '☑');
+            lines.push(`${match[1]}${bullet} ${renderInline(match[3], paint)}`);
+        } else {
+            lines.push(renderInline(line, paint));
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Render inline Markdown; code spans are left unstyled inside
+ * @param {string} text - One line of Markdown
+ * @param {Function} paint - (style, text) => styled text
+ * @returns {string} Rendered text
+ */
+function renderInline(text, paint) {
+    return text.split(/(`[^`]+`)/).map((part, index) => {
+        if (index % 2 === 1) {
+            return paint('cyan', part.slice(1, -1));
+        }
+
+        return part
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (image, alt, url) => `[image: ${alt || url}]`)
+            .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (link, label, url) => `${label} (${paint('underline', url)})`)
+            .replace(/(\*\*|__)(?=\S)(.+?)\1/g, (strong, marker, inner) => paint('bold', inner))
+            .replace(/(^|[^*\w])([*_])(?=\S)([^*_]+?)\2(?![*\w])/g, (em, before, marker, inner) => `${before}${paint('italic', inner)}`);
+    }).join('');
+}
+
+module.exports = TerminalUI;
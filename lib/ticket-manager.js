@@ -0,0 +1,172 @@
+/**
+ * Interactive Feedback MCP - Ticket Manager
+ * Tracks feedback requests that run in the background
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Ticket Manager Class
+ * Each ticket wraps a running feedback round; the agent polls or waits on it by id
+ */
+class TicketManager {
+    /**
+     * Initialize Ticket Manager
+     * @param {Object} options - Manager options
+     * @param {number} options.maxFinished - Finished tickets kept for later status queries (default 50)
+     */
+    constructor({ maxFinished = 50 } = {}) {
+        this.maxFinished = maxFinished;
+
+        // Tickets by id, in creation order
+        this.tickets = new Map();
+    }
+
+    /**
+     * Start a background feedback round
+     * @param {string} tool - Tool that created the ticket
+     * @param {string} projectDirectory - Project directory
+     * @param {Function} run - Called with an AbortSignal, resolves with the feedback result
+     * @returns {Object} Ticket
+     */
+    create(tool, projectDirectory, run) {
+        const ticket = {
+            id: crypto.randomUUID(),
+            tool,
+            projectDirectory,
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            result: null,
+            error: null,
+            abortController: new AbortController()
+        };
+
+        ticket.promise = run(ticket.abortController.signal).then((result) => {
+            ticket.status = 'completed';
+            ticket.result = result;
+        }, (error) => {
+            ticket.status = ticket.abortController.signal.aborted ? 'cancelled' : 'failed';
+            ticket.error = error.message;
+        }).finally(() => {
+            ticket.completedAt = new Date().toISOString();
+            this.prune();
+        });
+
+        this.tickets.set(ticket.id, ticket);
+        return ticket;
+    }
+
+    /**
+     * Get a ticket by id
+     * @param {string} id - Ticket id
+     * @returns {Object} Ticket
+     * @throws {Error} If the ticket is unknown
+     */
+    get(id) {
+        const ticket = this.tickets.get(id);
+        if (!ticket) {
+            throw new Error(`Unknown ticket: ${id}`);
+        }
+        return ticket;
+    }
+
+    /**
+     * Wait until a ticket finishes or the timeout passes
+     * @param {string} id - Ticket id
+     * @param {number} timeoutMs - Maximum time to wait
+     * @param {AbortSignal} signal - Stops waiting early, e.g. when the call is cancelled (optional)
+     * @returns {Promise<Object>} Ticket, possibly still pending
+     */
+    async wait(id, timeoutMs, signal = null) {
+        const ticket = this.get(id);
+        let timer = null;
+        let onAbort = null;
+
+        await Promise.race([
+            ticket.promise,
+            new Promise((resolve) => {
+                timer = setTimeout(resolve, timeoutMs);
+            }),
+            new Promise((resolve, reject) => {
+                if (signal) {
+                    onAbort = () => reject(new Error('Wait cancelled'));
+                    signal.addEventListener('abort', onAbort, { once: true });
+                }
+            })
+        ]).finally(() => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        });
+
+        return ticket;
+    }
+
+    /**
+     * Cancel all pending tickets, closing their feedback UIs
+     * @param {string} reason - Cancellation reason
+     * @returns {Promise<void>} Resolves once the cancelled rounds have finished
+     */
+    cancelAll(reason) {
+        const cancelled = [];
+        for (const ticket of this.tickets.values()) {
+            if (ticket.status === 'pending') {
+                ticket.abortController.abort(reason);
+                cancelled.push(ticket.promise);
+            }
+        }
+        return Promise.all(cancelled).then(() => {});
+    }
+
+    /**
+     * Drop the oldest finished tickets beyond maxFinished
+     */
+    prune() {
+        const finished = [...this.tickets.values()].filter(ticket => ticket.status !== 'pending');
+        finished.slice(0, Math.max(0, finished.length - this.maxFinished)).forEach(ticket => {
+            this.tickets.delete(ticket.id);
+        });
+    }
+
+    /**
+     * Describe a ticket for tool results
+     * Completed results are nested under result, with attached images lifted out
+     * so they are returned as image content blocks
+     * @param {Object} ticket - Ticket
+     * @returns {Object} Ticket status
+     */
+    describe(ticket) {
+        const status = {
+            ticket_id: ticket.id,
+            tool: ticket.tool,
+            status: ticket.status,
+            project_directory: ticket.projectDirectory,
+            created_at: ticket.createdAt
+        };
+
+        if (ticket.completedAt) {
+            status.completed_at = ticket.completedAt;
+        }
+
+        if (ticket.error) {
+            status.error = ticket.error;
+        }
+
+        if (ticket.result) {
+            const { images, ...result } = ticket.result;
+            status.result = result;
+            if (images) {
+                status.images = images;
+            }
+        }
+
+        return status;
+    }
+}
+
+module.exports = TicketManager;
@@ -0,0 +1,148 @@
+/**
+ * Interactive Feedback MCP - whisper.cpp Speech Provider
+ * Transcribes voice feedback locally with a whisper.cpp binary, no API key needed
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const util = require('util');
+const { execFile } = require('child_process');
+const SpeechProvider = require('./speech-provider');
+
+const execFileAsync = util.promisify(execFile);
+
+// Longest a conversion or transcription may take (ms)
+const TRANSCRIBE_TIMEOUT = 120000;
+
+/**
+ * Find a command on PATH
+ * @param {string} command - Command name or path
+ * @returns {Promise<string|null>} Executable path, or null when not found
+ */
+async function findExecutable(command) {
+    const candidates = command.includes(path.sep) || command.includes('/')
+        ? [command]
+        : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+
+    // Windows resolves commands with the extensions in PATHEXT
+    const extensions = process.platform === 'win32'
+        ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+        : [''];
+
+    for (const candidate of candidates) {
+        for (const extension of extensions) {
+            try {
+                await fs.access(candidate + extension, fs.constants.X_OK);
+                return candidate + extension;
+            } catch (error) {
+                // Not here, try the next one
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * whisper.cpp Speech Provider Class
+ * Converts the browser recording to 16 kHz mono WAV with ffmpeg, then runs whisper.cpp on it
+ */
+class WhisperCppSpeechProvider extends SpeechProvider {
+    /**
+     * Initialize whisper.cpp Speech Provider
+     * @param {Object} options - Provider options
+     * @param {string} options.binary - whisper.cpp CLI (default: whisper-cli on PATH)
+     * @param {string} options.model - Path to a ggml model file
+     * @param {string} options.ffmpeg - ffmpeg binary (default: ffmpeg on PATH)
+     * @param {string} options.language - Spoken language code, or "auto"
+     */
+    constructor({ binary, model, ffmpeg, language }) {
+        super({ name: 'whisper.cpp', language });
+        this.binary = binary || 'whisper-cli';
+        this.model = model;
+        this.ffmpeg = ffmpeg || 'ffmpeg';
+    }
+
+    /**
+     * Transcribe an audio file
+     * @param {string} filePath - Recorded audio
+     * @returns {Promise<string>} Transcribed text
+     */
+    async transcribe(filePath) {
+        const wavPath = `${filePath.replace(/\.[^./\\]+$/, '')}.wav`;
+
+        try {
+            await this.run(this.ffmpeg, [
+                '-y', '-loglevel', 'error',
+                '-i', filePath,
+                '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+                wavPath
+            ]);
+
+            // -nt drops timestamps and -np progress output, leaving only the text on stdout
+            const stdout = await this.run(this.binary, [
+                '-m', this.model,
+                '-f', wavPath,
+                '-l', this.language,
+                '-nt', '-np'
+            ]);
+
+            return stdout.split('\n').map(line => line.trim()).filter(Boolean).join(' ');
+        } finally {
+            await fs.remove(wavPath).catch(() => {});
+        }
+    }
+
+    /**
+     * Run a command and return its output
+     * @param {string} command - Executable
+     * @param {Array<string>} args - Arguments
+     * @returns {Promise<string>} Standard output
+     * @throws {Error} With the command's stderr when it fails
+     */
+    async run(command, args) {
+        try {
+            const { stdout } = await execFileAsync(command, args, {
+                timeout: TRANSCRIBE_TIMEOUT,
+                maxBuffer: 10 * 1024 * 1024,
+                windowsHide: true
+            });
+            return stdout;
+        } catch (error) {
+            const detail = (error.stderr || '').trim() || error.message;
+            throw new Error(`${path.basename(command)} failed: ${detail}`);
+        }
+    }
+
+    /**
+     * Check that the model and both binaries are there
+     * @returns {Promise<string|null>} Problem description, or null when ready
+     */
+    async check() {
+        if (!await fs.pathExists(this.model)) {
+            return `whisper.cpp model not found: ${this.model}`;
+        }
+
+        const binaries = [[this.binary, 'IFM_WHISPER_CPP_BINARY'], [this.ffmpeg, 'IFM_FFMPEG_BINARY']];
+        for (const [command, variable] of binaries) {
+            if (!await findExecutable(command)) {
+                return `${command} not found on PATH, install it or set ${variable}`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Describe the provider for logs and the health check
+     * @returns {string} Provider summary
+     */
+    describe() {
+        return `${this.name} with ${path.basename(this.model)}, language ${this.language}`;
+    }
+}
+
+module.exports = WhisperCppSpeechProvider;
@@ -0,0 +1,492 @@
+/**
+ * Interactive Feedback MCP - Interaction Panel
+ * Renders structured questions, confirmations and forms sent with a request above the feedback box
+ *
+ * Author: STMMO Project
+ * Version: 1.0.0
+ */
+
+/**
+ * InteractionPanel Class
+ * Renders the request's interaction and collects the answer submitted with the feedback
+ */
+class InteractionPanel {
+    /**
+     * Initialize Interaction Panel
+     * @param {HTMLElement} container - Panel container element
+     */
+    constructor(container) {
+        this.container = container;
+        this.interaction = null;
+
+        // Choice state
+        this.selected = new Set();
+        this.optionButtons = [];
+        this.otherInput = null;
+
+        // Confirmation state
+        this.decision = null;
+        this.decisionButtons = [];
+
+        // Form state: property name -> { getValue, wrapper, error }
+        this.formFields = new Map();
+    }
+
+    /**
+     * Check if the current request carries an interaction
+     * @returns {boolean} True if an interaction is rendered
+     */
+    isActive() {
+        return this.interaction !== null;
+    }
+
+    /**
+     * Render an interaction, or hide the panel when there is none
+     * @param {Object|null} interaction - Interaction from /api/config
+     */
+    render(interaction) {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.interaction = null;
+
+        switch (interaction && interaction.type) {
+            case 'choice':
+                this.interaction = interaction;
+                this.renderChoice(interaction);
+                break;
+
+            case 'confirm':
+                this.interaction = interaction;
+                this.renderConfirm(interaction);
+                break;
+
+            case 'form':
+                this.interaction = interaction;
+                this.renderForm(interaction);
+                break;
+
+            default:
+                this.container.classList.add('hidden');
+                return;
+        }
+
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Render options as buttons, plus an optional "other" field
+     * @param {Object} interaction - Choice interaction
+     */
+    renderChoice(interaction) {
+        this.selected.clear();
+
+        const hint = document.createElement('div');
+        hint.className = 'interaction-hint';
+        hint.setAttribute('data-lang-key', interaction.multi_select ? 'chooseMany' : 'chooseOne');
+        hint.textContent = this.translate(interaction.multi_select ? 'chooseMany' : 'chooseOne');
+        this.container.appendChild(hint);
+
+        const list = document.createElement('div');
+        list.className = 'choice-options';
+
+        this.optionButtons = interaction.options.map((option, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'choice-option';
+            button.dataset.id = option.id;
+
+            const label = document.createElement('span');
+            label.className = 'choice-label';
+            label.textContent = `${index + 1}. ${option.label}`;
+            button.appendChild(label);
+
+            if (option.description) {
+                const description = document.createElement('span');
+                description.className = 'choice-description';
+                description.textContent = option.description;
+                button.appendChild(description);
+            }
+
+            button.addEventListener('click', () => this.toggleOption(option.id));
+            list.appendChild(button);
+            return button;
+        });
+
+        this.container.appendChild(list);
+
+        this.otherInput = null;
+        if (interaction.allow_other) {
+            this.otherInput = document.createElement('input');
+            this.otherInput.type = 'text';
+            this.otherInput.className = 'terminal-input choice-other';
+            this.otherInput.setAttribute('data-lang-key', 'otherPlaceholder');
+            this.otherInput.placeholder = this.translate('otherPlaceholder');
+
+            // Typing an answer of your own replaces a single selection
+            this.otherInput.addEventListener('input', () => {
+                if (!interaction.multi_select && this.otherInput.value.trim()) {
+                    this.selected.clear();
+                    this.updateOptionButtons();
+                }
+            });
+
+            this.container.appendChild(this.otherInput);
+        }
+    }
+
+    /**
+     * Render risk level, affected commands and files, and decision buttons
+     * @param {Object} interaction - Confirmation interaction
+     */
+    renderConfirm(interaction) {
+        this.decision = null;
+
+        const riskKey = `risk${interaction.risk_level.charAt(0).toUpperCase()}${interaction.risk_level.slice(1)}`;
+        const badge = document.createElement('span');
+        badge.className = `risk-badge risk-${interaction.risk_level}`;
+        badge.setAttribute('data-lang-key', riskKey);
+        badge.textContent = this.translate(riskKey);
+        this.container.appendChild(badge);
+
+        if (interaction.commands.length > 0) {
+            this.appendSectionTitle('affectedCommands');
+            const pre = document.createElement('pre');
+            pre.className = 'confirm-commands';
+            const code = document.createElement('code');
+            code.textContent = interaction.commands.join('\n');
+            pre.appendChild(code);
+            this.container.appendChild(pre);
+        }
+
+        if (interaction.files.length > 0) {
+            this.appendSectionTitle('affectedFiles');
+            const list = document.createElement('ul');
+            list.className = 'confirm-files';
+            interaction.files.forEach(file => {
+                const item = document.createElement('li');
+                item.textContent = file;
+                list.appendChild(item);
+            });
+            this.container.appendChild(list);
+        }
+
+        const decisions = [
+            { id: 'approved', key: 'approveAction', className: 'success' },
+            { id: 'rejected', key: 'rejectAction', className: 'danger' },
+            { id: 'approved_with_changes', key: 'approveWithChanges', className: '' }
+        ];
+
+        const row = document.createElement('div');
+        row.className = 'confirm-decisions';
+
+        this.decisionButtons = decisions.map(decision => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `terminal-btn decision-btn ${decision.className}`.trim();
+            button.dataset.id = decision.id;
+            button.setAttribute('data-lang-key', decision.key);
+            button.textContent = this.translate(decision.key);
+            button.addEventListener('click', () => this.selectDecision(decision.id));
+            row.appendChild(button);
+            return button;
+        });
+
+        this.container.appendChild(row);
+
+        const hint = document.createElement('div');
+        hint.className = 'interaction-hint';
+        hint.setAttribute('data-lang-key', 'reasonHint');
+        hint.textContent = this.translate('reasonHint');
+        this.container.appendChild(hint);
+    }
+
+    /**
+     * Render a form generated from the request's JSON Schema
+     * @param {Object} interaction - Form interaction
+     */
+    renderForm(interaction) {
+        const { schema } = interaction;
+        const required = schema.required || [];
+        this.formFields = new Map();
+
+        if (schema.title) {
+            const title = document.createElement('div');
+            title.className = 'form-title';
+            title.textContent = schema.title;
+            this.container.appendChild(title);
+        }
+
+        if (schema.description) {
+            const description = document.createElement('div');
+            description.className = 'interaction-hint';
+            description.textContent = schema.description;
+            this.container.appendChild(description);
+        }
+
+        const form = document.createElement('div');
+        form.className = 'interaction-form';
+
+        Object.entries(schema.properties).forEach(([name, field]) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'form-field';
+
+            const label = document.createElement('label');
+            label.className = 'form-label';
+            label.textContent = `${field.title || name}${required.includes(name) ? ' *' : ''}`;
+            wrapper.appendChild(label);
+
+            const control = this.createFormControl(field);
+            wrapper.appendChild(control.element);
+
+            if (field.description) {
+                const description = document.createElement('div');
+                description.className = 'form-description';
+                description.textContent = field.description;
+                wrapper.appendChild(description);
+            }
+
+            const error = document.createElement('div');
+            error.className = 'form-error hidden';
+            wrapper.appendChild(error);
+
+            form.appendChild(wrapper);
+            this.formFields.set(name, { getValue: control.getValue, wrapper, error });
+        });
+
+        this.container.appendChild(form);
+    }
+
+    /**
+     * Create the input for one form field
+     * @param {Object} field - Property schema
+     * @returns {Object} { element, getValue }
+     */
+    createFormControl(field) {
+        // Enum values are referenced by index so numbers survive the round-trip
+        if (field.type !== 'array' && field.enum) {
+            const select = document.createElement('select');
+            select.className = 'terminal-input form-select';
+            select.appendChild(new Option('', ''));
+            field.enum.forEach((value, index) => {
+                select.appendChild(new Option(String(value), String(index), false, value === field.default));
+            });
+            return {
+                element: select,
+                getValue: () => (select.value === '' ? undefined : field.enum[Number(select.value)])
+            };
+        }
+
+        if (field.type === 'boolean') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-checkbox';
+            checkbox.checked = field.default === true;
+            return { element: checkbox, getValue: () => checkbox.checked };
+        }
+
+        if (field.type === 'array' && field.items.enum) {
+            const group = document.createElement('div');
+            group.className = 'form-checkbox-group';
+            const checkboxes = field.items.enum.map(value => {
+                const option = document.createElement('label');
+                option.className = 'terminal-checkbox';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = Array.isArray(field.default) && field.default.includes(value);
+                const text = document.createElement('span');
+                text.textContent = String(value);
+                option.appendChild(checkbox);
+                option.appendChild(text);
+                group.appendChild(option);
+                return checkbox;
+            });
+            return {
+                element: group,
+                getValue: () => field.items.enum.filter((value, index) => checkboxes[index].checked)
+            };
+        }
+
+        if (field.type === 'array') {
+            const textarea = document.createElement('textarea');
+            textarea.className = 'terminal-textarea form-list';
+            textarea.rows = 3;
+            textarea.setAttribute('data-lang-key', 'onePerLine');
+            textarea.placeholder = this.translate('onePerLine');
+            textarea.value = Array.isArray(field.default) ? field.default.join('\n') : '';
+            return {
+                element: textarea,
+                getValue: () => textarea.value.split('\n').map(line => line.trim()).filter(Boolean)
+            };
+        }
+
+        const input = document.createElement('input');
+        input.className = 'terminal-input';
+
+        if (field.type === 'number' || field.type === 'integer') {
+            input.type = 'number';
+            input.step = field.type === 'integer' ? '1' : 'any';
+            if (field.minimum !== undefined) input.min = field.minimum;
+            if (field.maximum !== undefined) input.max = field.maximum;
+        } else {
+            input.type = 'text';
+            if (field.maxLength !== undefined) input.maxLength = field.maxLength;
+        }
+
+        if (field.default !== undefined) {
+            input.value = field.default;
+        }
+
+        // Numbers are sent as typed, the server coerces and range-checks them
+        return { element: input, getValue: () => input.value };
+    }
+
+    /**
+     * Show validation errors returned by the server next to their fields
+     * @param {Object} errors - Property name -> message
+     */
+    showErrors(errors) {
+        this.formFields.forEach(({ wrapper, error }, name) => {
+            const message = errors[name];
+            wrapper.classList.toggle('has-error', Boolean(message));
+            error.textContent = message || '';
+            error.classList.toggle('hidden', !message);
+        });
+    }
+
+    /**
+     * Append a translated section title
+     * @param {string} key - Translation key
+     */
+    appendSectionTitle(key) {
+        const title = document.createElement('div');
+        title.className = 'interaction-hint';
+        title.setAttribute('data-lang-key', key);
+        title.textContent = this.translate(key);
+        this.container.appendChild(title);
+    }
+
+    /**
+     * Select a confirmation decision
+     * @param {string} id - Decision id
+     */
+    selectDecision(id) {
+        this.decision = id;
+        this.decisionButtons.forEach(button => {
+            button.classList.toggle('selected', button.dataset.id === id);
+        });
+    }
+
+    /**
+     * Select or deselect an option
+     * @param {string} id - Option id
+     */
+    toggleOption(id) {
+        if (this.selected.has(id)) {
+            this.selected.delete(id);
+        } else {
+            if (!this.interaction.multi_select) {
+                this.selected.clear();
+                if (this.otherInput) {
+                    this.otherInput.value = '';
+                }
+            }
+            this.selected.add(id);
+        }
+
+        this.updateOptionButtons();
+    }
+
+    /**
+     * Sync button highlight with the selection
+     */
+    updateOptionButtons() {
+        this.optionButtons.forEach(button => {
+            button.classList.toggle('selected', this.selected.has(button.dataset.id));
+        });
+    }
+
+    /**
+     * Check that the interaction has been answered
+     * @param {string} feedback - Text from the feedback box
+     * @returns {string|null} Translation key of the problem, or null when valid
+     */
+    validate(feedback) {
+        if (!this.interaction) {
+            return null;
+        }
+
+        if (this.interaction.type === 'choice') {
+            const other = this.otherInput ? this.otherInput.value.trim() : '';
+            if (this.selected.size === 0 && !other) {
+                return 'choiceRequired';
+            }
+        }
+
+        if (this.interaction.type === 'confirm') {
+            if (!this.decision) {
+                return 'decisionRequired';
+            }
+            // Rejections and requested changes must say why
+            if (this.decision !== 'approved' && !feedback) {
+                return 'reasonRequired';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the answer to submit with the feedback
+     * @returns {Object|null} Interaction answer
+     */
+    getResult() {
+        if (!this.interaction) {
+            return null;
+        }
+
+        if (this.interaction.type === 'confirm') {
+            return { decision: this.decision };
+        }
+
+        if (this.interaction.type === 'form') {
+            const values = {};
+            this.formFields.forEach(({ getValue }, name) => {
+                values[name] = getValue();
+            });
+            return { values };
+        }
+
+        // Selected ids in the order the options were offered
+        const selected = this.interaction.options
+            .map(option => option.id)
+            .filter(id => this.selected.has(id));
+        const other = this.otherInput ? this.otherInput.value.trim() : '';
+
+        return {
+            selected,
+            other: other || null
+        };
+    }
+
+    /**
+     * Enable or disable all controls
+     * @param {boolean} disabled - Whether to disable the panel
+     */
+    setDisabled(disabled) {
+        if (!this.container) return;
+
+        this.container.querySelectorAll('button, input, select, textarea').forEach(element => {
+            element.disabled = disabled;
+        });
+    }
+
+    /**
+     * Translate a key using the page's current language
+     * @param {string} key - Translation key
+     * @returns {string} Translated text
+     */
+    translate(key) {
+        return (translations[currentLanguage] && translations[currentLanguage][key]) || translations.en[key] || key;
+    }
+}
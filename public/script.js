@@ -6,6 +6,27 @@
  * Version: 1.0.0
  */
 
+// How often the request ages on the inbox tabs are refreshed (ms)
+const QUEUE_AGE_REFRESH_INTERVAL = 30000;
+
+// Session token from the address the daemon opened, required by every API call and the WebSocket
+const SESSION_TOKEN = new URLSearchParams(window.location.search).get('token') || '';
+
+/**
+ * Build an API URL with the session token
+ * @param {string} path - API path, may already carry a query string
+ * @param {string|null} requestId - Request to address (optional)
+ * @returns {string} URL with the session token and request id
+ */
+function apiUrl(path, requestId = null) {
+    const params = new URLSearchParams({ token: SESSION_TOKEN });
+    if (requestId) {
+        params.set('request', requestId);
+    }
+    const separator = path.includes('?') ? '&' : '?';
+    return `${path}${separator}${params}`;
+}
+
 /**
  * FeedbackUI Class
  * Manages user interface and backend interactions
@@ -15,10 +36,35 @@ class FeedbackUI {
         // Properties initialization
         this.ws = null;
         this.config = null;
+        
+        // Profiles of the shown project and the one picked in the selector
+        this.profiles = [];
+        this.defaultProfile = null;
+        this.selectedProfile = null;
+        
+        // Merged config as loaded, with the layer each value came from
+        this.effectiveConfig = null;
         this.isCommandSectionVisible = false;
         this.isProcessRunning = false;
+        this.isRequestClosed = false;
         this.elements = {};
         
+        // Request shown in this tab and all pending requests, oldest first
+        this.requestId = null;
+        this.queue = [];
+        this.switchTimer = null;
+        this.autoExecutedRequestId = null;
+        
+        // Quick replies offered with the request, and the one inserted for editing
+        this.predefinedOptions = [];
+        this.insertedQuickReply = null;
+        
+        // Unsent feedback text and image previews of requests in other inbox tabs
+        this.drafts = new Map();
+        
+        // Refreshes the request ages shown on the inbox tabs
+        this.queueAgeTimer = setInterval(() => this.renderQueue(this.queue), QUEUE_AGE_REFRESH_INTERVAL);
+        
         // Speech to Text properties
         this.mediaRecorder = null;
         this.audioChunks = [];
@@ -26,6 +72,16 @@ class FeedbackUI {
         this.recordingStartTime = null;
         this.recordingTimer = null;
         
+        // Last time each activity was reported to the server
+        this.activityReportedAt = {};
+        
+        // Image attachments: upload id -> preview object URL
+        this.attachedImages = new Map();
+        
+        // Countdown before the default answer is sent
+        this.timeoutDeadline = null;
+        this.countdownTimer = null;
+        
         // File Browser controls
         this.isFilePickerOpen = false;
         this.currentPath = '';
@@ -40,6 +96,7 @@ class FeedbackUI {
         
         // Initialize
         this.initializeElements();
+        this.interactionPanel = new InteractionPanel(this.elements.interactionPanel);
         this.setupEventListeners();
         this.loadConfig();
         this.connectWebSocket();
@@ -66,6 +123,18 @@ class FeedbackUI {
             autoExecuteCheckbox: document.getElementById('auto-execute-checkbox'),
             saveConfigBtn: document.getElementById('save-config-btn'),
             
+            // Profiles
+            profileSelect: document.getElementById('profile-select'),
+            profileDefaultBtn: document.getElementById('profile-default-btn'),
+            profileNewBtn: document.getElementById('profile-new-btn'),
+            profileCloneBtn: document.getElementById('profile-clone-btn'),
+            profileRenameBtn: document.getElementById('profile-rename-btn'),
+            profileDeleteBtn: document.getElementById('profile-delete-btn'),
+            profileEnvInput: document.getElementById('profile-env-input'),
+            configSources: document.getElementById('config-sources'),
+            configSourcesList: document.getElementById('config-sources-list'),
+            configLayersList: document.getElementById('config-layers-list'),
+            
             // Console
             consoleOutput: document.getElementById('console-output'),
             clearConsoleBtn: document.getElementById('clear-console-btn'),
@@ -74,8 +143,19 @@ class FeedbackUI {
             promptText: document.getElementById('prompt-text'),
             feedbackTextarea: document.getElementById('feedback-textarea'),
             submitFeedbackBtn: document.getElementById('submit-feedback-btn'),
+            imageAttachments: document.getElementById('image-attachments'),
+            interactionPanel: document.getElementById('interaction-panel'),
+            quickReplies: document.getElementById('quick-replies'),
+            requestQueue: document.getElementById('request-queue'),
+            requestQueueList: document.getElementById('request-queue-list'),
+            feedbackHistory: document.getElementById('feedback-history'),
+            feedbackHistoryList: document.getElementById('feedback-history-list'),
+            timeoutCountdown: document.getElementById('timeout-countdown'),
+            timeoutRemaining: document.getElementById('timeout-remaining'),
+            extendTimeoutBtn: document.getElementById('extend-timeout-btn'),
             
             // Speech to Text controls
+            speechControls: document.getElementById('speech-controls'),
             micBtn: document.getElementById('mic-btn'),
             micStatus: document.getElementById('mic-status'),
             recordingIndicator: document.getElementById('recording-indicator'),
@@ -165,7 +245,33 @@ class FeedbackUI {
             });
         }
         
+        // Profile selector and actions
+        if (this.elements.profileSelect) {
+            this.elements.profileSelect.addEventListener('change', () => {
+                this.selectProfile(this.elements.profileSelect.value);
+            });
+        }
+        
+        const profileActions = {
+            profileDefaultBtn: 'default',
+            profileNewBtn: 'new',
+            profileCloneBtn: 'clone',
+            profileRenameBtn: 'rename',
+            profileDeleteBtn: 'delete'
+        };
+        Object.entries(profileActions).forEach(([element, action]) => {
+            if (this.elements[element]) {
+                this.elements[element].addEventListener('click', () => this.handleProfileAction(action));
+            }
+        });
+        
         // Feedback submission
+        if (this.elements.extendTimeoutBtn) {
+            this.elements.extendTimeoutBtn.addEventListener('click', () => {
+                this.extendTimeout();
+            });
+        }
+        
         if (this.elements.submitFeedbackBtn) {
             this.elements.submitFeedbackBtn.addEventListener('click', () => {
                 this.handleSubmitFeedback();
@@ -180,6 +286,17 @@ class FeedbackUI {
             });
         }
         
+        // Image attachments - paste or drop screenshots into the textarea
+        if (this.elements.feedbackTextarea) {
+            this.elements.feedbackTextarea.addEventListener('paste', (e) => this.handleImagePaste(e));
+            this.elements.feedbackTextarea.addEventListener('dragover', (e) => {
+                if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                    e.preventDefault();
+                }
+            });
+            this.elements.feedbackTextarea.addEventListener('drop', (e) => this.handleImageDrop(e));
+        }
+        
         // Speech to Text - Microphone button
         if (this.elements.micBtn) {
             this.elements.micBtn.addEventListener('click', () => {
@@ -196,7 +313,12 @@ class FeedbackUI {
         
         // File Browser event listeners
         if (this.elements.feedbackTextarea) {
-            this.elements.feedbackTextarea.addEventListener('input', (e) => this.handleTextareaInput(e));
+            this.elements.feedbackTextarea.addEventListener('input', (e) => {
+                if (e.isTrusted) {
+                    this.reportActivity('typing');
+                }
+                this.handleTextareaInput(e);
+            });
             this.elements.feedbackTextarea.addEventListener('keydown', (e) => this.handleTextareaKeydown(e));
         }
         
@@ -227,16 +349,64 @@ class FeedbackUI {
     }
     
     /**
-     * Load configuration from server
+     * Build an API URL for the request shown in this tab
+     * @param {string} path - API path, may already carry a query string
+     * @param {string|null} requestId - Request to address (default: the one shown)
+     * @returns {string} URL with the session token and request id
      */
-    async loadConfig() {
+    apiUrl(path, requestId = this.requestId) {
+        return apiUrl(path, requestId);
+    }
+    
+    /**
+     * Load a pending request and its configuration from server
+     * @param {string} requestId - Request to show (default: the oldest one)
+     */
+    async loadConfig(requestId = null) {
         try {
-            const response = await fetch('/api/config');
+            const response = await fetch(this.apiUrl('/api/config', requestId));
             const data = await response.json();
             
+            // Tabs left from an earlier daemon hold its token, the new daemon opens its own tab
+            if (response.status === 401) {
+                this.showMessage(translations[currentLanguage].sessionExpired, 'error');
+                return;
+            }
+            
+            // The selected request was answered meanwhile, show the oldest one instead
+            if (requestId && data && !data.requestId && data.queue && data.queue.length > 0) {
+                return this.loadConfig();
+            }
+            
+            this.resetRequestView();
+            this.requestId = data ? data.requestId : null;
+            
+            if (data && data.queue) {
+                this.renderQueue(data.queue);
+            }
+            
+            // Voice input is only offered when a speech-to-text provider is configured
+            if (this.elements.speechControls && data) {
+                this.elements.speechControls.classList.toggle('hidden', !data.speechToText);
+            }
+            
+            // Nothing pending, wait for the next request
+            if (!this.requestId) {
+                this.showIdleState();
+                return;
+            }
+            
+            this.restoreDraft(this.requestId);
+            
             if (data) {
                 this.config = data.config || {};
                 
+                // Output of commands already run for this request
+                if (this.elements.consoleOutput) {
+                    this.elements.consoleOutput.textContent = data.logs || '';
+                    this.scrollConsoleToBottom();
+                }
+                
                 // Update project directory display
                 if (this.elements.projectDirectory && data.projectDirectory) {
                     this.elements.projectDirectory.textContent = data.projectDirectory;
@@ -264,33 +434,298 @@ class FeedbackUI {
                     }
                 }
                 
-                // Update UI elements with config values
-                if (this.elements.commandInput && this.config.command) {
-                    this.elements.commandInput.value = this.config.command;
-                }
+                // Render structured question, confirmation or form sent with the request
+                this.interactionPanel.render(data.interaction || null);
+                this.renderQuickReplies(data.predefinedOptions || []);
                 
-                if (this.elements.autoExecuteCheckbox && this.config.autoExecute !== undefined) {
-                    this.elements.autoExecuteCheckbox.checked = this.config.autoExecute;
+                // Countdown before the default answer is sent
+                this.updateCountdown(data.timeout || null);
+                
+                // Update UI elements with the default profile
+                this.setEffectiveConfig(this.config);
+                this.renderProfiles(this.config.profiles || [], this.config.default_profile, this.config.profile);
+                this.showProfile(this.config);
+                
+                // Config files that couldn't be read or have invalid entries
+                if (this.hasConfigProblems()) {
+                    this.showMessage(translations[currentLanguage].configProblems, 'error');
                 }
                 
                 // Set initial visibility states
-                if (this.config.commandSectionVisible !== undefined) {
-                    this.isCommandSectionVisible = this.config.commandSectionVisible;
+                if (this.config.command_section_visible !== undefined) {
+                    this.isCommandSectionVisible = this.config.command_section_visible;
                     this.updateCommandSectionVisibility();
                 }
                 
-                // Auto-execute command if configured
-                if (this.config.autoExecute && this.config.command) {
+                // Auto-execute command if configured, once per request
+                if (this.config.execute_automatically && this.config.run_command && this.autoExecutedRequestId !== this.requestId) {
+                    this.autoExecutedRequestId = this.requestId;
                     setTimeout(() => {
                         this.handleRunCommand();
                     }, 1000);
                 }
+                
+                this.loadRequestDetails(this.requestId);
             }
         } catch (error) {
             console.error('Error loading config:', error);
         }
     }
     
+    /**
+     * Load the process state and earlier feedback of the shown request
+     * @param {string} requestId - Request the details belong to
+     */
+    async loadRequestDetails(requestId) {
+        try {
+            const data = await FeedbackAPI.getInitialData(requestId);
+            
+            // Another request was selected meanwhile
+            if (requestId !== this.requestId) return;
+            
+            this.isProcessRunning = data.processStatus.isRunning;
+            this.updateRunButton();
+            this.renderHistory(data.history);
+        } catch (error) {
+            console.error('Error loading request details:', error);
+        }
+    }
+    
+    /**
+     * Render earlier feedback rounds of the project, newest first
+     * @param {Array<Object>} entries - History entries
+     */
+    renderHistory(entries) {
+        const container = this.elements.feedbackHistory;
+        const list = this.elements.feedbackHistoryList;
+        if (!container || !list) return;
+        
+        list.innerHTML = '';
+        entries.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = 'feedback-history-item';
+            
+            const meta = document.createElement('div');
+            meta.className = 'feedback-history-meta';
+            meta.textContent = new Date(entry.timestamp).toLocaleString(currentLanguage);
+            
+            const summary = document.createElement('div');
+            summary.className = 'feedback-history-summary';
+            summary.textContent = entry.summary.split('\n')[0];
+            summary.title = entry.summary;
+            
+            const feedback = document.createElement('div');
+            feedback.className = 'feedback-history-feedback';
+            feedback.textContent = entry.feedback || translations[currentLanguage].historyNoFeedback;
+            
+            item.appendChild(meta);
+            item.appendChild(summary);
+            item.appendChild(feedback);
+            list.appendChild(item);
+        });
+        
+        container.classList.toggle('hidden', entries.length === 0);
+    }
+    
+    /**
+     * Clear the answer of the previous request before showing another one
+     */
+    resetRequestView() {
+        clearTimeout(this.switchTimer);
+        this.isRequestClosed = false;
+        
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        
+        document.querySelectorAll('.cancel-banner').forEach(banner => banner.remove());
+        
+        if (this.elements.feedbackTextarea) {
+            this.elements.feedbackTextarea.value = '';
+        }
+        if (this.elements.consoleOutput) {
+            this.elements.consoleOutput.textContent = '';
+        }
+        
+        this.attachedImages.forEach(previewUrl => URL.revokeObjectURL(previewUrl));
+        this.attachedImages.clear();
+        if (this.elements.imageAttachments) {
+            this.elements.imageAttachments.innerHTML = '';
+            this.elements.imageAttachments.classList.add('hidden');
+        }
+        
+        this.updateCountdown(null);
+        this.interactionPanel.render(null);
+        this.renderQuickReplies([]);
+        this.renderHistory([]);
+        this.insertedQuickReply = null;
+        this.setFormDisabled(false);
+    }
+    
+    /**
+     * Show that no request is pending and lock the form until one arrives
+     */
+    showIdleState() {
+        if (this.elements.projectDirectory) {
+            this.elements.projectDirectory.textContent = '-';
+        }
+        if (this.elements.promptText) {
+            this.elements.promptText.textContent = translations[currentLanguage].noPendingRequests;
+        }
+        
+        this.setFormDisabled(true);
+        if (this.elements.submitFeedbackBtn) {
+            this.elements.submitFeedbackBtn.textContent = translations[currentLanguage].submitFeedback;
+        }
+    }
+    
+    /**
+     * Handle an updated list of pending requests
+     * Moves on once the shown request is answered, cancelled or timed out
+     * @param {Array<Object>} requests - Pending requests, oldest first
+     */
+    handleQueue(requests) {
+        this.renderQueue(requests);
+        
+        // Forget drafts of requests that are no longer pending
+        for (const id of this.drafts.keys()) {
+            if (!requests.some(request => request.id === id)) {
+                this.discardDraft(id);
+            }
+        }
+        
+        const stillPending = requests.some(request => request.id === this.requestId);
+        if (stillPending || (!this.requestId && requests.length === 0)) {
+            return;
+        }
+        
+        // Leave a cancellation or timeout banner up long enough to be read
+        clearTimeout(this.switchTimer);
+        this.switchTimer = setTimeout(() => {
+            this.loadConfig();
+        }, this.isRequestClosed ? 3000 : 0);
+    }
+    
+    /**
+     * Switch to another request from the inbox, keeping the current draft
+     * @param {string} requestId - Request to show
+     */
+    selectRequest(requestId) {
+        if (requestId === this.requestId) return;
+        
+        if (this.requestId && !this.isRequestClosed) {
+            this.saveDraft(this.requestId);
+        }
+        this.loadConfig(requestId);
+    }
+    
+    /**
+     * Set the feedback text and attached images of a request aside
+     * The uploads stay on the server, only their previews are kept here
+     * @param {string} requestId - Request the draft belongs to
+     */
+    saveDraft(requestId) {
+        const container = this.elements.imageAttachments;
+        const draft = {
+            feedback: this.elements.feedbackTextarea ? this.elements.feedbackTextarea.value : '',
+            quickReply: this.insertedQuickReply,
+            images: this.attachedImages,
+            previews: container ? [...container.children] : []
+        };
+        
+        draft.previews.forEach(item => item.remove());
+        this.attachedImages = new Map();
+        
+        if (draft.feedback || draft.images.size > 0) {
+            this.drafts.set(requestId, draft);
+        }
+    }
+    
+    /**
+     * Put a saved draft back into the form
+     * @param {string} requestId - Request being shown
+     */
+    restoreDraft(requestId) {
+        const draft = this.drafts.get(requestId);
+        if (!draft) return;
+        this.drafts.delete(requestId);
+        
+        if (this.elements.feedbackTextarea) {
+            this.elements.feedbackTextarea.value = draft.feedback;
+        }
+        this.insertedQuickReply = draft.quickReply;
+        
+        this.attachedImages = draft.images;
+        const container = this.elements.imageAttachments;
+        if (container && draft.previews.length > 0) {
+            draft.previews.forEach(item => container.appendChild(item));
+            container.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Drop the draft of a request that is gone
+     * @param {string} requestId - Request id
+     */
+    discardDraft(requestId) {
+        const draft = this.drafts.get(requestId);
+        if (!draft) return;
+        
+        draft.images.forEach(previewUrl => URL.revokeObjectURL(previewUrl));
+        this.drafts.delete(requestId);
+    }
+    
+    /**
+     * Render the inbox tabs and show the request count in the tab title
+     * Each tab shows the prompt, the asking agent, the project and how long it has waited
+     * @param {Array<Object>} requests - Pending requests, oldest first
+     */
+    renderQueue(requests) {
+        this.queue = requests;
+        const langData = translations[currentLanguage];
+        
+        document.title = requests.length > 0 ? `(${requests.length}) ${langData.title}` : langData.title;
+        
+        const container = this.elements.requestQueue;
+        const list = this.elements.requestQueueList;
+        if (!container || !list) return;
+        
+        list.innerHTML = '';
+        requests.forEach((request) => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'request-queue-item';
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', String(request.id === this.requestId));
+            tab.title = `${request.title}\n${request.project_directory}`;
+            if (request.id === this.requestId) {
+                tab.classList.add('active');
+            }
+            tab.addEventListener('click', () => this.selectRequest(request.id));
+            
+            const title = document.createElement('span');
+            title.className = 'request-queue-title';
+            title.textContent = this.drafts.has(request.id) ? `✎ ${request.title}` : request.title;
+            
+            // Last path segment is enough to tell projects apart, the full path is in the tooltip
+            const projectName = request.project_directory.split(/[\\/]/).filter(Boolean).pop() || request.project_directory;
+            
+            const meta = document.createElement('span');
+            meta.className = 'request-queue-meta';
+            meta.textContent = [
+                request.agent_name || langData.unknownAgent,
+                projectName,
+                formatRequestAge(request.created_at)
+            ].join(' · ');
+            
+            tab.appendChild(title);
+            tab.appendChild(meta);
+            list.appendChild(tab);
+        });
+        
+        container.classList.toggle('hidden', requests.length === 0);
+    }
+    
     /**
      * Update local config object
      */
@@ -299,40 +734,311 @@ class FeedbackUI {
         
         // Sync with form values
         if (this.elements.commandInput) {
-            this.config.command = this.elements.commandInput.value;
+            this.config.run_command = this.elements.commandInput.value;
         }
         
         if (this.elements.autoExecuteCheckbox) {
-            this.config.autoExecute = this.elements.autoExecuteCheckbox.checked;
+            this.config.execute_automatically = this.elements.autoExecuteCheckbox.checked;
         }
         
-        this.config.commandSectionVisible = this.isCommandSectionVisible;
+        this.config.command_section_visible = this.isCommandSectionVisible;
     }
     
     /**
      * Save configuration to server
+     * Command, auto-execute flag and environment go to the selected profile
      */
     async saveConfig() {
+        const { env, invalidLine } = parseEnvText(this.elements.profileEnvInput?.value || '');
+        if (invalidLine) {
+            this.showMessage(`${translations[currentLanguage].profileEnvInvalid} ${invalidLine}`, 'error');
+            return;
+        }
+        
         try {
             this.updateConfig();
             
-            const response = await fetch('/api/config', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(this.config)
+            const saved = await ConfigAPI.saveConfig({
+                run_command: this.config.run_command,
+                execute_automatically: this.config.execute_automatically,
+                env,
+                command_section_visible: this.config.command_section_visible
+            }, this.selectedProfile, this.requestId);
+            this.setEffectiveConfig(saved);
+            this.renderProfiles(saved.profiles, saved.default_profile, saved.profile);
+            
+            // Show confirmation message
+            this.showMessage('Configuration saved successfully!', 'success');
+        } catch (error) {
+            console.error('Error saving config:', error);
+            this.showMessage(`Error saving configuration: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Fill the profile selector
+     * @param {Array<Object>} profiles - Profiles of the project
+     * @param {string} defaultProfile - Name of the default profile
+     * @param {string} selectedProfile - Profile to select (default: keep the current one if it still exists)
+     */
+    renderProfiles(profiles, defaultProfile, selectedProfile = this.selectedProfile) {
+        this.profiles = profiles;
+        this.defaultProfile = defaultProfile;
+        this.selectedProfile = profiles.some(profile => profile.name === selectedProfile)
+            ? selectedProfile
+            : defaultProfile;
+        
+        const select = this.elements.profileSelect;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        profiles.forEach((profile) => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.name === defaultProfile
+                ? `${profile.name} ${translations[currentLanguage].profileDefaultSuffix}`
+                : profile.name;
+            select.appendChild(option);
+        });
+        select.value = this.selectedProfile || '';
+        
+        if (this.elements.profileDefaultBtn) {
+            this.elements.profileDefaultBtn.disabled = this.selectedProfile === defaultProfile;
+        }
+        
+        // Profiles from the global file or .feedbackrc.json are renamed and deleted in that file
+        const shared = this.isSharedProfile(this.selectedProfile);
+        const sharedTitle = shared ? translations[currentLanguage].profileShared : '';
+        if (this.elements.profileRenameBtn) {
+            this.elements.profileRenameBtn.disabled = shared;
+            this.elements.profileRenameBtn.title = sharedTitle;
+        }
+        if (this.elements.profileDeleteBtn) {
+            this.elements.profileDeleteBtn.disabled = profiles.length <= 1 || shared;
+            this.elements.profileDeleteBtn.title = sharedTitle;
+        }
+        
+        this.renderConfigSources();
+    }
+    
+    /**
+     * Keep the merged config for the sources panel
+     * @param {Object} config - Config as returned by the server, with sources and layers
+     */
+    setEffectiveConfig(config) {
+        this.effectiveConfig = { ...config };
+    }
+    
+    /**
+     * Check if a profile is defined in a shared file rather than the user's own
+     * @param {string} name - Profile name
+     * @returns {boolean} True for profiles from the global file or .feedbackrc.json
+     */
+    isSharedProfile(name) {
+        const sources = this.effectiveConfig && this.effectiveConfig.sources;
+        const profileSources = sources && sources.profiles && sources.profiles[name];
+        return Boolean(profileSources) && (profileSources.name === 'global' || profileSources.name === 'project');
+    }
+    
+    /**
+     * Show where each effective value of the selected profile and the project came from
+     */
+    renderConfigSources() {
+        const list = this.elements.configSourcesList;
+        const layersList = this.elements.configLayersList;
+        const config = this.effectiveConfig;
+        if (!list || !layersList || !config || !config.sources) return;
+        
+        const langData = translations[currentLanguage];
+        const sources = config.sources;
+        const profile = this.profiles.find(candidate => candidate.name === this.selectedProfile);
+        const rows = [];
+        
+        if (profile) {
+            const profileSources = sources.profiles[profile.name] || { env: {} };
+            rows.push([langData.profileLabel, profile.name, profileSources.name]);
+            rows.push(['run_command', profile.run_command, profileSources.run_command]);
+            rows.push(['execute_automatically', profile.execute_automatically, profileSources.execute_automatically]);
+            Object.entries(profile.env || {}).forEach(([variable, value]) => {
+                rows.push([`env ${variable}`, value, profileSources.env[variable]]);
             });
+        }
+        
+        // Project settings; the flattened profile keys are covered above
+        Object.entries(sources).forEach(([key, source]) => {
+            if (typeof source === 'string' && key !== 'run_command' && key !== 'execute_automatically') {
+                rows.push([key, config[key], source]);
+            }
+        });
+        
+        list.innerHTML = '';
+        rows.forEach(([key, value, source]) => {
+            const row = document.createElement('tr');
+            [
+                [key, ''],
+                [value === null || value === undefined ? '—' : (typeof value === 'string' ? value : JSON.stringify(value)), 'config-sources-value'],
+                [configSourceLabel(source), 'config-sources-origin']
+            ].forEach(([text, className]) => {
+                const cell = document.createElement('td');
+                cell.className = className;
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            list.appendChild(row);
+        });
+        
+        layersList.innerHTML = '';
+        (config.layers || []).filter(layer => layer.name !== 'defaults').forEach((layer) => {
+            const item = document.createElement('li');
+            let detail;
+            if (layer.name === 'env') {
+                detail = layer.variables.length > 0 ? layer.variables.join(', ') : langData.configLayerNoVariables;
+            } else if (layer.error) {
+                detail = `${layer.file} (${langData.configLayerUnreadable} ${layer.error})`;
+            } else {
+                detail = layer.exists ? layer.file : `${layer.file} (${langData.configLayerMissing})`;
+            }
+            item.textContent = `${configSourceLabel(layer.name)}: ${detail}`;
             
-            const result = await response.json();
+            // Entries left out of the file by validation
+            const errors = Object.entries(layer.errors || {});
+            if (errors.length > 0) {
+                const errorList = document.createElement('ul');
+                errors.forEach(([key, message]) => {
+                    const errorItem = document.createElement('li');
+                    errorItem.className = 'config-layers-error';
+                    errorItem.textContent = `${key}: ${message}`;
+                    errorList.appendChild(errorItem);
+                });
+                item.appendChild(errorList);
+            }
+            if (layer.error) {
+                item.className = 'config-layers-error';
+            }
             
-            if (result.success) {
-                // Show confirmation message
-                this.showMessage('Configuration saved successfully!', 'success');
-            } else {
-                throw new Error('Failed to save configuration');
+            // A committed file only gets to auto-execute and set variables once the user trusts it
+            if (layer.name === 'project' && layer.exists && !layer.error && layer.trusted === false) {
+                const note = document.createElement('div');
+                note.className = 'config-layers-untrusted';
+                note.textContent = layer.ignored && layer.ignored.length > 0
+                    ? `${langData.projectConfigUntrusted} ${langData.projectConfigIgnored} ${layer.ignored.join(', ')}`
+                    : langData.projectConfigUntrusted;
+                
+                const trustButton = document.createElement('button');
+                trustButton.className = 'terminal-btn small';
+                trustButton.textContent = langData.trustProjectConfig;
+                trustButton.addEventListener('click', () => this.trustProjectConfig());
+                
+                note.appendChild(trustButton);
+                item.appendChild(note);
             }
+            layersList.appendChild(item);
+        });
+        
+        // Problems are shown without having to open the panel
+        if (this.elements.configSources) {
+            const problems = this.hasConfigProblems();
+            this.elements.configSources.classList.toggle('has-problems', problems);
+            if (problems) {
+                this.elements.configSources.open = true;
+            }
+        }
+    }
+    
+    /**
+     * Trust the project's .feedbackrc.json and show the config with its settings applied
+     */
+    async trustProjectConfig() {
+        try {
+            await ConfigAPI.trustProjectConfig(this.requestId);
+            const config = await ConfigAPI.loadConfig(this.selectedProfile, this.requestId);
+            this.setEffectiveConfig(config);
+            this.renderProfiles(config.profiles, config.default_profile, config.profile);
+            this.selectProfile(this.selectedProfile);
         } catch (error) {
-            console.error('Error saving config:', error);
-            this.showMessage('Error saving configuration', 'error');
+            console.error('Error trusting project config:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * Check if a config file couldn't be read or had invalid entries
+     * @returns {boolean} True if the last loaded config reported problems
+     */
+    hasConfigProblems() {
+        const layers = (this.effectiveConfig && this.effectiveConfig.layers) || [];
+        return layers.some(layer => layer.error || Object.keys(layer.errors || {}).length > 0);
+    }
+    
+    /**
+     * Put a profile's command, auto-execute flag and environment into the form
+     * @param {Object} profile - Profile settings
+     */
+    showProfile(profile) {
+        if (this.elements.commandInput) {
+            this.elements.commandInput.value = profile.run_command || '';
+        }
+        if (this.elements.autoExecuteCheckbox) {
+            this.elements.autoExecuteCheckbox.checked = Boolean(profile.execute_automatically);
+        }
+        if (this.elements.profileEnvInput) {
+            this.elements.profileEnvInput.value = formatEnvText(profile.env || {});
+        }
+    }
+    
+    /**
+     * Switch the form to another profile
+     * @param {string} name - Profile name
+     */
+    selectProfile(name) {
+        const profile = this.profiles.find(candidate => candidate.name === name);
+        if (!profile) return;
+        
+        this.renderProfiles(this.profiles, this.defaultProfile, name);
+        this.showProfile(profile);
+    }
+    
+    /**
+     * Create, clone, rename, delete or set the default profile
+     * @param {string} action - "new", "clone", "rename", "delete" or "default"
+     */
+    async handleProfileAction(action) {
+        const langData = translations[currentLanguage];
+        const current = this.selectedProfile;
+        
+        try {
+            let selected = current;
+            
+            if (action === 'new' || action === 'clone' || action === 'rename') {
+                const suggestion = action === 'new' ? '' : (action === 'clone' ? `${current} copy` : current);
+                const name = window.prompt(langData.profileNamePrompt, suggestion);
+                if (!name || !name.trim() || name.trim() === current) return;
+                selected = name.trim();
+                
+                if (action === 'new') {
+                    await ConfigAPI.createProfile(selected, this.requestId);
+                } else if (action === 'clone') {
+                    await ConfigAPI.cloneProfile(current, selected, this.requestId);
+                } else {
+                    await ConfigAPI.renameProfile(current, selected, this.requestId);
+                }
+            } else if (action === 'delete') {
+                if (!window.confirm(`${langData.profileDeleteConfirm} "${current}"?`)) return;
+                await ConfigAPI.deleteConfig(current, this.requestId);
+                selected = null;
+            } else if (action === 'default') {
+                await ConfigAPI.setDefaultProfile(current, this.requestId);
+            }
+            
+            // Reload with sources, a deleted profile falls back to the default one
+            const { defaultProfile } = await ConfigAPI.listProfiles(this.requestId);
+            const config = await ConfigAPI.loadConfig(selected || defaultProfile, this.requestId);
+            this.setEffectiveConfig(config);
+            this.renderProfiles(config.profiles, config.default_profile, config.profile);
+            this.selectProfile(this.selectedProfile);
+        } catch (error) {
+            console.error('Error updating profiles:', error);
+            this.showMessage(error.message, 'error');
         }
     }
     
@@ -342,7 +1048,7 @@ class FeedbackUI {
     connectWebSocket() {
         // Determine protocol (ws/wss) based on location.protocol
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//${window.location.host}`;
+        const wsUrl = `${protocol}//${window.location.host}/?token=${encodeURIComponent(SESSION_TOKEN)}`;
         
         try {
             this.ws = new WebSocket(wsUrl);
@@ -361,8 +1067,7 @@ class FeedbackUI {
             };
             
             this.ws.onclose = () => {
-        
-                // Auto-reconnect logic
+                // Auto-reconnect logic; after a daemon restart the old token is refused and a new tab opens
                 setTimeout(() => {
                     this.connectWebSocket();
                 }, 3000);
@@ -381,7 +1086,18 @@ class FeedbackUI {
      * @param {Object} message - WebSocket message
      */
     handleWebSocketMessage(message) {
+        // Messages about other requests in the queue
+        if (message.requestId && message.requestId !== this.requestId) {
+            return;
+        }
+        
         switch (message.type) {
+            case 'queue':
+                // Requests added or answered
+                this.handleQueue(message.data.requests);
+                break;
+                
+
             case 'logs':
                 // Replace console content
                 if (this.elements.consoleOutput) {
@@ -400,11 +1116,161 @@ class FeedbackUI {
                 this.updateProcessStatus(message.data);
                 break;
                 
+            case 'cancelled':
+                // Request withdrawn by the agent
+                this.showCancelledBanner(message.data);
+                break;
+                
+            case 'timeout':
+                // Countdown extended, possibly from another tab
+                this.updateCountdown(message.data);
+                break;
+                
+            case 'timedOut':
+                // Nobody answered in time, the default answer was sent
+                this.showTimedOutBanner(message.data);
+                break;
+                
             default:
     
         }
     }
     
+    /**
+     * Show banner for a request cancelled by the agent and lock the form
+     * @param {Object} data - Cancellation data with reason
+     */
+    showCancelledBanner(data) {
+        this.showClosedBanner('requestCancelled', data && data.reason);
+    }
+    
+    /**
+     * Show banner for a request answered with the default answer and lock the form
+     * @param {Object} data - Timeout data with the answer sent
+     */
+    showTimedOutBanner(data) {
+        this.showClosedBanner('requestTimedOut', data && data.answer, 'timeout-banner');
+    }
+    
+    /**
+     * Lock the form once the request can no longer be answered and explain why
+     * @param {string} titleKey - Translation key of the banner title
+     * @param {string} detail - Reason or answer shown under the title (optional)
+     * @param {string} className - Extra banner class (optional)
+     */
+    showClosedBanner(titleKey, detail, className = '') {
+        this.isRequestClosed = true;
+        this.updateCountdown(null);
+        
+        if (this.isRecording) {
+            this.stopRecording();
+        }
+        if (this.elements.feedbackTextarea) {
+            this.elements.feedbackTextarea.disabled = true;
+        }
+        if (this.elements.submitFeedbackBtn) {
+            this.elements.submitFeedbackBtn.disabled = true;
+        }
+        
+        const banner = document.createElement('div');
+        banner.className = `cancel-banner ${className} fade-in`;
+        
+        const title = document.createElement('span');
+        title.setAttribute('data-lang-key', titleKey);
+        title.textContent = translations[currentLanguage][titleKey];
+        banner.appendChild(title);
+        
+        if (detail) {
+            const reason = document.createElement('span');
+            reason.className = 'cancel-reason';
+            reason.textContent = detail;
+            banner.appendChild(reason);
+        }
+        
+        const terminalBody = document.querySelector('.terminal-body');
+        if (terminalBody) {
+            terminalBody.insertBefore(banner, terminalBody.firstChild);
+        }
+    }
+    
+    /**
+     * Show or update the countdown before the default answer is sent
+     * @param {Object|null} timeout - { remaining_ms, default_answer }, null hides the countdown
+     */
+    updateCountdown(timeout) {
+        clearInterval(this.countdownTimer);
+        
+        if (!this.elements.timeoutCountdown) {
+            return;
+        }
+        
+        if (!timeout) {
+            this.timeoutDeadline = null;
+            this.elements.timeoutCountdown.classList.add('hidden');
+            return;
+        }
+        
+        this.timeoutDeadline = Date.now() + timeout.remaining_ms;
+        this.elements.timeoutCountdown.title = timeout.default_answer || '';
+        this.elements.timeoutCountdown.classList.remove('hidden');
+        
+        this.renderCountdown();
+        this.countdownTimer = setInterval(() => {
+            this.renderCountdown();
+        }, 1000);
+    }
+    
+    /**
+     * Render the remaining time as mm:ss
+     */
+    renderCountdown() {
+        const totalSeconds = Math.ceil(Math.max(this.timeoutDeadline - Date.now(), 0) / 1000);
+        const minutes = Math.floor(totalSeconds / 60).toString().padStart(2, '0');
+        const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+        
+        this.elements.timeoutRemaining.textContent = `${minutes}:${seconds}`;
+        this.elements.timeoutCountdown.classList.toggle('urgent', totalSeconds <= 60);
+    }
+    
+    /**
+     * Ask the server for more time before the default answer is sent
+     */
+    async extendTimeout() {
+        try {
+            const response = await fetch(this.apiUrl('/api/extend-timeout'), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.updateCountdown(result.timeout);
+        } catch (error) {
+            console.error('Error extending timeout:', error);
+            this.showMessage(translations[currentLanguage].extendTimeoutFailed, 'error');
+        }
+    }
+    
+    /**
+     * Report user activity to the server (throttled per activity type)
+     * @param {string} activity - Activity type (typing, recording)
+     */
+    reportActivity(activity) {
+        const now = Date.now();
+        if (now - (this.activityReportedAt[activity] || 0) < 5000) {
+            return;
+        }
+        
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.activityReportedAt[activity] = now;
+            this.ws.send(JSON.stringify({ type: 'activity', activity, requestId: this.requestId }));
+        }
+    }
+    
     /**
      * Toggle command section visibility
      */
@@ -471,20 +1337,9 @@ class FeedbackUI {
      */
     async runCommand(command) {
         try {
-            const response = await fetch('/api/run-command', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ command })
-            });
-            
-            const result = await response.json();
-            
-            if (result.success) {
-                this.isProcessRunning = true;
-                this.updateRunButton();
-            } else {
-                throw new Error('Failed to run command');
-            }
+            const status = await ProcessAPI.runCommand(command, this.requestId, this.selectedProfile);
+            this.isProcessRunning = status.isRunning;
+            this.updateRunButton();
         } catch (error) {
             console.error('Error running command:', error);
             this.showMessage('Error running command', 'error');
@@ -496,19 +1351,9 @@ class FeedbackUI {
      */
     async stopCommand() {
         try {
-            const response = await fetch('/api/stop-command', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
-            });
-            
-            const result = await response.json();
-            
-            if (result.success) {
-                this.isProcessRunning = false;
-                this.updateRunButton();
-            } else {
-                throw new Error('Failed to stop command');
-            }
+            const status = await ProcessAPI.stopProcess(this.requestId);
+            this.isProcessRunning = status.isRunning;
+            this.updateRunButton();
         } catch (error) {
             console.error('Error stopping command:', error);
             this.showMessage('Error stopping command', 'error');
@@ -562,6 +1407,13 @@ class FeedbackUI {
         if (this.elements.consoleOutput) {
             this.elements.consoleOutput.textContent = '';
         }
+        
+        // Cleared output is not sent with the feedback either
+        if (this.requestId) {
+            ProcessAPI.clearLogs(this.requestId).catch((error) => {
+                console.error('Error clearing logs:', error);
+            });
+        }
     }
     
     /**
@@ -575,11 +1427,24 @@ class FeedbackUI {
     
     /**
      * Handle submit feedback button click
+     * @param {number} quickReplyIndex - Quick reply sent as is instead of the typed text (optional)
      */
-    async handleSubmitFeedback() {
-        const feedback = this.elements.feedbackTextarea?.value.trim();
-        
-        if (!feedback) {
+    async handleSubmitFeedback(quickReplyIndex = null) {
+        const quickReply = quickReplyIndex !== null
+            ? { index: quickReplyIndex, text: this.predefinedOptions[quickReplyIndex] }
+            : this.insertedQuickReply;
+        const feedback = quickReplyIndex !== null
+            ? quickReply.text
+            : this.elements.feedbackTextarea?.value.trim() || '';
+        
+        // Structured questions need an answer, the feedback text is a comment or reason
+        if (this.interactionPanel.isActive()) {
+            const problem = this.interactionPanel.validate(feedback);
+            if (problem) {
+                this.showMessage(translations[currentLanguage][problem], 'error');
+                return;
+            }
+        } else if (!feedback) {
             this.showMessage('Please enter feedback before submitting', 'error');
             return;
         }
@@ -588,31 +1453,85 @@ class FeedbackUI {
             // Disable form during submission
             this.setFormDisabled(true);
             
-            const response = await fetch('/api/submit-feedback', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ feedback })
-            });
-            
-            const result = await response.json();
+            await FeedbackAPI.submit({
+                feedback,
+                interaction: this.interactionPanel.getResult(),
+                predefinedOption: quickReply
+                    ? { index: quickReply.index, edited: feedback !== quickReply.text }
+                    : null
+            }, this.requestId);
             
-            if (result.success) {
-                this.showMessage('Feedback submitted successfully!', 'success');
-                
-                // Auto-close window after delay
-                setTimeout(() => {
-                    window.close();
-                }, 2000);
-            } else {
-                throw new Error('Failed to submit feedback');
-            }
+            // The tab stays open and moves on to the next request
+            this.showMessage('Feedback submitted successfully!', 'success');
         } catch (error) {
+            // Form values rejected by the server stay editable with errors shown inline
+            if (error.errors) {
+                this.interactionPanel.showErrors(error.errors);
+                this.showMessage(translations[currentLanguage].formHasErrors, 'error');
+                this.setFormDisabled(false);
+                return;
+            }
+            
             console.error('Error submitting feedback:', error);
             this.showMessage('Error submitting feedback', 'error');
             this.setFormDisabled(false);
         }
     }
     
+    /**
+     * Render the quick replies offered with the request as chips
+     * The chip sends its text right away, the pencil puts it in the feedback box for editing
+     * @param {Array<string>} options - Reply texts
+     */
+    renderQuickReplies(options) {
+        this.predefinedOptions = options;
+        
+        const container = this.elements.quickReplies;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        options.forEach((text, index) => {
+            const chip = document.createElement('div');
+            chip.className = 'quick-reply';
+            
+            const sendBtn = document.createElement('button');
+            sendBtn.type = 'button';
+            sendBtn.className = 'quick-reply-send';
+            sendBtn.textContent = text;
+            sendBtn.title = translations[currentLanguage].quickReplySend;
+            sendBtn.addEventListener('click', () => this.handleSubmitFeedback(index));
+            
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'quick-reply-edit';
+            editBtn.textContent = '✎';
+            editBtn.title = translations[currentLanguage].quickReplyEdit;
+            editBtn.addEventListener('click', () => this.insertQuickReply(index));
+            
+            chip.appendChild(sendBtn);
+            chip.appendChild(editBtn);
+            container.appendChild(chip);
+        });
+        
+        container.classList.toggle('hidden', options.length === 0);
+    }
+    
+    /**
+     * Put a quick reply into the feedback box so it can be edited before sending
+     * @param {number} index - Quick reply index
+     */
+    insertQuickReply(index) {
+        const textarea = this.elements.feedbackTextarea;
+        if (!textarea) return;
+        
+        const text = this.predefinedOptions[index];
+        textarea.value = text;
+        textarea.focus();
+        textarea.setSelectionRange(text.length, text.length);
+        
+        this.insertedQuickReply = { index, text };
+    }
+    
     /**
      * Set form disabled state
      * @param {boolean} disabled - Whether to disable the form
@@ -622,6 +1541,14 @@ class FeedbackUI {
             this.elements.feedbackTextarea.disabled = disabled;
         }
         
+        this.interactionPanel.setDisabled(disabled);
+        
+        if (this.elements.quickReplies) {
+            this.elements.quickReplies.querySelectorAll('button').forEach(button => {
+                button.disabled = disabled;
+            });
+        }
+        
         if (this.elements.submitFeedbackBtn) {
             this.elements.submitFeedbackBtn.disabled = disabled;
             this.elements.submitFeedbackBtn.textContent = disabled 
@@ -631,48 +1558,158 @@ class FeedbackUI {
     }
     
     /**
-     * Show message to user
-     * @param {string} message - Message text
-     * @param {string} type - Message type (success, error, info)
+     * Show message to user
+     * @param {string} message - Message text
+     * @param {string} type - Message type (success, error, info)
+     */
+    showMessage(message, type = 'info') {
+        // Create message element
+        const messageEl = document.createElement('div');
+        messageEl.textContent = message;
+        messageEl.className = `message message-${type} fade-in`;
+        messageEl.style.cssText = `
+            position: fixed;
+            top: 20px;
+            right: 20px;
+            padding: 12px 20px;
+            border-radius: 6px;
+            color: white;
+            font-weight: 500;
+            z-index: 1000;
+            max-width: 300px;
+        `;
+        
+        // Set background color based on type
+        switch (type) {
+            case 'success':
+                messageEl.style.backgroundColor = '#28a745';
+                break;
+            case 'error':
+                messageEl.style.backgroundColor = '#dc3545';
+                break;
+            default:
+                messageEl.style.backgroundColor = '#4a9eff';
+        }
+        
+        // Add to page
+        document.body.appendChild(messageEl);
+        
+        // Remove after 3 seconds
+        setTimeout(() => {
+            if (messageEl.parentNode) {
+                messageEl.parentNode.removeChild(messageEl);
+            }
+        }, 3000);
+    }
+    
+    /**
+     * Handle paste into feedback textarea, uploading any pasted images
+     * @param {ClipboardEvent} e - Paste event
+     */
+    handleImagePaste(e) {
+        const items = e.clipboardData ? Array.from(e.clipboardData.items) : [];
+        const files = items
+            .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+        
+        // Let plain text paste through untouched
+        if (files.length > 0) {
+            e.preventDefault();
+            files.forEach(file => this.uploadImage(file));
+        }
+    }
+    
+    /**
+     * Handle files dropped on feedback textarea
+     * @param {DragEvent} e - Drop event
+     */
+    handleImageDrop(e) {
+        const files = e.dataTransfer ? Array.from(e.dataTransfer.files).filter(file => file.type.startsWith('image/')) : [];
+        
+        if (files.length > 0) {
+            e.preventDefault();
+            files.forEach(file => this.uploadImage(file));
+        }
+    }
+    
+    /**
+     * Upload image to the server and show its preview
+     * @param {File} file - Image file
+     */
+    async uploadImage(file) {
+        try {
+            const formData = new FormData();
+            formData.append('image', file, file.name || 'screenshot.png');
+            
+            const response = await fetch(this.apiUrl('/api/upload-image'), {
+                method: 'POST',
+                body: formData
+            });
+            
+            const result = await response.json();
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            this.renderImageAttachment(result.image, file);
+        } catch (error) {
+            console.error('Error uploading image:', error);
+            this.showMessage(`${translations[currentLanguage].imageUploadFailed}: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Render preview for an attached image
+     * @param {Object} image - Uploaded image info (id, name)
+     * @param {File} file - Image file used for the preview
+     */
+    renderImageAttachment(image, file) {
+        const container = this.elements.imageAttachments;
+        if (!container) return;
+        
+        const previewUrl = URL.createObjectURL(file);
+        this.attachedImages.set(image.id, previewUrl);
+        
+        const item = document.createElement('div');
+        item.className = 'image-attachment fade-in';
+        item.title = image.name;
+        
+        const img = document.createElement('img');
+        img.src = previewUrl;
+        img.alt = image.name;
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'close-btn image-remove-btn';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => this.removeImage(image.id, item));
+        
+        item.appendChild(img);
+        item.appendChild(removeBtn);
+        container.appendChild(item);
+        container.classList.remove('hidden');
+    }
+    
+    /**
+     * Remove an attached image
+     * @param {string} id - Upload id
+     * @param {HTMLElement} item - Preview element
      */
-    showMessage(message, type = 'info') {
-        // Create message element
-        const messageEl = document.createElement('div');
-        messageEl.textContent = message;
-        messageEl.className = `message message-${type} fade-in`;
-        messageEl.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            padding: 12px 20px;
-            border-radius: 6px;
-            color: white;
-            font-weight: 500;
-            z-index: 1000;
-            max-width: 300px;
-        `;
-        
-        // Set background color based on type
-        switch (type) {
-            case 'success':
-                messageEl.style.backgroundColor = '#28a745';
-                break;
-            case 'error':
-                messageEl.style.backgroundColor = '#dc3545';
-                break;
-            default:
-                messageEl.style.backgroundColor = '#4a9eff';
+    async removeImage(id, item) {
+        try {
+            await fetch(this.apiUrl(`/api/upload-image/${encodeURIComponent(id)}`), { method: 'DELETE' });
+        } catch (error) {
+            console.error('Error removing image:', error);
         }
         
-        // Add to page
-        document.body.appendChild(messageEl);
+        URL.revokeObjectURL(this.attachedImages.get(id));
+        this.attachedImages.delete(id);
+        item.remove();
         
-        // Remove after 3 seconds
-        setTimeout(() => {
-            if (messageEl.parentNode) {
-                messageEl.parentNode.removeChild(messageEl);
-            }
-        }, 3000);
+        if (this.attachedImages.size === 0 && this.elements.imageAttachments) {
+            this.elements.imageAttachments.classList.add('hidden');
+        }
     }
     
     /**
@@ -712,6 +1749,7 @@ class FeedbackUI {
             // Start recording
             this.mediaRecorder.start();
             this.isRecording = true;
+            this.reportActivity('recording');
             this.recordingStartTime = Date.now();
             
             // Update UI
@@ -762,7 +1800,7 @@ class FeedbackUI {
             formData.append('audio', audioBlob, 'recording.webm');
             
             // Send to speech-to-text API
-            const response = await fetch('/api/speech-to-text', {
+            const response = await fetch(this.apiUrl('/api/speech-to-text'), {
                 method: 'POST',
                 body: formData
             });
@@ -1047,7 +2085,7 @@ class FeedbackUI {
      */
     async loadDirectoryContents(path) {
         try {
-            const response = await fetch(`/api/browse-files?path=${encodeURIComponent(path)}`);
+            const response = await fetch(this.apiUrl(`/api/browse-files?path=${encodeURIComponent(path)}`));
             const data = await response.json();
             
             if (data.success) {
@@ -1770,7 +2808,70 @@ const translations = {
         autoMcpRequest: 'Automatically add MCP feedback request',
         micReady: 'Ready',
         recording: 'Recording...',
-        transcribing: 'Transcribing...'
+        transcribing: 'Transcribing...',
+        requestCancelled: 'Request cancelled by agent',
+        imageImportHint: 'Paste or drop images to attach screenshots',
+        imageUploadFailed: 'Failed to attach image',
+        chooseOne: 'Choose one option',
+        chooseMany: 'Choose one or more options',
+        otherPlaceholder: 'Other (type your own answer)...',
+        choiceRequired: 'Please choose an option before submitting',
+        riskLow: 'Low risk',
+        riskMedium: 'Medium risk',
+        riskHigh: 'High risk',
+        riskCritical: 'Critical risk',
+        affectedCommands: 'Commands',
+        affectedFiles: 'Files',
+        approveAction: 'Approve',
+        rejectAction: 'Reject',
+        approveWithChanges: 'Approve with changes',
+        reasonHint: 'Explain your decision in the feedback box (required to reject or request changes)',
+        decisionRequired: 'Please approve or reject before submitting',
+        reasonRequired: 'Please enter a reason in the feedback box',
+        onePerLine: 'One item per line',
+        formHasErrors: 'Please fix the highlighted fields',
+        timeoutRemaining: 'Default answer in',
+        extendTimeout: '+5 min',
+        extendTimeoutFailed: 'Could not extend the timeout',
+        requestTimedOut: 'No answer in time, the default answer was sent',
+        noPendingRequests: 'No pending requests. New requests will show up in this tab.',
+        requestQueue: 'Pending requests',
+        unknownAgent: 'Unknown agent',
+        quickReplySend: 'Send this reply',
+        quickReplyEdit: 'Edit before sending',
+        ageJustNow: 'just now',
+        ageMinutes: 'm ago',
+        ageHours: 'h ago',
+        sessionExpired: 'This tab belongs to an earlier session, close it. The next request opens a new tab.',
+        feedbackHistory: 'Earlier feedback in this project',
+        historyNoFeedback: '(no feedback text)',
+        profileLabel: 'Profile',
+        profileDefaultSuffix: '(default)',
+        profileSetDefault: 'Set default',
+        profileNew: 'New',
+        profileClone: 'Clone',
+        profileRename: 'Rename',
+        profileDelete: 'Delete',
+        profileEnv: 'Environment',
+        profileEnvPlaceholder: 'KEY=value, one per line',
+        profileEnvInvalid: 'Not a KEY=value line:',
+        profileNamePrompt: 'Profile name',
+        profileDeleteConfirm: 'Delete profile',
+        profileShared: 'Shared profile, rename or delete it in the file it comes from',
+        configSources: 'Where these settings come from',
+        configSourceDefaults: 'built-in',
+        configSourceGlobal: 'global file',
+        configSourceProject: '.feedbackrc.json',
+        configSourceUser: 'your project file',
+        configSourceEnv: 'environment',
+        configSourceUntrusted: 'off, command from an untrusted .feedbackrc.json',
+        projectConfigUntrusted: 'Not trusted: its commands never run automatically.',
+        projectConfigIgnored: 'Ignored:',
+        trustProjectConfig: 'Trust this file',
+        configLayerMissing: 'not found',
+        configLayerUnreadable: 'unreadable:',
+        configLayerNoVariables: 'no IFM_* variables set',
+        configProblems: 'Some config files have problems, see "Where these settings come from"'
     },
     vi: {
         title: 'Interactive Feedback MCP Terminal',
@@ -1790,12 +2891,133 @@ const translations = {
         autoMcpRequest: 'Tự động thêm yêu cầu MCP feedback',
         micReady: 'Sẵn sàng',
         recording: 'Đang ghi âm...',
-        transcribing: 'Đang chuyển đổi...'
+        transcribing: 'Đang chuyển đổi...',
+        requestCancelled: 'Yêu cầu đã bị agent hủy',
+        imageImportHint: 'Dán hoặc kéo thả ảnh để đính kèm ảnh chụp màn hình',
+        imageUploadFailed: 'Không thể đính kèm ảnh',
+        chooseOne: 'Chọn một phương án',
+        chooseMany: 'Chọn một hoặc nhiều phương án',
+        otherPlaceholder: 'Khác (nhập câu trả lời của bạn)...',
+        choiceRequired: 'Vui lòng chọn một phương án trước khi gửi',
+        riskLow: 'Rủi ro thấp',
+        riskMedium: 'Rủi ro trung bình',
+        riskHigh: 'Rủi ro cao',
+        riskCritical: 'Rủi ro nghiêm trọng',
+        affectedCommands: 'Lệnh',
+        affectedFiles: 'File',
+        approveAction: 'Chấp thuận',
+        rejectAction: 'Từ chối',
+        approveWithChanges: 'Chấp thuận kèm thay đổi',
+        reasonHint: 'Giải thích quyết định trong ô phản hồi (bắt buộc khi từ chối hoặc yêu cầu thay đổi)',
+        decisionRequired: 'Vui lòng chấp thuận hoặc từ chối trước khi gửi',
+        reasonRequired: 'Vui lòng nhập lý do trong ô phản hồi',
+        onePerLine: 'Mỗi dòng một mục',
+        formHasErrors: 'Vui lòng sửa các trường được đánh dấu',
+        timeoutRemaining: 'Trả lời mặc định sau',
+        extendTimeout: '+5 phút',
+        extendTimeoutFailed: 'Không thể gia hạn thời gian chờ',
+        requestTimedOut: 'Không có phản hồi kịp thời, câu trả lời mặc định đã được gửi',
+        noPendingRequests: 'Không có yêu cầu nào đang chờ. Yêu cầu mới sẽ hiển thị trong tab này.',
+        requestQueue: 'Yêu cầu đang chờ',
+        unknownAgent: 'Agent không rõ',
+        quickReplySend: 'Gửi câu trả lời này',
+        quickReplyEdit: 'Sửa trước khi gửi',
+        ageJustNow: 'vừa xong',
+        ageMinutes: ' phút trước',
+        ageHours: ' giờ trước',
+        sessionExpired: 'Tab này thuộc phiên trước, hãy đóng nó. Yêu cầu tiếp theo sẽ mở tab mới.',
+        feedbackHistory: 'Phản hồi trước đây trong dự án này',
+        historyNoFeedback: '(không có nội dung phản hồi)',
+        profileLabel: 'Hồ sơ',
+        profileDefaultSuffix: '(mặc định)',
+        profileSetDefault: 'Đặt mặc định',
+        profileNew: 'Tạo mới',
+        profileClone: 'Nhân bản',
+        profileRename: 'Đổi tên',
+        profileDelete: 'Xóa',
+        profileEnv: 'Biến môi trường',
+        profileEnvPlaceholder: 'KEY=value, mỗi dòng một biến',
+        profileEnvInvalid: 'Không phải dòng KEY=value:',
+        profileNamePrompt: 'Tên hồ sơ',
+        profileDeleteConfirm: 'Xóa hồ sơ',
+        profileShared: 'Hồ sơ dùng chung, hãy đổi tên hoặc xóa trong tệp chứa nó',
+        configSources: 'Nguồn của các thiết lập',
+        configSourceDefaults: 'mặc định',
+        configSourceGlobal: 'tệp toàn cục',
+        configSourceProject: '.feedbackrc.json',
+        configSourceUser: 'tệp dự án của bạn',
+        configSourceEnv: 'biến môi trường',
+        configSourceUntrusted: 'tắt, lệnh từ .feedbackrc.json chưa được tin cậy',
+        projectConfigUntrusted: 'Chưa được tin cậy: các lệnh của nó không bao giờ tự động chạy.',
+        projectConfigIgnored: 'Bỏ qua:',
+        trustProjectConfig: 'Tin cậy file này',
+        configLayerMissing: 'không tìm thấy',
+        configLayerUnreadable: 'không đọc được:',
+        configLayerNoVariables: 'chưa đặt biến IFM_* nào',
+        configProblems: 'Một số file cấu hình có lỗi, xem "Nguồn của các thiết lập"'
     }
 };
 
 let currentLanguage = 'en';
 
+/**
+ * Format how long a request has been waiting
+ * @param {string} createdAt - ISO timestamp of the request
+ * @returns {string} Age such as "5m ago" in the current language
+ */
+function formatRequestAge(createdAt) {
+    const langData = translations[currentLanguage];
+    const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000);
+    
+    if (minutes < 1) {
+        return langData.ageJustNow;
+    }
+    if (minutes < 60) {
+        return `${minutes}${langData.ageMinutes}`;
+    }
+    return `${Math.floor(minutes / 60)}${langData.ageHours}`;
+}
+
+/**
+ * Parse KEY=value lines into an environment object
+ * Blank lines and lines starting with # are skipped
+ * @param {string} text - One variable per line
+ * @returns {Object} { env, invalidLine } where invalidLine is the first line that doesn't parse
+ */
+function parseEnvText(text) {
+    const env = {};
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+        
+        const match = line.match(/^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+        if (!match) {
+            return { env, invalidLine: line };
+        }
+        env[match[1]] = match[2];
+    }
+    return { env, invalidLine: null };
+}
+
+/**
+ * Name a config layer in the current language
+ * @param {string} source - defaults, global, project, user or env
+ * @returns {string} Translated layer name
+ */
+function configSourceLabel(source) {
+    const key = `configSource${source.charAt(0).toUpperCase()}${source.slice(1)}`;
+    return translations[currentLanguage][key] || source;
+}
+
+/**
+ * Format an environment object as KEY=value lines
+ * @param {Object} env - Environment variables
+ * @returns {string} One variable per line
+ */
+function formatEnvText(env) {
+    return Object.entries(env).map(([name, value]) => `${name}=${value}`).join('\n');
+}
+
 /**
  * Initialize language switching functionality
  */
@@ -1954,567 +3176,155 @@ function initializePlaceholder() {
     }
 }
 
-// ===== Configuration Manager Functions =====
+// ===== REST API Clients =====
 
 /**
- * Real Configuration Manager API
+ * Call a JSON API endpoint of the request
+ * @param {string} path - API path
+ * @param {string|null} requestId - Request to address (default: the oldest one)
+ * @param {Object} options - fetch options, a body object is sent as JSON
+ * @returns {Promise<Object>} Parsed response with success and data
+ * @throws {Error} With the server's error message when the call fails
+ */
+async function apiRequest(path, requestId = null, options = {}) {
+    const init = { ...options };
+    if (init.body !== undefined) {
+        init.headers = { 'Content-Type': 'application/json', ...init.headers };
+        init.body = JSON.stringify(init.body);
+    }
+    
+    const response = await fetch(apiUrl(path, requestId), init);
+    const result = await response.json();
+    if (!result.success) {
+        const error = new Error(result.error || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        // Field errors of a rejected form
+        error.errors = result.errors;
+        throw error;
+    }
+    return result;
+}
+
+/**
+ * Named configurations of the request's project
  */
 const ConfigAPI = {
-    async loadConfig(name) {
-        const response = await fetch(`/api/config/${name || 'default'}`);
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
+    async loadConfig(name, requestId) {
+        const result = await apiRequest(`/api/config/${encodeURIComponent(name || 'default')}`, requestId);
         return result.data;
     },
     
-    async saveConfig(config, name) {
-        const response = await fetch(`/api/config/${name || 'default'}`, {
+    async saveConfig(config, name, requestId) {
+        const result = await apiRequest(`/api/config/${encodeURIComponent(name || 'default')}`, requestId, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(config)
+            body: config
         });
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
-        return result;
+        return result.data;
     },
     
-    async deleteConfig(name) {
-        const response = await fetch(`/api/config/${name || 'default'}`, {
+    async deleteConfig(name, requestId) {
+        return apiRequest(`/api/config/${encodeURIComponent(name || 'default')}`, requestId, {
             method: 'DELETE'
         });
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
-        return result;
     },
     
-    async listConfigs() {
-        const response = await fetch('/api/config');
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
+    async listConfigs(requestId) {
+        const result = await apiRequest('/api/configs', requestId);
         return result.data;
-    }
-};
-
-/**
- * Configuration Manager UI Functions
- */
-function initializeConfigManager() {
-    // Add event listeners for config buttons
-    const loadBtn = document.getElementById('loadConfigBtn');
-    const saveBtn = document.getElementById('saveConfigBtn');
-    const deleteBtn = document.getElementById('deleteConfigBtn');
-    
-    if (loadBtn) loadBtn.addEventListener('click', loadConfiguration);
-    if (saveBtn) saveBtn.addEventListener('click', saveConfiguration);
-    if (deleteBtn) deleteBtn.addEventListener('click', deleteConfiguration);
-}
-
-async function loadConfiguration() {
-    try {
-        showNotification(languages[currentLanguage].config_loaded, 'success');
-        const config = await ConfigAPI.loadConfig();
-        displayConfigInUI(config);
-    } catch (error) {
-        showNotification('Error loading config: ' + error.message, 'error');
-    }
-}
-
-async function saveConfiguration() {
-    try {
-        const config = getConfigFromUI();
-        await ConfigAPI.saveConfig(config);
-        showNotification(languages[currentLanguage].config_saved, 'success');
-    } catch (error) {
-        showNotification('Error saving config: ' + error.message, 'error');
-    }
-}
-
-async function deleteConfiguration() {
-    if (confirm('Are you sure you want to delete the configuration?')) {
-        try {
-            await ConfigAPI.deleteConfig();
-            showNotification(languages[currentLanguage].config_deleted, 'success');
-            clearConfigUI();
-        } catch (error) {
-            showNotification('Error deleting config: ' + error.message, 'error');
-        }
-    }
-}
-
-function displayConfigInUI(config) {
-    // Mock display config in UI
+    },
     
-}
-
-function getConfigFromUI() {
-    // Mock get config from UI
-    return {
-        projectName: 'Interactive Feedback MCP',
-        version: '1.0.0',
-        settings: {
-            theme: 'dark',
-            language: currentLanguage
-        }
-    };
-}
-
-function clearConfigUI() {
-    // Mock clear config UI
+    async listProfiles(requestId) {
+        const result = await apiRequest('/api/profiles', requestId);
+        return result.data;
+    },
     
-}
-
-// ===== Process Manager Functions =====
-
-/**
- * Real Process Manager API
- */
-const ProcessAPI = {
-    async runCommand(command) {
-        const response = await fetch('/api/process/run', {
+    async createProfile(name, requestId, settings = {}) {
+        const result = await apiRequest('/api/profiles', requestId, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ command })
+            body: { ...settings, name }
         });
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
         return result.data;
     },
     
-    async stopProcess(processId) {
-        const response = await fetch('/api/process/stop', {
+    async cloneProfile(name, newName, requestId) {
+        const result = await apiRequest(`/api/profiles/${encodeURIComponent(name)}/clone`, requestId, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ processId })
+            body: { name: newName }
         });
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
-        return result;
+        return result.data;
     },
     
-    async getLogs() {
-        const response = await fetch('/api/process/logs');
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
+    async renameProfile(name, newName, requestId) {
+        const result = await apiRequest(`/api/profiles/${encodeURIComponent(name)}/rename`, requestId, {
+            method: 'POST',
+            body: { name: newName }
+        });
         return result.data;
     },
     
-    async clearLogs() {
-        const response = await fetch('/api/process/logs', {
-            method: 'DELETE'
+    async setDefaultProfile(name, requestId) {
+        const result = await apiRequest(`/api/profiles/${encodeURIComponent(name)}/default`, requestId, {
+            method: 'POST'
         });
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
-        return result;
+        return result.data;
     },
     
-    async getStatus() {
-        const response = await fetch('/api/process/status');
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
+    async trustProjectConfig(requestId) {
+        const result = await apiRequest('/api/project-config/trust', requestId, { method: 'POST' });
         return result.data;
     }
 };
 
 /**
- * Feedback API for interactive communication
+ * Command run for the request and its output
  */
-const FeedbackAPI = {
-    async submit(feedback) {
-        const response = await fetch('/api/feedback', {
+const ProcessAPI = {
+    async runCommand(command, requestId, profile = null) {
+        const result = await apiRequest('/api/process/run', requestId, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(feedback)
+            body: { command, profile }
         });
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
-        return result;
+        return result.data;
     },
     
-    async getInitialData() {
-        const response = await fetch('/api/initial-data');
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
+    async stopProcess(requestId) {
+        const result = await apiRequest('/api/process/stop', requestId, { method: 'POST' });
         return result.data;
     },
     
-    async getHistory() {
-        const response = await fetch('/api/feedback/history');
-        const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error);
-        }
+    async getLogs(requestId) {
+        const result = await apiRequest('/api/process/logs', requestId);
+        return result.data.logs;
+    },
+    
+    async clearLogs(requestId) {
+        return apiRequest('/api/process/logs', requestId, { method: 'DELETE' });
+    },
+    
+    async getStatus(requestId) {
+        const result = await apiRequest('/api/process/status', requestId);
         return result.data;
     }
 };
 
 /**
- * Process Manager UI Functions
+ * Feedback answer, earlier rounds and everything a tab needs on load
  */
-function initializeProcessManager() {
-    // Add event listeners for process buttons
-    const runBtn = document.getElementById('runCommandBtn');
-    const stopBtn = document.getElementById('stopProcessBtn');
-    const clearBtn = document.getElementById('clearLogsBtn');
-    const commandInput = document.getElementById('commandInput');
-    
-    if (runBtn) runBtn.addEventListener('click', runCommand);
-    if (stopBtn) stopBtn.addEventListener('click', stopProcess);
-    if (clearBtn) clearBtn.addEventListener('click', clearLogs);
-    
-    // Enter key to run command
-    if (commandInput) {
-        commandInput.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                runCommand();
-            }
+const FeedbackAPI = {
+    async submit(feedback, requestId) {
+        return apiRequest('/api/feedback', requestId, {
+            method: 'POST',
+            body: feedback
         });
-    }
-}
-
-async function runCommand() {
-    const commandInput = document.getElementById('commandInput');
-    if (!commandInput) return;
-    
-    const command = commandInput.value.trim();
-    if (!command) return;
-    
-    try {
-        showNotification(languages[currentLanguage].process_started, 'info');
-        updateProcessStatus(true);
-        
-        const result = await ProcessAPI.runCommand(command);
-        updateLogsDisplay();
-        
-        commandInput.value = '';
-        updateProcessStatus(false);
-    } catch (error) {
-        showNotification('Error running command: ' + error.message, 'error');
-        updateProcessStatus(false);
-    }
-}
-
-function stopProcess() {
-    try {
-        const result = ProcessAPI.stopProcess();
-        if (result.success) {
-            showNotification(languages[currentLanguage].process_stopped, 'info');
-            updateProcessStatus(false);
-            updateLogsDisplay();
-        } else {
-            showNotification(result.message || 'No process to stop', 'warning');
-        }
-    } catch (error) {
-        showNotification('Error stopping process: ' + error.message, 'error');
-    }
-}
-
-function clearLogs() {
-    try {
-        ProcessAPI.clearLogs();
-        updateLogsDisplay();
-        showNotification(languages[currentLanguage].logs_cleared, 'info');
-    } catch (error) {
-        showNotification('Error clearing logs: ' + error.message, 'error');
-    }
-}
-
-function updateProcessStatus(isRunning) {
-    const statusElement = document.getElementById('processStatus');
-    if (statusElement) {
-        statusElement.textContent = isRunning ? 'Running' : 'Ready';
-        statusElement.className = isRunning ? 'text-yellow-400' : 'text-green-400';
-    }
-}
-
-function updateLogsDisplay() {
-    const logsElement = document.getElementById('processLogs');
-    if (logsElement) {
-        logsElement.textContent = ProcessAPI.getLogs();
-        logsElement.scrollTop = logsElement.scrollHeight;
-    }
-}
-
-// ===== Utility Functions =====
-
-/**
- * Show notification to user
- */
-function showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `fixed top-4 right-4 px-4 py-2 rounded-lg text-white z-50 transition-all duration-300`;
-    
-    // Set color based on type
-    switch (type) {
-        case 'success':
-            notification.className += ' bg-green-500';
-            break;
-        case 'error':
-            notification.className += ' bg-red-500';
-            break;
-        case 'warning':
-            notification.className += ' bg-yellow-500';
-            break;
-        default:
-            notification.className += ' bg-blue-500';
-    }
-    
-    notification.textContent = message;
-    document.body.appendChild(notification);
-    
-    // Auto remove after 3 seconds
-    setTimeout(() => {
-        notification.style.opacity = '0';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
-    }, 3000);
-}
-
-// ===== Enhanced Initialization =====
-
-/**
- * Enhanced initialization with new features
- */
-function initializeEnhancedFeatures() {
-    initializeConfigManager();
-    initializeProcessManager();
-    initializeFeedbackSystem();
-    initializeWebSocket();
-    
-    // Update placeholder text for command input
-    const commandInput = document.getElementById('commandInput');
-    if (commandInput) {
-        commandInput.placeholder = languages[currentLanguage].command_placeholder;
-    }
-    
-    // Load initial data
-    loadInitialData();
-}
-
-/**
- * Load initial application data
- */
-async function loadInitialData() {
-    try {
-        const initialData = await FeedbackAPI.getInitialData();
-        if (initialData.config) {
-            displayConfigInUI(initialData.config);
-        }
-        if (initialData.processStatus) {
-            updateProcessStatus(initialData.processStatus.isRunning);
-        }
-        if (initialData.logs) {
-            updateLogsDisplay(initialData.logs);
-        }
-    } catch (error) {
-        console.error('Error loading initial data:', error);
-    }
-}
-
-// ===== WebSocket Connection for Real-time Updates =====
-
-let websocket = null;
-
-/**
- * Initialize WebSocket connection
- */
-function initializeWebSocket() {
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}/ws`;
-    
-    websocket = new WebSocket(wsUrl);
-    
-    websocket.onopen = function(event) {
-        
-        showNotification('Connected to server', 'success');
-    };
-    
-    websocket.onmessage = function(event) {
-        const data = JSON.parse(event.data);
-        handleWebSocketMessage(data);
-    };
-    
-    websocket.onclose = function(event) {
-        
-        showNotification('Disconnected from server', 'warning');
-        // Attempt to reconnect after 3 seconds
-        setTimeout(initializeWebSocket, 3000);
-    };
-    
-    websocket.onerror = function(error) {
-        console.error('WebSocket error:', error);
-        showNotification('Connection error', 'error');
-    };
-}
-
-/**
- * Handle incoming WebSocket messages
- */
-function handleWebSocketMessage(data) {
-    switch (data.type) {
-        case 'process_update':
-            updateProcessStatus(data.isRunning);
-            if (data.logs) {
-                updateLogsDisplay(data.logs);
-            }
-            break;
-        case 'config_update':
-            showNotification('Configuration updated', 'info');
-            break;
-        case 'feedback_response':
-            handleFeedbackResponse(data.response);
-            break;
-        default:
-            
-    }
-}
-
-/**
- * Send message via WebSocket
- */
-function sendWebSocketMessage(message) {
-    if (websocket && websocket.readyState === WebSocket.OPEN) {
-        websocket.send(JSON.stringify(message));
-    }
-}
-
-// ===== Feedback System =====
-
-/**
- * Initialize feedback system
- */
-function initializeFeedbackSystem() {
-    // Add feedback form event listeners
-    const feedbackForm = document.getElementById('feedbackForm');
-    if (feedbackForm) {
-        feedbackForm.addEventListener('submit', submitFeedback);
-    }
-    
-    // Load initial feedback data
-    loadFeedbackHistory();
-}
-
-/**
- * Submit feedback to server
- */
-async function submitFeedback(event) {
-    event.preventDefault();
+    },
     
-    const formData = new FormData(event.target);
-    const feedback = {
-        type: formData.get('type'),
-        message: formData.get('message'),
-        priority: formData.get('priority'),
-        timestamp: new Date().toISOString()
-    };
+    async getInitialData(requestId) {
+        const result = await apiRequest('/api/initial-data', requestId);
+        return result.data;
+    },
     
-    try {
-        await FeedbackAPI.submit(feedback);
-        showNotification('Feedback submitted successfully', 'success');
-        event.target.reset();
-        loadFeedbackHistory();
-    } catch (error) {
-        showNotification('Error submitting feedback: ' + error.message, 'error');
-    }
-}
-
-/**
- * Load feedback history
- */
-async function loadFeedbackHistory() {
-    try {
-        const history = await FeedbackAPI.getHistory();
-        displayFeedbackHistory(history);
-    } catch (error) {
-        console.error('Error loading feedback history:', error);
-    }
-}
-
-/**
- * Display feedback history in UI
- */
-function displayFeedbackHistory(history) {
-    const historyContainer = document.getElementById('feedbackHistory');
-    if (!historyContainer) return;
-    
-    historyContainer.innerHTML = '';
-    
-    history.forEach(item => {
-        const feedbackElement = document.createElement('div');
-        feedbackElement.className = 'feedback-item p-3 mb-2 bg-gray-100 rounded';
-        feedbackElement.innerHTML = `
-            <div class="flex justify-between items-start">
-                <div>
-                    <span class="font-medium">${item.type}</span>
-                    <span class="text-sm text-gray-500 ml-2">${new Date(item.timestamp).toLocaleString()}</span>
-                </div>
-                <span class="text-xs px-2 py-1 rounded ${getPriorityClass(item.priority)}">${item.priority}</span>
-            </div>
-            <p class="mt-1 text-sm">${item.message}</p>
-        `;
-        historyContainer.appendChild(feedbackElement);
-    });
-}
-
-/**
- * Get CSS class for priority badge
- */
-function getPriorityClass(priority) {
-    switch (priority) {
-        case 'high': return 'bg-red-200 text-red-800';
-        case 'medium': return 'bg-yellow-200 text-yellow-800';
-        case 'low': return 'bg-green-200 text-green-800';
-        default: return 'bg-gray-200 text-gray-800';
-    }
-}
-
-/**
- * Handle feedback response from server
- */
-function handleFeedbackResponse(response) {
-    showNotification(`Server response: ${response.message}`, 'info');
-    if (response.action) {
-        // Handle specific actions from server
-        switch (response.action) {
-            case 'reload_config':
-                loadConfiguration();
-                break;
-            case 'restart_process':
-                // Handle process restart
-                break;
-        }
+    async getHistory(requestId) {
+        const result = await apiRequest('/api/feedback/history', requestId);
+        return result.data;
     }
-}
\ No newline at end of file
+};
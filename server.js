@@ -12,22 +12,141 @@
 // Ensure .env is loaded from the script directory, not the current working directory
 const path = require('path');
 const envPath = path.join(__dirname, '.env');
-const dotenvResult = require('dotenv').config({ path: envPath });
+const dotenvResult = require('dotenv').config({ path: envPath, quiet: true });
+
+// Diagnostics go to stderr or IFM_LOG_FILE, stdout is reserved for JSON-RPC
+const Logger = require('./lib/logger');
+const logger = Logger.getLogger('server');
 
 // Debug logging for environment loading
 if (dotenvResult.error) {
-    console.error('❌ Error loading .env file:', dotenvResult.error.message);
-    console.error('   Expected path:', envPath);
+    logger.warning('Could not load .env file', { path: envPath, error: dotenvResult.error.message });
 } else {
-    console.log('✅ Environment variables loaded from:', envPath);
-    console.log('   OPENAI_API_KEY exists:', !!process.env.OPENAI_API_KEY);
-    console.log('   WHISPER_LANGUAGE:', process.env.WHISPER_LANGUAGE || 'not set');
+    logger.info('Environment variables loaded', {
+        path: envPath,
+        speech_provider: process.env.IFM_SPEECH_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none'),
+        whisper_language: process.env.WHISPER_LANGUAGE || 'not set'
+    });
 }
 
 const fs = require('fs-extra');
-const os = require('os');
 const crypto = require('crypto');
-const { spawn } = require('child_process');
+const ConfigManager = require('./lib/config-manager');
+const HistoryManager = require('./lib/history-manager');
+const PromptManager = require('./lib/prompt-manager');
+const HttpTransport = require('./lib/http-transport');
+const HealthCheck = require('./lib/health-check');
+const FormSchema = require('./lib/form-schema');
+const TicketManager = require('./lib/ticket-manager');
+const DaemonClient = require('./lib/daemon-client');
+const TerminalUI = require('./lib/terminal-ui');
+
+// Shared history store for completed feedback rounds
+const historyManager = new HistoryManager();
+
+// Connection to the Web UI daemon shared by all feedback rounds of this process
+const daemonClient = new DaemonClient({ webUIPath: path.join(__dirname, 'web-ui.js') });
+
+// Interval between progress heartbeats while waiting for the user (ms)
+const PROGRESS_HEARTBEAT_INTERVAL = 15000;
+
+// Ask in the terminal when no browser can be opened, unless IFM_TERMINAL_FALLBACK=false
+const TERMINAL_FALLBACK = !/^(0|false|no|off)$/i.test(process.env.IFM_TERMINAL_FALLBACK || '');
+
+// Terminal prompts of concurrent requests are shown one after another
+let terminalQueue = Promise.resolve();
+
+// MCP protocol revisions this server speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// First revision with tool outputSchema and structuredContent
+const STRUCTURED_OUTPUT_VERSION = '2025-06-18';
+
+// Output fields shared by every tool that opens a feedback round
+const FEEDBACK_ROUND_OUTPUT_PROPERTIES = {
+    command_logs: {
+        type: 'string',
+        description: 'Output of commands the user ran from the feedback UI'
+    },
+    metadata: {
+        type: 'object',
+        properties: {
+            project_directory: { type: 'string' },
+            channel: { type: 'string', enum: ['web_ui', 'elicitation', 'terminal'] },
+            started_at: { type: 'string', format: 'date-time' },
+            completed_at: { type: 'string', format: 'date-time' },
+            duration_ms: { type: 'number' }
+        },
+        required: ['project_directory', 'started_at', 'completed_at', 'duration_ms']
+    },
+    timed_out: {
+        type: 'boolean',
+        description: 'True if nobody answered before the timeout and the default answer was used'
+    },
+    images: {
+        type: 'array',
+        description: 'Screenshots attached by the user, returned as image content blocks',
+        items: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                mimeType: { type: 'string' },
+                size: { type: 'number' },
+                analysis: { type: 'object' }
+            }
+        }
+    }
+};
+
+// Input fields shared by every tool that opens a feedback round
+const FEEDBACK_ROUND_INPUT_PROPERTIES = {
+    timeout_seconds: {
+        type: 'number',
+        description: 'Seconds to wait for the user before answering with default_answer, 0 waits forever '
+            + '(default: project config, then the timeout in mcp-config.json)'
+    },
+    default_answer: {
+        type: 'string',
+        description: 'Answer used when the timeout passes: "continue", "stop" or custom text (default: "continue")'
+    }
+};
+
+// Presets for the answer given when the user doesn't respond in time
+const DEFAULT_ANSWERS = {
+    continue: 'No response before the timeout. Continue with your best judgement.',
+    stop: 'No response before the timeout. Stop and wait for the user before making further changes.'
+};
+
+// Server-wide settings, read from the timeout and timeoutDefaultAnswer keys
+const MCP_CONFIG_PATH = path.join(__dirname, 'mcp-config.json');
+
+// Risk levels and decisions of confirm_action
+const RISK_LEVELS = ['low', 'medium', 'high', 'critical'];
+const CONFIRM_DECISIONS = ['approved', 'rejected', 'approved_with_changes'];
+
+// Default and maximum wait_for_feedback timeouts (seconds)
+const DEFAULT_WAIT_TIMEOUT = 60;
+const MAX_WAIT_TIMEOUT = 3600;
+
+// How long a stdio server waits for cancelled rounds to close their UIs before exiting (ms)
+const SHUTDOWN_GRACE = 2000;
+
+// Ticket fields returned by get_feedback_status and wait_for_feedback
+const TICKET_OUTPUT_PROPERTIES = {
+    ticket_id: { type: 'string' },
+    tool: { type: 'string' },
+    status: { type: 'string', enum: ['pending', 'completed', 'failed', 'cancelled'] },
+    project_directory: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' },
+    completed_at: { type: 'string', format: 'date-time' },
+    error: { type: 'string', description: 'Why the round failed or was cancelled' },
+    result: { type: 'object', description: 'Feedback result once the ticket is completed' },
+    images: FEEDBACK_ROUND_OUTPUT_PROPERTIES.images
+};
+
+// Longest summary that is still asked through client elicitation instead of the web UI
+const ELICITATION_MAX_PROMPT_LENGTH = 500;
 
 /**
  * Get first line from text
@@ -42,105 +161,554 @@ function firstLine(text) {
 }
 
 /**
- * Launch Web UI and wait for feedback result
+ * Validate the quick replies offered with interactive_feedback
+ * @param {Array<string>} predefinedOptions - Reply texts from the tool arguments (optional)
+ * @returns {Array<string>} Trimmed reply texts, empty when none were given
+ * @throws {Error} If an entry is not a non-empty string
+ */
+function normalizePredefinedOptions(predefinedOptions) {
+    if (predefinedOptions === undefined || predefinedOptions === null) {
+        return [];
+    }
+    
+    if (!Array.isArray(predefinedOptions)) {
+        throw new Error('predefined_options must be an array of strings');
+    }
+    
+    return predefinedOptions.map((option, index) => {
+        if (typeof option !== 'string' || !option.trim()) {
+            throw new Error(`predefined_options[${index}] must be a non-empty string`);
+        }
+        return option.trim();
+    });
+}
+
+/**
+ * Read the server-wide feedback timeout from mcp-config.json
+ * @returns {Object} { timeoutSeconds, defaultAnswer }, unset values are undefined
+ */
+function loadGlobalTimeoutSettings() {
+    try {
+        const config = fs.readJsonSync(MCP_CONFIG_PATH);
+        return {
+            timeoutSeconds: typeof config.timeout === 'number' ? config.timeout / 1000 : undefined,
+            defaultAnswer: config.timeoutDefaultAnswer
+        };
+    } catch (error) {
+        logger.debug('No timeout settings in mcp-config.json', error);
+        return {};
+    }
+}
+
+/**
+ * Work out the feedback timeout for a call
+ * The first value set wins: tool arguments, the merged config layers, then mcp-config.json
+ * @param {string} projectDirectory - Project directory
+ * @param {Object} options - Per-call settings
+ * @param {number} options.timeoutSeconds - Seconds before the default answer is used, 0 disables (optional)
+ * @param {string} options.defaultAnswer - "continue", "stop" or custom text (optional)
+ * @returns {Promise<Object>} { seconds, defaultAnswer }, seconds is 0 when there is no timeout
+ */
+async function resolveFeedbackTimeout(projectDirectory, options = {}) {
+    if (options.timeoutSeconds !== undefined
+        && (typeof options.timeoutSeconds !== 'number' || !(options.timeoutSeconds >= 0))) {
+        throw new Error('timeout_seconds must be a non-negative number');
+    }
+    if (options.defaultAnswer !== undefined && typeof options.defaultAnswer !== 'string') {
+        throw new Error('default_answer must be a string');
+    }
+    
+    const config = await new ConfigManager(projectDirectory).loadConfig();
+    const global = loadGlobalTimeoutSettings();
+    
+    const seconds = [options.timeoutSeconds, config.feedback_timeout, global.timeoutSeconds]
+        .find(value => typeof value === 'number' && value >= 0);
+    const answer = [options.defaultAnswer, config.timeout_default_answer, global.defaultAnswer]
+        .find(value => typeof value === 'string' && value.trim()) || 'continue';
+    
+    return {
+        seconds: seconds || 0,
+        defaultAnswer: DEFAULT_ANSWERS[answer.trim()] || answer.trim()
+    };
+}
+
+/**
+ * Combine abort signals, aborting when any of them does
+ * @param {...AbortSignal} signals - Signals to follow, null entries are skipped
+ * @returns {AbortSignal} Combined signal
+ */
+function anySignal(...signals) {
+    const controller = new AbortController();
+    
+    for (const signal of signals.filter(Boolean)) {
+        if (signal.aborted) {
+            controller.abort(signal.reason);
+            break;
+        }
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    
+    return controller.signal;
+}
+
+/**
+ * Show a request in the Web UI daemon and wait for feedback result
+ * The daemon is started on demand and reuses the open browser tab.
+ * When no browser can be opened the request is also asked in the terminal; whichever answers first wins.
  * @param {string} projectDirectory - Project directory
  * @param {string} summary - Request summary
- * @returns {Promise<Object>} Feedback result from UI
+ * @param {Object} options - Launch options
+ * @param {Function} options.onProgress - Called with a status message while waiting for the user (optional)
+ * @param {AbortSignal} options.signal - Aborts the request and withdraws it from the UI (optional)
+ * @param {Object} options.interaction - Structured question rendered with the prompt (optional)
+ * @param {Object} options.timeout - { seconds, defaultAnswer } shown as a countdown the user can extend (optional)
+ * @param {string} options.agentName - Client name shown on the request's inbox tab (optional)
+ * @param {Array<string>} options.predefinedOptions - Quick replies shown as chips above the feedback box (optional)
+ * @returns {Promise<Object>} Feedback result from UI, with channel "terminal" when answered there
  */
-async function launchFeedbackUI(projectDirectory, summary) {
-    // Create temporary file for result
-    const tempDir = os.tmpdir();
-    const uuid = crypto.randomUUID();
-    const outputFile = path.join(tempDir, `feedback-${uuid}.json`);
+async function launchFeedbackUI(projectDirectory, summary, options = {}) {
+    const { onProgress, signal, interaction, timeout, agentName, predefinedOptions } = options;
     
-    try {
-        // Get path to web-ui.js
-        const scriptDir = __dirname;
-        const webUIPath = path.join(scriptDir, 'web-ui.js');
-        
-        // Prepare arguments for web UI process
-        const args = [
-            webUIPath,
-            '--project-directory', projectDirectory,
-            '--prompt', summary,
-            '--output-file', outputFile
-        ];
-        
-        // Spawn Web UI process
-        const childProcess = spawn('node', args, {
-            stdio: ['ignore', 'ignore', 'ignore'],
-            detached: false
-        });
+    // Forward UI activity and send heartbeats while the user is engaged
+    let lastStatus = 'Waiting for feedback UI';
+    let heartbeat = null;
+    const reportStatus = (message) => {
+        lastStatus = message;
+        if (onProgress) {
+            onProgress(message);
+        }
+    };
+    if (onProgress) {
+        const startTime = Date.now();
+        onProgress(lastStatus);
         
-        // Wait for process completion
-        await new Promise((resolve, reject) => {
-            childProcess.on('close', (code) => {
-                if (code === 0) {
-                    resolve();
-                } else {
-                    reject(new Error(`Web UI process exited with code ${code}`));
+        heartbeat = setInterval(() => {
+            const elapsed = Math.round((Date.now() - startTime) / 1000);
+            onProgress(`${lastStatus} (waiting ${elapsed}s)`);
+        }, PROGRESS_HEARTBEAT_INTERVAL);
+    }
+    
+    const request = {
+        projectDirectory,
+        prompt: summary,
+        interaction: interaction || null,
+        timeout: timeout && timeout.seconds > 0 ? timeout : null,
+        agentName: agentName || null,
+        predefinedOptions: predefinedOptions && predefinedOptions.length > 0 ? predefinedOptions : null
+    };
+    
+    // Withdraws the request from the web UI once answered in the terminal, and the other way round
+    const web = new AbortController();
+    const terminal = new AbortController();
+    
+    try {
+        return await new Promise((resolve, reject) => {
+            const askInTerminal = (url) => {
+                if (!TERMINAL_FALLBACK || !TerminalUI.isAvailable()) {
+                    // The address carries the session token, the agent must not see it in a log notification
+                    logger.warning('No browser could be opened, the feedback page address was printed to the terminal');
+                    logger.print(`Answer the feedback request at ${url}`);
+                    return;
                 }
-            });
+                
+                reportStatus('No browser available, waiting for feedback in the terminal');
+                
+                const terminalSignal = anySignal(signal, terminal.signal);
+                const turn = terminalQueue.then(() => {
+                    if (terminalSignal.aborted) {
+                        return null;
+                    }
+                    return new TerminalUI({ ...request, url }).run(terminalSignal);
+                });
+                terminalQueue = turn.catch(() => {});
+                
+                turn.then((result) => {
+                    if (result) {
+                        web.abort('Answered in the terminal');
+                        resolve({ ...result, channel: 'terminal' });
+                    }
+                }, (error) => {
+                    if (!terminalSignal.aborted) {
+                        logger.warning('Terminal feedback failed', error);
+                    }
+                });
+            };
+            
+            // The daemon's entries about this request belong to the session that made it
+            const session = Logger.currentSession();
             
-            childProcess.on('error', (error) => {
-                reject(error);
+            daemonClient.request(request, {
+                signal: anySignal(signal, web.signal),
+                onProgress: reportStatus,
+                onBrowserUnavailable: askInTerminal,
+                onLog: (entry) => logger.notifyListeners({ ...entry, session })
+            }).then((result) => {
+                terminal.abort(result.timed_out ? 'Timed out, the default answer was sent' : 'Answered in the web UI');
+                resolve(result);
+            }, (error) => {
+                terminal.abort(error.message);
+                if (!web.signal.aborted) {
+                    reject(error);
+                }
             });
         });
-        
-        // Read result from temp file
-        const result = await fs.readJson(outputFile);
-        
-        // Cleanup temp file
-        await fs.unlink(outputFile);
-        
-        return result;
-        
-    } catch (error) {
-        // Cleanup temp file if error occurs
-        try {
-            await fs.unlink(outputFile);
-        } catch (cleanupError) {
-            // Ignore cleanup errors
-        }
-        throw error;
+    } finally {
+        clearInterval(heartbeat);
     }
 }
 
 /**
- * Wrapper function for interactive feedback
+ * Check if a summary needs the web UI to be displayed properly
+ * Long text, code blocks, tables, images and headings don't render in client elicitation dialogs
+ * @param {string} summary - Request summary
+ * @returns {boolean} True if the summary is too rich for elicitation
+ */
+function isRichPrompt(summary) {
+    return summary.length > ELICITATION_MAX_PROMPT_LENGTH
+        || /```|!\[|^\s*\|.*\|\s*$|^#{1,6}\s/m.test(summary);
+}
+
+/**
+ * Ask for feedback inside the client through MCP elicitation
  * @param {string} projectDirectory - Project directory
  * @param {string} summary - Request summary
- * @returns {Promise<Object>} Feedback result
+ * @param {Function} elicit - Sends elicitation/create to the client and resolves with its result
+ * @param {Object} timeout - { seconds, defaultAnswer }, the dialog is withdrawn when seconds pass (optional)
+ * @param {Array<string>} predefinedOptions - Quick replies offered as a dropdown (optional)
+ * @returns {Promise<Object|null>} Feedback result, or null when the web UI should be used instead
  */
-async function interactiveFeedback(projectDirectory, summary) {
-    // Validate OPENAI_API_KEY before proceeding
-    if (!process.env.OPENAI_API_KEY) {
-        const error = new Error('OpenAI API key not configured. Please set OPENAI_API_KEY in your .env file.');
-        console.error('❌ API Key Validation Failed:', error.message);
-        console.error('   Expected .env path:', path.join(__dirname, '.env'));
-        console.error('   Current working directory:', process.cwd());
-        console.error('   Script directory (__dirname):', __dirname);
-        throw error;
+async function elicitFeedback(projectDirectory, summary, elicit, timeout = null, predefinedOptions = []) {
+    // Projects that auto-run a command need the web UI to show its output
+    const config = await new ConfigManager(projectDirectory).loadConfig();
+    if (config.execute_automatically && config.run_command) {
+        return null;
     }
     
-    // Validate API key format
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey.startsWith('sk-') || apiKey.length < 20) {
-        const error = new Error('Invalid OpenAI API key format. Key should start with "sk-" and be at least 20 characters long.');
-        console.error('❌ API Key Format Validation Failed:', error.message);
-        console.error('   Key length:', apiKey.length);
-        console.error('   Key prefix:', apiKey.substring(0, 3));
-        throw error;
+    // Withdraw the dialog and answer for the user when the timeout passes
+    const timer = new AbortController();
+    const timeoutId = timeout && timeout.seconds > 0
+        ? setTimeout(() => timer.abort('Feedback timed out'), timeout.seconds * 1000)
+        : null;
+    
+    const properties = {};
+    if (predefinedOptions.length > 0) {
+        properties.quick_reply = {
+            type: 'string',
+            title: 'Quick reply',
+            description: 'Pick a ready-made answer, the feedback below is added to it',
+            enum: predefinedOptions
+        };
     }
     
-    console.log('✅ API Key validation passed for interactive feedback');
+    let response;
+    try {
+        response = await elicit({
+            message: summary,
+            requestedSchema: {
+                type: 'object',
+                properties: {
+                    ...properties,
+                    feedback: {
+                        type: 'string',
+                        title: 'Feedback',
+                        description: 'Your feedback for the assistant'
+                    },
+                    open_full_ui: {
+                        type: 'boolean',
+                        title: 'Open full feedback UI',
+                        description: 'Answer in the browser instead, to run commands, attach files or record voice',
+                        default: false
+                    }
+                }
+            }
+        }, timer.signal);
+    } catch (error) {
+        if (timer.signal.aborted) {
+            return {
+                command_logs: '',
+                interactive_feedback: timeout.defaultAnswer,
+                timed_out: true
+            };
+        }
+        logger.warning('Elicitation failed, falling back to web UI', error);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+    
+    const content = response.content || {};
     
+    // Dismissed dialogs and "open full UI" continue in the browser
+    if (response.action === 'cancel' || (response.action === 'accept' && content.open_full_ui)) {
+        return null;
+    }
+    
+    if (response.action !== 'accept') {
+        return { command_logs: '', interactive_feedback: '' };
+    }
+    
+    const feedback = content.feedback || '';
+    const index = predefinedOptions.indexOf(content.quick_reply);
+    if (index === -1) {
+        return { command_logs: '', interactive_feedback: feedback };
+    }
+    
+    return {
+        command_logs: '',
+        interactive_feedback: [content.quick_reply, feedback].filter(Boolean).join('\n\n'),
+        predefined_option: { index, text: content.quick_reply, edited: Boolean(feedback) }
+    };
+}
+
+/**
+ * Wrapper function for interactive feedback
+ * Uses client elicitation for simple prompts when available, the web UI otherwise
+ * @param {string} projectDirectory - Project directory
+ * @param {string} summary - Request summary
+ * @param {Object} options - Options passed through to launchFeedbackUI
+ * @param {Function} options.elicit - Sends elicitation/create to the client (optional)
+ * @param {Object} options.interaction - Structured question, always answered in the web UI (optional)
+ * @param {number} options.timeoutSeconds - Seconds before the default answer is used, 0 disables (optional)
+ * @param {string} options.defaultAnswer - "continue", "stop" or custom text used on timeout (optional)
+ * @param {string} options.agentName - Client name shown on the request's inbox tab (optional)
+ * @param {Array<string>} options.predefinedOptions - Quick replies shown as one-click chips (optional)
+ * @returns {Promise<Object>} Feedback result
+ */
+async function interactiveFeedback(projectDirectory, summary, options = {}) {
     // Apply firstLine only to projectDirectory to ensure it's a valid path
     // Keep summary intact to preserve multi-line content
     const cleanProjectDirectory = firstLine(projectDirectory);
     const cleanSummary = summary || 'I implemented the changes you requested.';
+    const predefinedOptions = normalizePredefinedOptions(options.predefinedOptions);
+    
+    const timeout = await resolveFeedbackTimeout(cleanProjectDirectory, options);
+    
+    const startedAt = new Date();
+    let channel = 'web_ui';
+    let result = null;
+    
+    if (options.elicit && !options.interaction && !isRichPrompt(cleanSummary)) {
+        result = await elicitFeedback(cleanProjectDirectory, cleanSummary, options.elicit, timeout, predefinedOptions);
+        if (result) {
+            channel = 'elicitation';
+        }
+    }
+    
+    if (!result) {
+        if (options.signal && options.signal.aborted) {
+            throw new Error('Request cancelled by agent');
+        }
+        
+        // Time spent in a dismissed dialog counts against the timeout
+        const remaining = timeout.seconds > 0
+            ? Math.max(timeout.seconds - (Date.now() - startedAt) / 1000, 1)
+            : 0;
+        const { channel: uiChannel, ...uiResult } = await launchFeedbackUI(cleanProjectDirectory, cleanSummary, {
+            ...options,
+            predefinedOptions,
+            timeout: { ...timeout, seconds: remaining }
+        });
+        result = uiResult;
+        channel = uiChannel || channel;
+    }
+    const completedAt = new Date();
+    
+    result.timed_out = Boolean(result.timed_out);
+    
+    // Say which quick reply was used, if any were offered
+    if (predefinedOptions.length > 0) {
+        result.predefined_option = result.predefined_option || null;
+    }
+    
+    result.metadata = {
+        project_directory: cleanProjectDirectory,
+        channel,
+        started_at: startedAt.toISOString(),
+        completed_at: completedAt.toISOString(),
+        duration_ms: completedAt - startedAt
+    };
+    
+    // Record the round so it can be read back later as an MCP resource
+    try {
+        await historyManager.addEntry({
+            projectDirectory: cleanProjectDirectory,
+            summary: cleanSummary,
+            feedback: result.interactive_feedback,
+            commandLogs: result.command_logs,
+            interaction: result.interaction
+        });
+    } catch (error) {
+        logger.warning('Error saving feedback history', error);
+    }
+    
+    return result;
+}
+
+/**
+ * Ask the user to pick from a list of options in the web UI
+ * @param {Object} args - ask_choice tool arguments
+ * @param {string} args.project_directory - Project directory
+ * @param {string} args.question - Question shown as the prompt
+ * @param {Array<Object>} args.options - Options with id, label and optional description
+ * @param {boolean} args.multi_select - Allow selecting several options
+ * @param {boolean} args.allow_other - Offer a free-text "other" answer
+ * @param {Object} options - Options passed through to interactiveFeedback
+ * @returns {Promise<Object>} Selected option ids, "other" answer and comment
+ */
+async function askChoice(args, options = {}) {
+    if (!args.question || typeof args.question !== 'string') {
+        throw new Error('question is required');
+    }
+    
+    if (!Array.isArray(args.options) || args.options.length === 0) {
+        throw new Error('options must be a non-empty array');
+    }
+    
+    const choices = args.options.map((option, index) => {
+        if (!option || typeof option.id !== 'string' || !option.id || typeof option.label !== 'string') {
+            throw new Error(`options[${index}] needs a string id and label`);
+        }
+        return {
+            id: option.id,
+            label: option.label,
+            description: typeof option.description === 'string' ? option.description : ''
+        };
+    });
+    
+    const ids = choices.map(choice => choice.id);
+    if (new Set(ids).size !== ids.length) {
+        throw new Error('option ids must be unique');
+    }
+    
+    const multiSelect = Boolean(args.multi_select);
+    const allowOther = Boolean(args.allow_other);
+    
+    const { interaction, interactive_feedback, ...result } = await interactiveFeedback(args.project_directory, args.question, {
+        ...options,
+        interaction: {
+            type: 'choice',
+            options: choices,
+            multi_select: multiSelect,
+            allow_other: allowOther
+        }
+    });
+    
+    // Only trust answers that match what was offered
+    const answer = interaction || {};
+    let selected = Array.isArray(answer.selected) ? answer.selected.filter(id => ids.includes(id)) : [];
+    if (!multiSelect) {
+        selected = selected.slice(0, 1);
+    }
+    
+    const choiceResult = {
+        selected,
+        comment: interactive_feedback || '',
+        ...result
+    };
+    
+    if (allowOther && typeof answer.other === 'string' && answer.other.trim()) {
+        choiceResult.other = answer.other.trim();
+    }
+    
+    return choiceResult;
+}
+
+/**
+ * Ask the user to approve or reject a risky action in the web UI
+ * @param {Object} args - confirm_action tool arguments
+ * @param {string} args.project_directory - Project directory
+ * @param {string} args.action - Description of the action (shown as the prompt)
+ * @param {string} args.risk_level - low, medium, high or critical
+ * @param {Array<string>} args.commands - Exact commands that will be run (optional)
+ * @param {Array<string>} args.files - Files that will be changed or deleted (optional)
+ * @param {Object} options - Options passed through to interactiveFeedback
+ * @returns {Promise<Object>} Decision and reason
+ */
+async function confirmAction(args, options = {}) {
+    if (!args.action || typeof args.action !== 'string') {
+        throw new Error('action is required');
+    }
+    
+    if (!RISK_LEVELS.includes(args.risk_level)) {
+        throw new Error(`risk_level must be one of ${RISK_LEVELS.join(', ')}`);
+    }
+    
+    const stringList = (value, name) => {
+        if (value === undefined) {
+            return [];
+        }
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+            throw new Error(`${name} must be an array of strings`);
+        }
+        return value;
+    };
+    
+    const { interaction, interactive_feedback, ...result } = await interactiveFeedback(args.project_directory, args.action, {
+        ...options,
+        interaction: {
+            type: 'confirm',
+            risk_level: args.risk_level,
+            commands: stringList(args.commands, 'commands'),
+            files: stringList(args.files, 'files')
+        }
+    });
+    
+    // Anything other than an explicit approval counts as a rejection
+    const decision = interaction && CONFIRM_DECISIONS.includes(interaction.decision) ? interaction.decision : 'rejected';
     
-    return await launchFeedbackUI(cleanProjectDirectory, cleanSummary);
+    return {
+        decision,
+        approved: decision !== 'rejected',
+        reason: interactive_feedback || '',
+        ...result
+    };
+}
+
+/**
+ * Ask the user to fill in a form generated from a JSON Schema subset
+ * @param {Object} args - ask_form tool arguments
+ * @param {string} args.project_directory - Project directory
+ * @param {string} args.prompt - Prompt shown above the form
+ * @param {Object} args.schema - Object schema with string, number, integer, boolean, enum and array fields
+ * @param {Object} options - Options passed through to interactiveFeedback
+ * @returns {Promise<Object>} Validated values and comment
+ */
+async function askForm(args, options = {}) {
+    if (!args.prompt || typeof args.prompt !== 'string') {
+        throw new Error('prompt is required');
+    }
+    
+    // Throws on schemas the form can't render
+    const formSchema = new FormSchema(args.schema);
+    
+    const { interaction, interactive_feedback, ...result } = await interactiveFeedback(args.project_directory, args.prompt, {
+        ...options,
+        interaction: {
+            type: 'form',
+            schema: args.schema
+        }
+    });
+    
+    // Nobody filled in the form, the default answer is in the comment
+    if (result.timed_out) {
+        return {
+            values: {},
+            comment: interactive_feedback || '',
+            ...result
+        };
+    }
+    
+    // The web UI validates before closing, check again so the agent only ever sees valid values
+    const { valid, errors, value } = formSchema.validate(interaction && interaction.values);
+    if (!valid) {
+        throw new Error(`Form values are invalid: ${JSON.stringify(errors)}`);
+    }
+    
+    return {
+        values: value,
+        comment: interactive_feedback || '',
+        ...result
+    };
 }
 
 /**
@@ -149,9 +717,37 @@ async function interactiveFeedback(projectDirectory, summary) {
  * Compliant with MCP Specification and JSON-RPC 2.0
  */
 class MCPServer {
-    constructor() {
+    /**
+     * Initialize MCP Server
+     * @param {Object} options - Server options
+     * @param {Function} options.send - Sends messages not tied to a request (default: stdout)
+     */
+    constructor(options = {}) {
+        this.send = options.send || null;
         this.initialized = false;
+        
+        // Tags the log entries of this session's work, the only ones forwarded to its client
+        this.sessionId = crypto.randomUUID();
         this.clientCapabilities = null;
+        this.clientInfo = null;
+        this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS[SUPPORTED_PROTOCOL_VERSIONS.length - 1];
+        
+        // Abort controllers of in-flight tool calls, keyed by request id
+        this.pendingRequests = new Map();
+        
+        // Messages read from stdin and not yet answered, awaited before exiting
+        this.inFlight = new Set();
+        
+        // Feedback rounds started with async: true
+        this.tickets = new TicketManager();
+        
+        // Requests sent to the client awaiting a response, keyed by request id
+        this.outgoingRequests = new Map();
+        this.nextOutgoingId = 1;
+        
+        // Log entries at or above this level are sent to the client as notifications/message
+        this.clientLogLevel = 'warning';
+        this.removeLogListener = logger.addListener((entry) => this.forwardLog(entry));
         
         // Initialize tools object with interactive_feedback tool
         this.tools = {
@@ -167,88 +763,620 @@ class MCPServer {
                         summary: {
                             type: 'string',
                             description: 'Summary of the request or context'
-                        }
+                        },
+                        async: {
+                            type: 'boolean',
+                            description: 'Return a ticket id right away instead of waiting; '
+                                + 'poll it with get_feedback_status or wait_for_feedback (default: false)'
+                        },
+                        predefined_options: {
+                            type: 'array',
+                            description: 'Quick replies shown as one-click chips above the feedback box, '
+                                + 'e.g. "Looks good, continue" or "Run the tests first"',
+                            items: { type: 'string' }
+                        },
+                        ...FEEDBACK_ROUND_INPUT_PROPERTIES
                     },
                     required: ['project_directory', 'summary']
                 },
-                handler: interactiveFeedback
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        interactive_feedback: {
+                            type: 'string',
+                            description: 'Feedback entered by the user'
+                        },
+                        predefined_option: {
+                            type: ['object', 'null'],
+                            description: 'Quick reply the user picked from predefined_options, null if they typed their own',
+                            properties: {
+                                index: { type: 'number', description: 'Position in predefined_options' },
+                                text: { type: 'string' },
+                                edited: { type: 'boolean', description: 'True if the user changed or added to the text before sending' }
+                            }
+                        },
+                        ...FEEDBACK_ROUND_OUTPUT_PROPERTIES,
+                        ticket_id: TICKET_OUTPUT_PROPERTIES.ticket_id,
+                        status: TICKET_OUTPUT_PROPERTIES.status
+                    },
+                    // Feedback when waiting, a ticket with async: true
+                    anyOf: [
+                        { required: ['interactive_feedback', 'command_logs', 'metadata'] },
+                        { required: ['ticket_id', 'status'] }
+                    ]
+                },
+                handler: (args, context) => {
+                    if (args.async) {
+                        const ticket = this.tickets.create('interactive_feedback', args.project_directory, (signal) => {
+                            return interactiveFeedback(args.project_directory, args.summary, {
+                                signal,
+                                agentName: context.agentName,
+                                predefinedOptions: args.predefined_options,
+                                timeoutSeconds: args.timeout_seconds,
+                                defaultAnswer: args.default_answer
+                            });
+                        });
+                        return this.tickets.describe(ticket);
+                    }
+                    
+                    return interactiveFeedback(args.project_directory, args.summary, {
+                        onProgress: context.sendProgress,
+                        signal: context.signal,
+                        elicit: context.elicit,
+                        agentName: context.agentName,
+                        predefinedOptions: args.predefined_options,
+                        timeoutSeconds: args.timeout_seconds,
+                        defaultAnswer: args.default_answer
+                    });
+                }
+            },
+            get_feedback_status: {
+                description: 'Check a feedback ticket created with interactive_feedback async: true, without waiting',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        ticket_id: {
+                            type: 'string',
+                            description: 'Ticket id returned by interactive_feedback'
+                        }
+                    },
+                    required: ['ticket_id']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: TICKET_OUTPUT_PROPERTIES,
+                    required: ['ticket_id', 'status']
+                },
+                handler: (args) => this.tickets.describe(this.tickets.get(args.ticket_id))
+            },
+            wait_for_feedback: {
+                description: 'Wait until a feedback ticket is answered or the timeout passes',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        ticket_id: {
+                            type: 'string',
+                            description: 'Ticket id returned by interactive_feedback'
+                        },
+                        timeout_seconds: {
+                            type: 'number',
+                            description: `Maximum time to wait (default: ${DEFAULT_WAIT_TIMEOUT}, max: ${MAX_WAIT_TIMEOUT})`
+                        }
+                    },
+                    required: ['ticket_id']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        ...TICKET_OUTPUT_PROPERTIES,
+                        timed_out: {
+                            type: 'boolean',
+                            description: 'True if the ticket was still pending when the timeout passed'
+                        }
+                    },
+                    required: ['ticket_id', 'status', 'timed_out']
+                },
+                handler: async (args, context) => {
+                    // 0 only checks the ticket, leaving the argument out waits the default time
+                    const requested = args.timeout_seconds === undefined || args.timeout_seconds === null
+                        ? DEFAULT_WAIT_TIMEOUT
+                        : Number(args.timeout_seconds);
+                    const timeoutSeconds = Math.min(Math.max(Number.isFinite(requested) ? requested : DEFAULT_WAIT_TIMEOUT, 0), MAX_WAIT_TIMEOUT);
+                    const ticket = await this.tickets.wait(args.ticket_id, timeoutSeconds * 1000, context.signal);
+                    return {
+                        ...this.tickets.describe(ticket),
+                        timed_out: ticket.status === 'pending'
+                    };
+                }
+            },
+            ask_choice: {
+                description: 'Ask the user a multiple-choice question, shown as clickable options in the feedback UI',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        project_directory: {
+                            type: 'string',
+                            description: 'Path to the project directory'
+                        },
+                        question: {
+                            type: 'string',
+                            description: 'Question to ask (Markdown supported)'
+                        },
+                        options: {
+                            type: 'array',
+                            description: 'Options to choose from',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', description: 'Identifier returned when selected' },
+                                    label: { type: 'string', description: 'Button text' },
+                                    description: { type: 'string', description: 'Details shown under the label' }
+                                },
+                                required: ['id', 'label']
+                            },
+                            minItems: 1
+                        },
+                        multi_select: {
+                            type: 'boolean',
+                            description: 'Allow selecting more than one option (default: false)'
+                        },
+                        allow_other: {
+                            type: 'boolean',
+                            description: 'Offer a free-text "other" answer (default: false)'
+                        },
+                        ...FEEDBACK_ROUND_INPUT_PROPERTIES
+                    },
+                    required: ['project_directory', 'question', 'options']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        selected: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Ids of the selected options, in the order they were offered'
+                        },
+                        other: {
+                            type: 'string',
+                            description: 'Free-text answer, present only when allow_other was set and the user typed one'
+                        },
+                        comment: {
+                            type: 'string',
+                            description: 'Optional comment entered by the user'
+                        },
+                        ...FEEDBACK_ROUND_OUTPUT_PROPERTIES
+                    },
+                    required: ['selected', 'comment', 'command_logs', 'metadata']
+                },
+                handler: (args, context) => askChoice(args, {
+                    onProgress: context.sendProgress,
+                    signal: context.signal,
+                    agentName: context.agentName,
+                    timeoutSeconds: args.timeout_seconds,
+                    defaultAnswer: args.default_answer
+                })
+            },
+            confirm_action: {
+                description: 'Ask the user to approve or reject a risky action such as installs, migrations or deletions before running it',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        project_directory: {
+                            type: 'string',
+                            description: 'Path to the project directory'
+                        },
+                        action: {
+                            type: 'string',
+                            description: 'What will be done and why (Markdown supported)'
+                        },
+                        risk_level: {
+                            type: 'string',
+                            enum: RISK_LEVELS,
+                            description: 'How risky the action is'
+                        },
+                        commands: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Exact commands that will be run'
+                        },
+                        files: {
+                            type: 'array',
+                            items: { type: 'string' },
+                            description: 'Files that will be created, changed or deleted'
+                        },
+                        ...FEEDBACK_ROUND_INPUT_PROPERTIES
+                    },
+                    required: ['project_directory', 'action', 'risk_level']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        decision: {
+                            type: 'string',
+                            enum: CONFIRM_DECISIONS,
+                            description: 'Decision taken by the user'
+                        },
+                        approved: {
+                            type: 'boolean',
+                            description: 'True for approved and approved_with_changes'
+                        },
+                        reason: {
+                            type: 'string',
+                            description: 'Reason for the decision, or the requested changes'
+                        },
+                        ...FEEDBACK_ROUND_OUTPUT_PROPERTIES
+                    },
+                    required: ['decision', 'approved', 'reason', 'command_logs', 'metadata']
+                },
+                handler: (args, context) => confirmAction(args, {
+                    onProgress: context.sendProgress,
+                    signal: context.signal,
+                    agentName: context.agentName,
+                    timeoutSeconds: args.timeout_seconds,
+                    defaultAnswer: args.default_answer
+                })
+            },
+            ask_form: {
+                description: 'Ask the user for several structured values at once through a validated form generated from a JSON Schema',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        project_directory: {
+                            type: 'string',
+                            description: 'Path to the project directory'
+                        },
+                        prompt: {
+                            type: 'string',
+                            description: 'Explanation shown above the form (Markdown supported)'
+                        },
+                        schema: {
+                            type: 'object',
+                            description: 'Object schema whose properties are string, number, integer, boolean, enum or arrays of those. '
+                                + 'Supported keywords: title, description, default, enum, required, minLength, maxLength, pattern, '
+                                + 'minimum, maximum, items, minItems, maxItems'
+                        },
+                        ...FEEDBACK_ROUND_INPUT_PROPERTIES
+                    },
+                    required: ['project_directory', 'prompt', 'schema']
+                },
+                outputSchema: {
+                    type: 'object',
+                    properties: {
+                        values: {
+                            type: 'object',
+                            description: 'Submitted values, validated against the schema'
+                        },
+                        comment: {
+                            type: 'string',
+                            description: 'Optional comment entered by the user'
+                        },
+                        ...FEEDBACK_ROUND_OUTPUT_PROPERTIES
+                    },
+                    required: ['values', 'comment', 'command_logs', 'metadata']
+                },
+                handler: (args, context) => askForm(args, {
+                    onProgress: context.sendProgress,
+                    signal: context.signal,
+                    agentName: context.agentName,
+                    timeoutSeconds: args.timeout_seconds,
+                    defaultAnswer: args.default_answer
+                })
+            }
+        };
+        
+        // Usage rules served as MCP prompts
+        this.promptManager = new PromptManager();
+        
+        // Resource templates for feedback:// URIs
+        this.resourceTemplates = [
+            {
+                uriTemplate: 'feedback://history/{id}',
+                name: 'Feedback round',
+                description: 'A single past feedback round with summary, feedback and command logs',
+                mimeType: 'application/json'
+            },
+            {
+                uriTemplate: 'feedback://config/{project_directory}',
+                name: 'Project configuration',
+                description: 'Saved configuration for a project directory (URL-encoded path)',
+                mimeType: 'application/json'
+            }
+        ];
+        
+        // Server capabilities
+        this.serverCapabilities = {
+            tools: {
+                listChanged: false
+            },
+            resources: {
+                subscribe: false,
+                listChanged: false
+            },
+            prompts: {
+                listChanged: false
+            },
+            logging: {}
+        };
+        
+        // Server info
+        this.serverInfo = {
+            name: 'interactive-feedback-mcp',
+            version: '1.0.0'
+        };
+    }
+    
+    /**
+     * Launch MCP Server
+     */
+    run() {
+        // Setup stdin encoding
+        process.stdin.setEncoding('utf8');
+        
+        // Listen for stdin data events
+        // Lines are dispatched without waiting for earlier requests to finish,
+        // so notifications such as notifications/cancelled are handled while a tool call is pending
+        let buffer = '';
+        process.stdin.on('data', (data) => {
+            buffer += data;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            
+            for (const line of lines) {
+                if (line.trim()) {
+                    this.handleLine(line);
+                }
             }
+        });
+        
+        // The client closed stdin or stopped the server: withdraw pending rounds from the UI first,
+        // otherwise the daemon connection keeps the process and its tickets alive.
+        // Requests already read are still answered, within SHUTDOWN_GRACE
+        let exiting = false;
+        const shutdown = () => {
+            if (exiting) {
+                return;
+            }
+            exiting = true;
+            
+            setTimeout(() => process.exit(0), SHUTDOWN_GRACE).unref();
+            this.close()
+                .then(() => Promise.allSettled([...this.inFlight]))
+                .then(() => new Promise(resolve => process.stdout.write('', resolve)))
+                .finally(() => process.exit(0));
+        };
+        
+        process.stdin.on('end', () => {
+            // The last line may come without a trailing newline
+            if (buffer.trim()) {
+                this.handleLine(buffer);
+            }
+            buffer = '';
+            shutdown();
+        });
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    }
+    
+    /**
+     * Parse and dispatch a single JSON-RPC line
+     * The handling is tracked in inFlight until the response is written
+     * @param {string} line - Raw JSON line
+     * @returns {Promise<void>}
+     */
+    handleLine(line) {
+        const handling = this.dispatchLine(line);
+        this.inFlight.add(handling);
+        handling.then(() => this.inFlight.delete(handling), () => this.inFlight.delete(handling));
+        return handling;
+    }
+    
+    /**
+     * Parse a JSON-RPC line, handle it and write the response
+     * @param {string} line - Raw JSON line
+     */
+    async dispatchLine(line) {
+        let request;
+        try {
+            request = JSON.parse(line);
+        } catch (error) {
+            // Send error response
+            const errorResponse = {
+                jsonrpc: '2.0',
+                id: null,
+                error: {
+                    code: -32700,
+                    message: 'Parse error',
+                    data: error.message
+                }
+            };
+            this.sendMessage(errorResponse);
+            return;
+        }
+        
+        const response = await this.handleRequest(request);
+        if (response) {
+            this.sendMessage(response);
+        }
+    }
+    
+    /**
+     * Send message to stdout, or to the transport's send function when one is set
+     * @param {Object} message - Message to send
+     */
+    sendMessage(message) {
+        if (this.send) {
+            this.send(message);
+            return;
+        }
+        process.stdout.write(`${JSON.stringify(message)}\n`);
+    }
+    
+    /**
+     * Send JSON-RPC notification
+     * @param {string} method - Notification method
+     * @param {Object} params - Notification params
+     * @param {Object} extra - Request context from the transport (optional)
+     * @param {Function} extra.send - Sends messages related to the current request
+     */
+    sendNotification(method, params, extra = {}) {
+        const message = {
+            jsonrpc: '2.0',
+            method,
+            params
         };
         
-        // Server capabilities
-        this.serverCapabilities = {
-            tools: {
-                listChanged: false
-            }
-        };
+        if (extra.send) {
+            extra.send(message);
+        } else {
+            this.sendMessage(message);
+        }
+    }
+    
+    /**
+     * Forward a log entry to the client as notifications/message
+     * @param {Object} entry - Log entry
+     */
+    forwardLog(entry) {
+        // Entries of other sessions, or of no session, stay in the local log
+        if (entry.session !== this.sessionId) {
+            return;
+        }
         
-        // Server info
-        this.serverInfo = {
-            name: 'interactive-feedback-mcp',
-            version: '1.0.0'
-        };
+        // Nothing is sent before the client has initialized the session
+        if (!this.clientCapabilities || !Logger.isLevelEnabled(entry.level, this.clientLogLevel)) {
+            return;
+        }
+        
+        this.sendNotification('notifications/message', {
+            level: entry.level,
+            logger: entry.logger,
+            data: entry.data ? { message: entry.message, ...entry.data } : entry.message
+        });
     }
     
     /**
-     * Launch MCP Server
+     * Stop forwarding logs and cancel running tool calls and background tickets, called when the session ends
+     * @returns {Promise<void>} Resolves once the cancelled tickets have closed their feedback UIs
      */
-    run() {
-        // Setup stdin encoding
-        process.stdin.setEncoding('utf8');
+    close() {
+        this.removeLogListener();
+        for (const abortController of this.pendingRequests.values()) {
+            abortController.abort('Session terminated');
+        }
+        return this.tickets.cancelAll('Session terminated');
+    }
+    
+    /**
+     * Send JSON-RPC request to the client and wait for its response
+     * @param {string} method - Request method
+     * @param {Object} params - Request params
+     * @param {Object} extra - Request context from the transport (optional)
+     * @param {Function} extra.send - Sends messages related to the current request
+     * @param {AbortSignal} signal - Cancels the request on the client (optional)
+     * @returns {Promise<Object>} Response result
+     */
+    sendRequest(method, params, extra = {}, signal = null) {
+        const id = `server-${this.nextOutgoingId++}`;
+        const message = {
+            jsonrpc: '2.0',
+            id,
+            method,
+            params
+        };
         
-        // Listen for stdin data events
-        process.stdin.on('data', async (data) => {
-            try {
-                const lines = data.trim().split('\n');
-                
-                for (const line of lines) {
-                    if (line.trim()) {
-                        const request = JSON.parse(line);
-                        const response = await this.handleRequest(request);
-                        if (response) {
-                            this.sendMessage(response);
-                        }
-                    }
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                this.outgoingRequests.delete(id);
+                this.sendNotification('notifications/cancelled', {
+                    requestId: id,
+                    reason: typeof signal.reason === 'string' ? signal.reason : 'Request cancelled'
+                }, extra);
+                reject(new Error('Request cancelled'));
+            };
+            
+            if (signal) {
+                if (signal.aborted) {
+                    reject(new Error('Request cancelled'));
+                    return;
                 }
-            } catch (error) {
-                // Send error response
-                const errorResponse = {
-                    jsonrpc: '2.0',
-                    id: null,
-                    error: {
-                        code: -32700,
-                        message: 'Parse error',
-                        data: error.message
-                    }
-                };
-                this.sendMessage(errorResponse);
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            
+            this.outgoingRequests.set(id, {
+                resolve,
+                reject,
+                cleanup: () => signal && signal.removeEventListener('abort', onAbort)
+            });
+            
+            if (extra.send) {
+                extra.send(message);
+            } else {
+                this.sendMessage(message);
             }
         });
+    }
+    
+    /**
+     * Handle a response to a request sent with sendRequest
+     * @param {Object} response - JSON-RPC response
+     */
+    handleResponse(response) {
+        const pending = this.outgoingRequests.get(response.id);
+        if (!pending) {
+            return;
+        }
         
-        // Handle process termination
-        process.on('SIGINT', () => {
-            process.exit(0);
-        });
+        this.outgoingRequests.delete(response.id);
+        pending.cleanup();
         
-        process.on('SIGTERM', () => {
-            process.exit(0);
-        });
+        if (response.error) {
+            pending.reject(new Error(response.error.message));
+        } else {
+            pending.resolve(response.result);
+        }
     }
     
     /**
-     * Send message to stdout
-     * @param {Object} message - Message to send
+     * Check if the client can answer elicitation/create requests
+     * @returns {boolean} True if elicitation is supported
      */
-    sendMessage(message) {
-        console.log(JSON.stringify(message));
+    supportsElicitation() {
+        return Boolean(this.clientCapabilities && this.clientCapabilities.elicitation);
+    }
+    
+    /**
+     * Get the client's display name from initialize clientInfo
+     * @returns {string|null} Client title or name with version, or null if not sent
+     */
+    getAgentName() {
+        if (!this.clientInfo || !this.clientInfo.name) {
+            return null;
+        }
+        
+        const name = this.clientInfo.title || this.clientInfo.name;
+        return this.clientInfo.version ? `${name} ${this.clientInfo.version}` : name;
     }
     
     /**
      * Handle MCP request
+     * Shared dispatch for the stdio and HTTP transports
      * @param {Object} request - MCP request object
+     * @param {Object} extra - Request context from the transport (optional)
+     * @param {Function} extra.send - Sends notifications related to this request
      * @returns {Object|null} MCP response object or null for notifications
      */
-    async handleRequest(request) {
+    async handleRequest(request, extra = {}) {
+        // Entries logged while handling it, also by tickets it starts, are forwarded to this session only
+        return Logger.runInSession(this.sessionId, () => this.dispatchRequest(request, extra));
+    }
+    
+    /**
+     * Route an MCP request to its handler
+     * @param {Object} request - MCP request object
+     * @param {Object} extra - Request context from the transport (optional)
+     * @returns {Promise<Object|null>} MCP response object or null for notifications
+     */
+    async dispatchRequest(request, extra = {}) {
         try {
             // Validate JSON-RPC 2.0 format
             if (request.jsonrpc !== '2.0') {
@@ -263,22 +1391,56 @@ class MCPServer {
                 };
             }
             
+            // Responses to our own requests carry no method
+            if (request.method === undefined && request.id !== undefined) {
+                this.handleResponse(request);
+                return null;
+            }
+            
             switch (request.method) {
                 case 'initialize':
                     return this.handleInitialize(request);
                     
+                case 'notifications/initialized':
                 case 'initialized':
-                    // Notification - no response needed
+                    // Notification - no response needed, the bare name is sent by older clients
                     this.initialized = true;
                     return null;
                     
+                case 'notifications/cancelled':
+                    // Notification - no response needed
+                    this.handleCancelled(request);
+                    return null;
+                    
                 case 'tools/list':
                     return this.handleToolsList(request);
                     
                 case 'tools/call':
-                    return await this.handleToolsCall(request);
+                    return await this.handleToolsCall(request, extra);
+                    
+                case 'resources/list':
+                    return await this.handleResourcesList(request);
+                    
+                case 'resources/read':
+                    return await this.handleResourcesRead(request);
+                    
+                case 'resources/templates/list':
+                    return this.handleResourceTemplatesList(request);
+                    
+                case 'prompts/list':
+                    return this.handlePromptsList(request);
+                    
+                case 'prompts/get':
+                    return await this.handlePromptsGet(request);
+                    
+                case 'logging/setLevel':
+                    return this.handleSetLevel(request);
                     
                 default:
+                    // Notifications are never answered, not even unknown ones
+                    if (request.id === undefined) {
+                        return null;
+                    }
                     return {
                         jsonrpc: '2.0',
                         id: request.id || null,
@@ -290,6 +1452,10 @@ class MCPServer {
                     };
             }
         } catch (error) {
+            if (request.id === undefined) {
+                logger.warning(`Error handling notification ${request.method}`, error);
+                return null;
+            }
             return {
                 jsonrpc: '2.0',
                 id: request.id || null,
@@ -312,30 +1478,81 @@ class MCPServer {
         
         // Store client capabilities
         this.clientCapabilities = params.capabilities || {};
+        this.clientInfo = params.clientInfo || null;
+        
+        // Agree on the client's revision if supported, otherwise propose the latest one
+        this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : SUPPORTED_PROTOCOL_VERSIONS[0];
         
         // Return server capabilities and info
         return {
             jsonrpc: '2.0',
             id: request.id,
             result: {
-                protocolVersion: '2024-11-05',
+                protocolVersion: this.protocolVersion,
                 capabilities: this.serverCapabilities,
                 serverInfo: this.serverInfo
             }
         };
     }
     
+    /**
+     * Handle logging/setLevel request
+     * @param {Object} request - Set level request
+     * @returns {Object} Empty result
+     */
+    handleSetLevel(request) {
+        const level = request.params && request.params.level;
+        
+        if (!Logger.isValidLevel(level)) {
+            return {
+                jsonrpc: '2.0',
+                id: request.id,
+                error: {
+                    code: -32602,
+                    message: 'Invalid params',
+                    data: `Unknown log level: ${level} (expected one of ${Logger.LEVELS.join(', ')})`
+                }
+            };
+        }
+        
+        this.clientLogLevel = level;
+        
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result: {}
+        };
+    }
+    
+    /**
+     * Check if the negotiated protocol revision supports structured tool output
+     * @returns {boolean} True if outputSchema and structuredContent can be used
+     */
+    supportsStructuredOutput() {
+        return this.protocolVersion >= STRUCTURED_OUTPUT_VERSION;
+    }
+    
     /**
      * Handle tools/list request
      * @param {Object} request - Tools list request
      * @returns {Object} Tools list response
      */
     handleToolsList(request) {
-        const tools = Object.keys(this.tools).map(name => ({
-            name,
-            description: this.tools[name].description,
-            inputSchema: this.tools[name].inputSchema
-        }));
+        const tools = Object.keys(this.tools).map(name => {
+            const tool = {
+                name,
+                description: this.tools[name].description,
+                inputSchema: this.tools[name].inputSchema
+            };
+            
+            if (this.tools[name].outputSchema && this.supportsStructuredOutput()) {
+                tool.outputSchema = this.tools[name].outputSchema;
+            }
+            
+            return tool;
+        });
         
         return {
             jsonrpc: '2.0',
@@ -349,9 +1566,10 @@ class MCPServer {
     /**
      * Handle tools/call request
      * @param {Object} request - Tools call request
+     * @param {Object} extra - Request context from the transport
      * @returns {Object} Tools call response
      */
-    async handleToolsCall(request) {
+    async handleToolsCall(request, extra) {
         const { name: toolName, arguments: toolArgs } = request.params;
         
         // Validate tool exists
@@ -367,25 +1585,70 @@ class MCPServer {
             };
         }
         
+        // Track the call so it can be cancelled by the client
+        const abortController = new AbortController();
+        this.pendingRequests.set(request.id, abortController);
+        
+        // Report progress only when the client asked for it
+        const progressToken = request.params._meta && request.params._meta.progressToken;
+        let progress = 0;
+        const context = {
+            signal: abortController.signal,
+            sendProgress: progressToken === undefined ? null : (message) => {
+                progress += 1;
+                this.sendNotification('notifications/progress', {
+                    progressToken,
+                    progress,
+                    message
+                }, extra);
+            },
+            elicit: this.supportsElicitation()
+                ? (params, signal) => this.sendRequest('elicitation/create', params, extra, anySignal(abortController.signal, signal))
+                : null,
+            agentName: this.getAgentName()
+        };
+        
         try {
             // Call tool handler
-            const result = await this.tools[toolName].handler(
-                toolArgs.project_directory,
-                toolArgs.summary
-            );
+            const toolResult = await this.tools[toolName].handler(toolArgs || {}, context);
+            
+            // Attached images become image content blocks, the rest only keeps their metadata
+            const { images = [], ...result } = toolResult;
+            if (images.length > 0) {
+                result.images = images.map(({ data, ...image }) => image);
+            }
             
             // Return MCP response format
+            // The text block stays for clients that predate structured output
+            const callResult = {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(result, null, 2)
+                    },
+                    ...images.map(image => ({
+                        type: 'image',
+                        data: image.data,
+                        mimeType: image.mimeType
+                    }))
+                ]
+            };
+            
+            if (this.tools[toolName].outputSchema && this.supportsStructuredOutput()) {
+                callResult.structuredContent = result;
+            }
+            
             return {
                 jsonrpc: '2.0',
                 id: request.id,
-                result: {
-                    content: [{
-                        type: 'text',
-                        text: JSON.stringify(result, null, 2)
-                    }]
-                }
+                result: callResult
             };
         } catch (error) {
+            // No response is sent for cancelled requests
+            if (abortController.signal.aborted) {
+                return null;
+            }
+            
             return {
                 jsonrpc: '2.0',
                 id: request.id,
@@ -395,19 +1658,292 @@ class MCPServer {
                     data: `Tool execution failed: ${error.message}`
                 }
             };
+        } finally {
+            this.pendingRequests.delete(request.id);
+        }
+    }
+    
+    /**
+     * Handle notifications/cancelled notification
+     * Aborts the matching pending tool call, which tears down its feedback UI
+     * @param {Object} request - Cancelled notification
+     */
+    handleCancelled(request) {
+        const { requestId, reason } = request.params || {};
+        const abortController = this.pendingRequests.get(requestId);
+        
+        if (abortController) {
+            abortController.abort(reason || 'Request cancelled by agent');
+        }
+    }
+    
+    /**
+     * Handle resources/list request
+     * Lists feedback history, latest command logs and the config of every known project
+     * @param {Object} request - Resources list request
+     * @returns {Promise<Object>} Resources list response
+     */
+    async handleResourcesList(request) {
+        const resources = [
+            {
+                uri: 'feedback://history',
+                name: 'Feedback history',
+                description: 'Past feedback rounds, newest first',
+                mimeType: 'application/json'
+            },
+            {
+                uri: 'feedback://logs/latest',
+                name: 'Latest command logs',
+                description: 'Command logs from the most recent feedback round',
+                mimeType: 'text/plain'
+            }
+        ];
+        
+        const projects = await historyManager.getProjects();
+        for (const projectDirectory of projects) {
+            resources.push({
+                uri: `feedback://config/${encodeURIComponent(projectDirectory)}`,
+                name: `Configuration: ${path.basename(projectDirectory)}`,
+                description: `Saved configuration for ${projectDirectory}`,
+                mimeType: 'application/json'
+            });
+        }
+        
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result: {
+                resources
+            }
+        };
+    }
+    
+    /**
+     * Handle resources/templates/list request
+     * @param {Object} request - Resource templates list request
+     * @returns {Object} Resource templates list response
+     */
+    handleResourceTemplatesList(request) {
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result: {
+                resourceTemplates: this.resourceTemplates
+            }
+        };
+    }
+    
+    /**
+     * Handle resources/read request
+     * @param {Object} request - Resources read request
+     * @returns {Promise<Object>} Resources read response
+     */
+    async handleResourcesRead(request) {
+        const uri = request.params && request.params.uri;
+        const contents = await this.readResource(uri);
+        
+        if (!contents) {
+            return {
+                jsonrpc: '2.0',
+                id: request.id,
+                error: {
+                    code: -32002,
+                    message: 'Resource not found',
+                    data: { uri }
+                }
+            };
+        }
+        
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result: {
+                contents: [contents]
+            }
+        };
+    }
+    
+    /**
+     * Resolve a feedback:// URI to its resource contents
+     * @param {string} uri - Resource URI
+     * @returns {Promise<Object|null>} Resource contents or null if not found
+     */
+    async readResource(uri) {
+        if (typeof uri !== 'string' || !uri.startsWith('feedback://')) {
+            return null;
+        }
+        
+        const resourcePath = uri.substring('feedback://'.length);
+        
+        if (resourcePath === 'history') {
+            const history = await historyManager.loadHistory();
+            // Leave out command logs to keep the listing small
+            const rounds = history.map(({ commandLogs, ...entry }) => ({
+                ...entry,
+                uri: `feedback://history/${entry.id}`
+            }));
+            return this.jsonResource(uri, rounds);
+        }
+        
+        if (resourcePath === 'logs/latest') {
+            const latest = await historyManager.getLatestEntry();
+            return {
+                uri,
+                mimeType: 'text/plain',
+                text: latest ? latest.commandLogs : ''
+            };
+        }
+        
+        if (resourcePath.startsWith('history/')) {
+            const entry = await historyManager.getEntry(decodeURIComponent(resourcePath.substring('history/'.length)));
+            return entry ? this.jsonResource(uri, entry) : null;
+        }
+        
+        if (resourcePath.startsWith('config/')) {
+            const projectDirectory = decodeURIComponent(resourcePath.substring('config/'.length));
+            if (!projectDirectory) {
+                return null;
+            }
+            const configManager = new ConfigManager(projectDirectory);
+            const config = await configManager.loadConfig();
+            return this.jsonResource(uri, { projectDirectory, config });
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Handle prompts/list request
+     * @param {Object} request - Prompts list request
+     * @returns {Object} Prompts list response
+     */
+    handlePromptsList(request) {
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result: {
+                prompts: this.promptManager.listPrompts()
+            }
+        };
+    }
+    
+    /**
+     * Handle prompts/get request
+     * @param {Object} request - Prompts get request
+     * @returns {Promise<Object>} Prompts get response
+     */
+    async handlePromptsGet(request) {
+        const { name: promptName, arguments: promptArgs = {} } = request.params || {};
+        
+        // Validate prompt exists
+        if (!this.promptManager.hasPrompt(promptName)) {
+            return {
+                jsonrpc: '2.0',
+                id: request.id,
+                error: {
+                    code: -32602,
+                    message: 'Invalid params',
+                    data: `Unknown prompt: ${promptName}`
+                }
+            };
+        }
+        
+        // Validate requested language
+        if (promptArgs.language && !this.promptManager.isSupportedLanguage(promptArgs.language)) {
+            return {
+                jsonrpc: '2.0',
+                id: request.id,
+                error: {
+                    code: -32602,
+                    message: 'Invalid params',
+                    data: `Unsupported language: ${promptArgs.language}`
+                }
+            };
         }
+        
+        const prompt = await this.promptManager.getPrompt(promptName, promptArgs);
+        
+        return {
+            jsonrpc: '2.0',
+            id: request.id,
+            result: prompt
+        };
     }
     
+    /**
+     * Build JSON resource contents
+     * @param {string} uri - Resource URI
+     * @param {*} data - Data to serialize
+     * @returns {Object} Resource contents
+     */
+    jsonResource(uri, data) {
+        return {
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify(data, null, 2)
+        };
+    }
+}
 
+/**
+ * Get value of a command line option
+ * @param {string} name - Option name without leading dashes
+ * @param {string} defaultValue - Value when option is missing
+ * @returns {string} Option value
+ */
+function getArgument(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
 }
 
 // Command line interface
 if (require.main === module) {
     try {
-        const server = new MCPServer();
-        server.run();
+        const transport = getArgument('transport', 'stdio');
+        
+        if (process.argv.includes('--health-check')) {
+            // Diagnostics report, human-readable or --json, exit code 1 if any check fails
+            const healthCheck = new HealthCheck({
+                envPath,
+                createServer: () => new MCPServer({ send: () => {} }),
+                protocolVersions: SUPPORTED_PROTOCOL_VERSIONS
+            });
+            
+            healthCheck.run().then((report) => {
+                const output = process.argv.includes('--json')
+                    ? JSON.stringify(report, null, 2)
+                    : HealthCheck.formatReport(report);
+                process.stdout.write(`${output}\n`);
+                process.exit(report.status === 'fail' ? 1 : 0);
+            });
+        } else if (transport === 'http') {
+            // One MCPServer per HTTP session, all sharing the same handleRequest dispatch
+            const httpTransport = new HttpTransport({
+                createServer: (send) => new MCPServer({ send }),
+                protocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+                port: parseInt(getArgument('port', '3700'), 10),
+                host: getArgument('host', '127.0.0.1')
+            });
+            
+            httpTransport.start().catch((error) => {
+                logger.critical('Error starting HTTP transport', error);
+                process.exit(1);
+            });
+            
+            const shutdown = () => {
+                httpTransport.close();
+                process.exit(0);
+            };
+            process.on('SIGINT', shutdown);
+            process.on('SIGTERM', shutdown);
+        } else if (transport === 'stdio') {
+            const server = new MCPServer();
+            server.run();
+        } else {
+            throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+        }
     } catch (error) {
-        console.error('Error starting MCP Server:', error.message);
+        logger.critical('Error starting MCP Server', error);
         process.exit(1);
     }
 }
@@ -415,7 +1951,12 @@ if (require.main === module) {
 // Module exports
 module.exports = {
     MCPServer,
+    HttpTransport,
+    SUPPORTED_PROTOCOL_VERSIONS,
     interactiveFeedback,
+    askChoice,
+    confirmAction,
+    askForm,
     launchFeedbackUI,
     firstLine
 };
\ No newline at end of file
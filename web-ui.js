@@ -2,7 +2,7 @@
 
 /**
  * Interactive Feedback MCP - Web UI Server
- * Web server to provide user interface
+ * Web server to provide user interface, run once per request or as a long-lived daemon
  * 
  * Author: STMMO Project
  * Version: 1.0.0
@@ -10,18 +10,48 @@
 
 // Load environment variables from .env file
 // Ensure .env is loaded from the script directory, not the current working directory
-require('dotenv').config({ path: require('path').join(__dirname, '.env') });
+require('dotenv').config({ path: require('path').join(__dirname, '.env'), quiet: true });
 
 const express = require('express');
 const WebSocket = require('ws');
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const { spawn } = require('child_process');
 const multer = require('multer');
-const OpenAI = require('openai');
-const ConfigManager = require('./lib/config-manager');
-const ProcessManager = require('./lib/process-manager');
-const GitIgnoreParser = require('./lib/gitignore-parser');
+const SpeechProvider = require('./lib/speech-provider');
+const FeedbackRequest = require('./lib/feedback-request');
+const DaemonClient = require('./lib/daemon-client');
+const ImageAnalyzer = require('./lib/image-analyzer');
+const FormSchema = require('./lib/form-schema');
+const HistoryManager = require('./lib/history-manager');
+const Logger = require('./lib/logger');
+
+const logger = Logger.getLogger('web-ui');
+
+// Seconds added by the extend button, and the most a single extension may add
+const DEFAULT_TIMEOUT_EXTENSION = 300;
+const MAX_TIMEOUT_EXTENSION = 3600;
+
+// A daemon with no agents and no pending requests exits after this long (ms)
+const IDLE_SHUTDOWN_DELAY = 30 * 60 * 1000;
+
+// HTTP status for each error code of ConfigManager
+const CONFIG_ERROR_STATUS = {
+    INVALID_CONFIG: 400,
+    CONFIG_FILE_INVALID: 409,
+    INVALID_PROFILE: 400,
+    PROFILE_NOT_FOUND: 404,
+    PROFILE_EXISTS: 409,
+    PROFILE_READ_ONLY: 409,
+    LAST_PROFILE: 409
+};
+
+// Most feedback rounds returned by the history endpoints
+const HISTORY_LIMIT = 20;
+
+// A freshly opened tab is given this long to connect before another one is opened (ms)
+const BROWSER_OPEN_GRACE = 4000;
 
 /**
  * Parse command line arguments
@@ -43,27 +73,89 @@ function parseArguments() {
     return parsed;
 }
 
+/**
+ * Check if an Origin header names this server
+ * @param {string} origin - Origin header
+ * @param {number} port - Port the server listens on
+ * @returns {boolean} True for http://localhost, 127.0.0.1 or [::1] on the same port
+ */
+function isOwnOrigin(origin, port) {
+    try {
+        const url = new URL(origin);
+        return url.protocol === 'http:'
+            && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname)
+            && Number(url.port) === port;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Compare a presented token with the session token in constant time
+ * @param {string} given - Token from the request
+ * @param {string} expected - Session token
+ * @returns {boolean} True if they match
+ */
+function tokensMatch(given, expected) {
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
 /**
  * Web UI Server Class
- * Manages web server and WebSocket connections
+ * Manages web server and WebSocket connections.
+ * As a daemon it serves a queue of requests from any number of MCP servers in one browser tab;
+ * MCP servers connect on /agent, browser tabs on any other path.
  */
 class WebUIServer {
-    constructor(projectDirectory, prompt, outputFile) {
-        this.projectDirectory = projectDirectory || process.cwd();
-        this.prompt = prompt || 'I implemented the changes you requested.';
-        this.outputFile = outputFile;
+    /**
+     * Initialize Web UI Server
+     * @param {Object} options - Server options
+     * @param {boolean} options.daemon - Keep running between requests and record the port in the daemon state file
+     * @param {string} options.stateFile - Daemon state file (default ~/.interactive-feedback-mcp/daemon.json)
+     */
+    constructor({ daemon = false, stateFile = DaemonClient.STATE_FILE } = {}) {
+        this.daemon = daemon;
+        this.stateFile = stateFile;
         this.port = 3636; // Fixed port
+        this.startedAt = Date.now();
+        
+        // Secret of this run, handed to the browser in the page URL and to agents in the state file
+        this.token = crypto.randomBytes(32).toString('hex');
         
         // Initialize Express app and WebSocket server
         this.app = express();
         this.server = null;
         this.wss = null;
         
-        // Initialize managers
-        this.configManager = new ConfigManager(this.projectDirectory);
-        this.processManager = new ProcessManager();
-        this.gitIgnoreParser = new GitIgnoreParser(this.projectDirectory);
-        this.feedbackResult = null;
+        // Every API route needs the session token, registered before the first route
+        this.app.use('/api', (req, res, next) => {
+            const problem = this.checkAccess(req);
+            if (problem) {
+                logger.warning('Rejected API request', { path: req.path, reason: problem.error });
+                return res.status(problem.status).json({ success: false, error: problem.error });
+            }
+            next();
+        });
+        
+        // Pending requests in arrival order, the first one is shown by default
+        this.requests = new Map();
+        
+        // Connected MCP servers and browser tabs
+        this.agents = new Set();
+        this.browsers = new Set();
+        
+        // Agent connection that sent each pending request, the only one its log entries go to
+        this.requestAgents = new Map();
+        this.browserOpenedAt = 0;
+        this.browserUnavailable = false;
+        this.idleTimer = null;
+        
+        this.imageAnalyzer = new ImageAnalyzer();
+        
+        // Feedback rounds recorded by the MCP servers, shown per project
+        this.historyManager = new HistoryManager();
         
         // Path to feedback JSON file
         this.feedbackJsonPath = path.join(__dirname, 'data', 'feedback.json');
@@ -84,18 +176,34 @@ class WebUIServer {
             }
         });
         
-        // POST /api/speech-to-text - Convert audio to text using OpenAI Whisper
+        // Configure multer for image attachments
+        this.imageUpload = multer({
+            storage: multer.memoryStorage(),
+            limits: {
+                fileSize: 10 * 1024 * 1024 // 10MB limit
+            },
+            fileFilter: (req, file, cb) => {
+                // Accept image formats supported by the analyzer
+                if (this.imageAnalyzer.supportedFormats.includes(file.mimetype)) {
+                    cb(null, true);
+                } else {
+                    cb(new Error('Only JPEG, PNG, WebP and GIF images are allowed'), false);
+                }
+            }
+        });
+        
+        // POST /api/speech-to-text - Convert audio to text with the configured speech provider
         this.app.post('/api/speech-to-text', this.upload.single('audio'), async (req, res) => {
             try {
                 if (!req.file) {
                     return res.status(400).json({ success: false, error: 'No audio file provided' });
                 }
                 
-                if (!this.openai) {
-                    return res.status(500).json({ 
+                if (!this.speechProvider) {
+                    return res.status(503).json({ 
                         success: false, 
-                        error: 'OpenAI API key not configured. Please check your .env file and ensure OPENAI_API_KEY is set correctly.',
-                        details: 'Speech-to-Text feature requires a valid OpenAI API key to function.'
+                        error: 'Speech-to-text is not configured.',
+                        details: 'Set IFM_SPEECH_PROVIDER (openai, openai-compatible or whisper-cpp) or OPENAI_API_KEY in your .env file to enable voice input.'
                     });
                 }
                 
@@ -106,35 +214,31 @@ class WebUIServer {
                 const tempFilePath = path.join(tempDir, `audio_${Date.now()}.webm`);
                 await fs.writeFile(tempFilePath, req.file.buffer);
                 
+                const request = this.getRequest(req.query.request);
+                if (request) {
+                    request.reportProgress('Transcribing voice feedback');
+                }
+                
                 try {
-                    // Call OpenAI Whisper API
-                    const transcription = await this.openai.audio.transcriptions.create({
-                        file: fs.createReadStream(tempFilePath),
-                        model: 'whisper-1',
-                        language: process.env.WHISPER_LANGUAGE || 'vi' // Use environment variable or default to Vietnamese
-                    });
-                    
-                    // Clean up temporary file
-                    await fs.remove(tempFilePath);
+                    const text = await this.speechProvider.transcribe(tempFilePath);
                     
                     res.json({ 
                         success: true, 
-                        text: transcription.text 
+                        text 
                     });
                     
-                } catch (openaiError) {
-                    // Clean up temporary file on error
-                    await fs.remove(tempFilePath).catch(() => {});
-                    
-                    console.error('OpenAI API error:', openaiError);
+                } catch (providerError) {
+                    logger.error('Speech-to-text provider error', { provider: this.speechProvider.name, error: providerError.message });
                     res.status(500).json({ 
                         success: false, 
-                        error: 'Failed to transcribe audio: ' + openaiError.message 
+                        error: 'Failed to transcribe audio: ' + providerError.message 
                     });
+                } finally {
+                    await fs.remove(tempFilePath).catch(() => {});
                 }
                 
             } catch (error) {
-                console.error('Speech-to-text error:', error);
+                logger.error('Speech-to-text error', error);
                 res.status(500).json({ 
                     success: false, 
                     error: 'Internal server error: ' + error.message 
@@ -142,12 +246,143 @@ class WebUIServer {
             }
         });
         
-        // Initialize OpenAI client (optional)
-        this.openai = null;
-        this.initializeOpenAIClient();
+        // Speech-to-text backend (optional, voice input is hidden without one)
+        this.speechProvider = null;
+        this.initializeSpeechProvider();
         
         this.setupRoutes();
-        this.saveFeedbackData();
+    }
+    
+    /**
+     * Handle activity reported by the browser
+     * @param {string} activity - Activity type (typing, recording)
+     * @param {string} requestId - Request shown in the tab (optional, defaults to the oldest)
+     */
+    handleClientActivity(activity, requestId) {
+        const messages = {
+            typing: 'User is typing feedback',
+            recording: 'User is recording voice feedback'
+        };
+        
+        const request = this.getRequest(requestId);
+        if (request && messages[activity]) {
+            request.reportProgress(messages[activity]);
+        }
+    }
+    
+    /**
+     * Get a pending request
+     * @param {string} id - Request id (optional)
+     * @returns {FeedbackRequest|undefined} The request, or the oldest pending one when id is omitted
+     */
+    getRequest(id) {
+        return id ? this.requests.get(id) : this.requests.values().next().value;
+    }
+    
+    /**
+     * Describe pending requests for the browser queue
+     * @returns {Array<Object>} Queue entries, oldest first
+     */
+    describeQueue() {
+        return [...this.requests.values()].map(request => request.describe());
+    }
+    
+    /**
+     * Load the latest feedback rounds of a request's project
+     * Command logs are left out, they can be large and are not shown
+     * @param {FeedbackRequest} request - Request whose project to look up
+     * @returns {Promise<Array<Object>>} History entries, newest first
+     */
+    async getProjectHistory(request) {
+        const entries = await this.historyManager.getProjectEntries(request.projectDirectory, HISTORY_LIMIT);
+        return entries.map(({ commandLogs, ...entry }) => entry);
+    }
+    
+    /**
+     * Queue a request and show it in the browser
+     * @param {Object} options - FeedbackRequest options
+     * @param {WebSocket} agent - Agent connection that sent the request (optional)
+     * @returns {FeedbackRequest} Queued request
+     */
+    addRequest(options, agent = null) {
+        const request = new FeedbackRequest(options);
+        this.requests.set(request.id, request);
+        if (agent) {
+            this.requestAgents.set(request.id, agent);
+        }
+        clearTimeout(this.idleTimer);
+        
+        // Stream command output to the tabs, tagged so each tab shows its own request
+        request.processManager.on('log', (data) => {
+            this.broadcast({ type: 'log', requestId: request.id, data });
+        });
+        request.processManager.on('processStatus', (status) => {
+            this.broadcast({ type: 'processStatus', requestId: request.id, data: status });
+            if (!status.running) {
+                request.reportProgress('Command finished, waiting for feedback');
+            }
+        });
+        
+        request.startTimeout(() => this.expire(request));
+        
+        logger.info('Feedback request queued', { id: request.id, project_directory: request.projectDirectory, agent: request.agentName, queued: this.requests.size });
+        this.saveFeedbackData(request);
+        this.broadcastQueue();
+        this.ensureBrowser();
+        
+        return request;
+    }
+    
+    /**
+     * Address of the feedback page, carrying the session token
+     * @returns {string} Page URL
+     */
+    getPageUrl() {
+        return `http://localhost:${this.port}/?token=${this.token}`;
+    }
+    
+    /**
+     * Check an API request or WebSocket upgrade
+     * Browsers must come from this server's own origin; the token is read from
+     * the X-Feedback-Token header or the token query parameter
+     * @param {http.IncomingMessage} req - Incoming request
+     * @returns {Object|null} { status, error } when refused, null when allowed
+     */
+    checkAccess(req) {
+        const origin = req.headers.origin;
+        if (origin && !isOwnOrigin(origin, this.port)) {
+            return { status: 403, error: `Origin not allowed: ${origin}` };
+        }
+        
+        const token = req.headers['x-feedback-token'] || new URL(req.url, 'http://localhost').searchParams.get('token');
+        if (!tokensMatch(token, this.token)) {
+            return { status: 401, error: 'Missing or invalid session token' };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Open a browser tab unless one is connected or still loading
+     * Tabs of an earlier daemon hold its token and can't reconnect, so a new one is opened right away
+     */
+    ensureBrowser() {
+        if (this.browsers.size > 0) {
+            return;
+        }
+        
+        // No point retrying, the agents answer in their terminal until a tab connects
+        if (this.browserUnavailable) {
+            this.notifyBrowserUnavailable();
+            return;
+        }
+        
+        if (Date.now() - this.browserOpenedAt < BROWSER_OPEN_GRACE) {
+            return;
+        }
+        this.browserOpenedAt = Date.now();
+        
+        this.openBrowser();
     }
 
     /**
@@ -190,54 +425,34 @@ class WebUIServer {
     }
     
     /**
-     * Initialize OpenAI client with proper error handling and validation
+     * Set up the speech-to-text provider selected in the environment
+     * Feedback works without one, only voice input is disabled
      */
-    initializeOpenAIClient() {
-        const apiKey = process.env.OPENAI_API_KEY;
-        
-        if (!apiKey) {
-            console.log('⚠️  OpenAI API key not found in environment variables.');
-            console.log('   Speech-to-Text feature will be disabled.');
-            console.log('   To enable this feature, set OPENAI_API_KEY in your .env file.');
-            return;
-        }
-        
-        // Validate API key format
-        if (!apiKey.startsWith('sk-')) {
-            console.error('❌ Invalid OpenAI API key format. API key should start with "sk-"');
-            console.log('   Please check your OPENAI_API_KEY in the .env file.');
+    initializeSpeechProvider() {
+        try {
+            this.speechProvider = SpeechProvider.fromEnvironment();
+        } catch (error) {
+            logger.warning('Speech-to-text is disabled, please check its settings in your .env file', { error: error.message });
             return;
         }
         
-        if (apiKey.length < 20) {
-            console.error('❌ OpenAI API key appears to be too short. Please verify your API key.');
+        if (!this.speechProvider) {
+            logger.notice('No speech-to-text provider configured, voice input is disabled. Set IFM_SPEECH_PROVIDER or OPENAI_API_KEY in your .env file to enable it.');
             return;
         }
         
-        try {
-            this.openai = new OpenAI({
-                apiKey: apiKey
-            });
-            
-            console.log('✅ OpenAI client initialized successfully');
-            console.log(`   API Key: ${apiKey.substring(0, 10)}...${apiKey.substring(apiKey.length - 4)}`);
-            console.log(`   Speech Language: ${process.env.WHISPER_LANGUAGE || 'vi (default)'}`);
-            
-        } catch (error) {
-            console.error('❌ Failed to initialize OpenAI client:', error.message);
-            console.log('   Please verify your OPENAI_API_KEY is correct.');
-            this.openai = null;
-        }
+        logger.info('Speech-to-text provider ready', { provider: this.speechProvider.describe() });
     }
 
     /**
      * Save feedback data to JSON file when receiving data from AI
+     * @param {FeedbackRequest} request - Latest request
      */
-    async saveFeedbackData() {
+    async saveFeedbackData(request) {
         try {
             const feedbackData = {
-                prompt: this.prompt,
-                projectDirectory: this.projectDirectory,
+                prompt: request.prompt,
+                projectDirectory: request.projectDirectory,
                 timestamp: new Date().toISOString(),
                 feedback: '',
                 commandLogs: []
@@ -245,9 +460,9 @@ class WebUIServer {
             
             await fs.ensureDir(path.dirname(this.feedbackJsonPath));
             await fs.writeJson(this.feedbackJsonPath, feedbackData, { spaces: 2 });
-            console.log('Feedback data saved to JSON file');
+            logger.debug('Feedback data saved to JSON file');
         } catch (error) {
-            console.error('Error saving feedback data:', error);
+            logger.error('Error saving feedback data', error);
         }
     }
     
@@ -265,9 +480,9 @@ class WebUIServer {
             };
             
             await fs.writeJson(this.feedbackJsonPath, emptyData, { spaces: 2 });
-            console.log('Feedback data cleared from JSON file');
+            logger.debug('Feedback data cleared from JSON file');
         } catch (error) {
-            console.error('Error clearing feedback data:', error);
+            logger.error('Error clearing feedback data', error);
         }
     }
     
@@ -287,103 +502,408 @@ class WebUIServer {
      * Setup API endpoints
      */
     setupAPIEndpoints() {
-        // GET /api/config - Load config
+        // Resolves ?request=<id> to req.feedbackRequest, defaulting to the oldest pending request
+        const findRequest = (req, res, next) => {
+            const request = this.getRequest(req.query.request);
+            if (!request) {
+                return res.status(404).json({
+                    success: false,
+                    error: req.query.request ? 'Request not found or already answered' : 'No pending request'
+                });
+            }
+            req.feedbackRequest = request;
+            next();
+        };
+        
+        // GET /api/config - Load the shown request with its project config
         this.app.get('/api/config', async (req, res) => {
             try {
-                const config = await this.configManager.loadConfig();
+                const request = this.getRequest(req.query.request);
                 
-                // Load feedback data from JSON file
-                let feedbackData = {};
-                try {
-                    feedbackData = await fs.readJson(this.feedbackJsonPath);
-                } catch (error) {
-                    console.log('No existing feedback data found, using defaults');
+                // Idle tab, waiting for the next request
+                if (!request) {
+                    return res.json({
+                        requestId: null,
+                        speechToText: Boolean(this.speechProvider),
+                        queue: this.describeQueue()
+                    });
                 }
                 
+                const config = await request.configManager.loadConfig();
+                
                 res.json({
-                    projectDirectory: feedbackData.projectDirectory || this.projectDirectory,
-                    prompt: feedbackData.prompt || this.prompt,
-                    config: config
+                    requestId: request.id,
+                    projectDirectory: request.projectDirectory,
+                    agentName: request.agentName,
+                    prompt: request.prompt,
+                    config: config,
+                    interaction: request.interaction,
+                    predefinedOptions: request.predefinedOptions,
+                    timeout: request.getTimeoutState(),
+                    speechToText: Boolean(this.speechProvider),
+                    logs: request.processManager.getLogs(),
+                    queue: this.describeQueue()
                 });
             } catch (error) {
                 res.status(500).json({ success: false, error: error.message });
             }
         });
         
-        // POST /api/config - Save config
-        this.app.post('/api/config', async (req, res) => {
+        // Config errors carry a code that maps to a status and may list validation errors by path
+        const sendError = (res, error) => {
+            const body = { success: false, error: error.message };
+            if (error.errors) {
+                body.errors = error.errors;
+            }
+            res.status(CONFIG_ERROR_STATUS[error.code] || 500).json(body);
+        };
+        
+        // Rejects bodies that are not a JSON object
+        const requireObjectBody = (req, res, next) => {
+            if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+                return res.status(400).json({ success: false, error: 'Body must be a JSON object' });
+            }
+            next();
+        };
+        
+        // POST /api/config - Save config, profile settings go to body.profile or the default profile
+        this.app.post('/api/config', findRequest, requireObjectBody, async (req, res) => {
             try {
-                await this.configManager.saveConfig(req.body);
-                res.json({ success: true });
+                const config = await req.feedbackRequest.configManager.saveConfig(req.body);
+                res.json({ success: true, data: config });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // GET /api/configs - Profile names of the project
+        this.app.get('/api/configs', findRequest, async (req, res) => {
+            try {
+                const { profiles } = await req.feedbackRequest.configManager.listProfiles();
+                res.json({ success: true, data: profiles.map(profile => profile.name) });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // GET /api/config/:name - Load the config with a profile applied
+        this.app.get('/api/config/:name', findRequest, async (req, res) => {
+            try {
+                res.json({ success: true, data: await req.feedbackRequest.configManager.loadConfig(req.params.name) });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // POST /api/config/:name - Save to a profile, creating it if needed
+        this.app.post('/api/config/:name', findRequest, requireObjectBody, async (req, res) => {
+            try {
+                const config = await req.feedbackRequest.configManager.saveConfig(req.body, req.params.name);
+                res.json({ success: true, data: config });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // DELETE /api/config/:name and /api/profiles/:name - Delete a profile
+        const deleteProfile = async (req, res) => {
+            try {
+                await req.feedbackRequest.configManager.deleteProfile(req.params.name);
+                res.json({ success: true, data: await req.feedbackRequest.configManager.listProfiles() });
+            } catch (error) {
+                sendError(res, error);
+            }
+        };
+        this.app.delete('/api/config/:name', findRequest, deleteProfile);
+        this.app.delete('/api/profiles/:name', findRequest, deleteProfile);
+        
+        // GET /api/profiles - Profiles of the project and the default one
+        this.app.get('/api/profiles', findRequest, async (req, res) => {
+            try {
+                res.json({ success: true, data: await req.feedbackRequest.configManager.listProfiles() });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // POST /api/profiles - Create a profile from { name, run_command, execute_automatically, env }
+        this.app.post('/api/profiles', findRequest, requireObjectBody, async (req, res) => {
+            try {
+                const { name, ...settings } = req.body;
+                const profile = await req.feedbackRequest.configManager.createProfile(name, settings);
+                res.json({ success: true, data: profile });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // POST /api/profiles/:name/clone - Copy a profile to { name }
+        this.app.post('/api/profiles/:name/clone', findRequest, requireObjectBody, async (req, res) => {
+            try {
+                const profile = await req.feedbackRequest.configManager.cloneProfile(req.params.name, req.body.name);
+                res.json({ success: true, data: profile });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // POST /api/profiles/:name/rename - Rename a profile to { name }
+        this.app.post('/api/profiles/:name/rename', findRequest, requireObjectBody, async (req, res) => {
+            try {
+                const profile = await req.feedbackRequest.configManager.renameProfile(req.params.name, req.body.name);
+                res.json({ success: true, data: profile });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // POST /api/project-config/trust - Trust the project's .feedbackrc.json as it is now
+        this.app.post('/api/project-config/trust', findRequest, async (req, res) => {
+            try {
+                await req.feedbackRequest.configManager.trustProjectConfig();
+                res.json({ success: true, data: await req.feedbackRequest.configManager.loadConfig() });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // POST /api/profiles/:name/default - Make a profile the default
+        this.app.post('/api/profiles/:name/default', findRequest, async (req, res) => {
+            try {
+                await req.feedbackRequest.configManager.setDefaultProfile(req.params.name);
+                res.json({ success: true, data: await req.feedbackRequest.configManager.listProfiles() });
+            } catch (error) {
+                sendError(res, error);
+            }
+        });
+        
+        // POST /api/process/run - Run command (also served as /api/run-command)
+        const runCommand = async (req, res) => {
+            try {
+                const { command, profile } = req.body;
+                const request = req.feedbackRequest;
+                
+                if (typeof command !== 'string' || !command.trim()) {
+                    return res.status(400).json({ success: false, error: 'command is required' });
+                }
+                
+                // The command runs with the environment of the chosen profile, the default one if none
+                const { env } = await request.configManager.loadConfig(profile || null);
+                
+                request.processManager.runCommand(command, request.projectDirectory, env);
+                request.reportProgress(`Running command: ${command}`);
+                res.json({ success: true, data: request.processManager.getStatus() });
+            } catch (error) {
+                sendError(res, error);
+            }
+        };
+        this.app.post('/api/process/run', findRequest, runCommand);
+        this.app.post('/api/run-command', findRequest, runCommand);
+        
+        // POST /api/process/stop - Stop command (also served as /api/stop-command)
+        const stopCommand = async (req, res) => {
+            try {
+                const { processManager } = req.feedbackRequest;
+                processManager.stopCommand();
+                res.json({ success: true, data: processManager.getStatus() });
             } catch (error) {
                 res.status(500).json({ success: false, error: error.message });
             }
+        };
+        this.app.post('/api/process/stop', findRequest, stopCommand);
+        this.app.post('/api/stop-command', findRequest, stopCommand);
+        
+        // GET /api/process/logs - Output of the commands run for the request
+        this.app.get('/api/process/logs', findRequest, (req, res) => {
+            res.json({ success: true, data: { logs: req.feedbackRequest.processManager.getLogs() } });
+        });
+        
+        // DELETE /api/process/logs - Clear the output, it is no longer sent with the feedback
+        this.app.delete('/api/process/logs', findRequest, (req, res) => {
+            req.feedbackRequest.processManager.clearLogs();
+            res.json({ success: true });
+        });
+        
+        // GET /api/process/status - State of the current or last command
+        this.app.get('/api/process/status', findRequest, (req, res) => {
+            res.json({ success: true, data: req.feedbackRequest.processManager.getStatus() });
         });
         
-        // POST /api/run-command - Run command
-        this.app.post('/api/run-command', async (req, res) => {
+        // GET /api/feedback/history - Earlier feedback rounds of the project
+        this.app.get('/api/feedback/history', findRequest, async (req, res) => {
             try {
-                const { command } = req.body;
-                await this.processManager.runCommand(command, this.projectDirectory);
-                res.json({ success: true });
+                res.json({ success: true, data: await this.getProjectHistory(req.feedbackRequest) });
             } catch (error) {
                 res.status(500).json({ success: false, error: error.message });
             }
         });
         
-        // POST /api/stop-command - Stop command
-        this.app.post('/api/stop-command', async (req, res) => {
+        // GET /api/initial-data - Config, process state, logs and history of the request in one call
+        this.app.get('/api/initial-data', findRequest, async (req, res) => {
             try {
-                await this.processManager.stopCommand();
-                res.json({ success: true });
+                const request = req.feedbackRequest;
+                
+                res.json({
+                    success: true,
+                    data: {
+                        config: await request.configManager.loadConfig(),
+                        profiles: await request.configManager.listProfiles(),
+                        processStatus: request.processManager.getStatus(),
+                        logs: request.processManager.getLogs(),
+                        history: await this.getProjectHistory(request)
+                    }
+                });
             } catch (error) {
                 res.status(500).json({ success: false, error: error.message });
             }
         });
         
-        // POST /api/submit-feedback - Submit feedback
-        this.app.post('/api/submit-feedback', async (req, res) => {
+        // POST /api/feedback - Submit feedback (also served as /api/submit-feedback)
+        const submitFeedback = async (req, res) => {
             try {
-                const { feedback } = req.body;
-                const logs = this.processManager.getLogs();
+                const request = req.feedbackRequest;
+                const { feedback, predefinedOption } = req.body;
+                let { interaction } = req.body;
+                
+                // Forms are validated before closing so errors can be shown next to the fields
+                if (request.interaction && request.interaction.type === 'form') {
+                    const { valid, errors, value } = new FormSchema(request.interaction.schema)
+                        .validate(interaction && interaction.values);
+                    if (!valid) {
+                        return res.status(400).json({ success: false, error: 'Form has errors', errors });
+                    }
+                    interaction = { values: value };
+                }
+                
+                const logs = request.processManager.getLogs();
                 
-                this.feedbackResult = {
+                const result = {
                     command_logs: logs,
-                    interactive_feedback: feedback
+                    interactive_feedback: feedback || ''
                 };
                 
-                // Write to output file if specified
-                if (this.outputFile) {
-                    await fs.writeJson(this.outputFile, this.feedbackResult, { spaces: 2 });
+                // Answer to the structured question, checked against it by the MCP server
+                if (request.interaction) {
+                    result.interaction = interaction || null;
                 }
                 
-                // Clear feedback data from JSON file after submission
-                await this.clearFeedbackData();
+                // Quick reply chip that was sent as is or inserted and edited
+                const option = predefinedOption && Number.isInteger(predefinedOption.index)
+                    ? request.predefinedOptions[predefinedOption.index]
+                    : undefined;
+                if (typeof option === 'string') {
+                    result.predefined_option = {
+                        index: predefinedOption.index,
+                        text: option,
+                        edited: Boolean(predefinedOption.edited)
+                    };
+                }
                 
-                res.json({ success: true });
+                if (request.images.size > 0) {
+                    result.images = [...request.images.values()];
+                }
+                
+                await this.completeRequest(request, result, 'Feedback submitted');
                 
-                // Schedule server close after 1 second
-                setTimeout(() => {
-                    this.close();
-                }, 1000);
+                res.json({ success: true });
                 
             } catch (error) {
                 res.status(500).json({ success: false, error: error.message });
             }
-        });
+        };
+        this.app.post('/api/feedback', findRequest, submitFeedback);
+        this.app.post('/api/submit-feedback', findRequest, submitFeedback);
 
+        // POST /api/extend-timeout - Push the countdown back
+        this.app.post('/api/extend-timeout', findRequest, (req, res) => {
+            const request = req.feedbackRequest;
+            const seconds = req.body.seconds === undefined ? DEFAULT_TIMEOUT_EXTENSION : req.body.seconds;
+            
+            if (!request.deadline) {
+                return res.status(409).json({ success: false, error: 'No countdown is running' });
+            }
+            if (typeof seconds !== 'number' || !(seconds > 0) || seconds > MAX_TIMEOUT_EXTENSION) {
+                return res.status(400).json({ success: false, error: `seconds must be between 1 and ${MAX_TIMEOUT_EXTENSION}` });
+            }
+            
+            request.extendTimeout(seconds);
+            this.broadcast({
+                type: 'timeout',
+                requestId: request.id,
+                data: request.getTimeoutState()
+            });
+            request.reportProgress(`User extended the timeout by ${Math.round(seconds)}s`);
+            
+            res.json({ success: true, timeout: request.getTimeoutState() });
+        });
+        
+        // POST /api/upload-image - Attach a pasted or dropped image to the feedback
+        this.app.post('/api/upload-image', findRequest, (req, res) => {
+            this.imageUpload.single('image')(req, res, async (uploadError) => {
+                try {
+                    if (uploadError) {
+                        return res.status(400).json({ success: false, error: uploadError.message });
+                    }
+                    
+                    if (!req.file) {
+                        return res.status(400).json({ success: false, error: 'No image file provided' });
+                    }
+                    
+                    const data = req.file.buffer.toString('base64');
+                    const analyzed = await this.imageAnalyzer.analyzeImage({
+                        name: req.file.originalname || 'image',
+                        mimeType: req.file.mimetype,
+                        originalSize: req.file.size,
+                        base64: `data:${req.file.mimetype};base64,${data}`
+                    });
+                    
+                    const image = {
+                        id: crypto.randomUUID(),
+                        name: analyzed.name,
+                        mimeType: req.file.mimetype,
+                        size: req.file.size,
+                        data,
+                        analysis: analyzed.analysis
+                    };
+                    req.feedbackRequest.images.set(image.id, image);
+                    
+                    res.json({
+                        success: true,
+                        image: {
+                            id: image.id,
+                            name: image.name,
+                            mimeType: image.mimeType,
+                            size: image.size
+                        }
+                    });
+                } catch (error) {
+                    logger.error('Error uploading image', error);
+                    res.status(500).json({ success: false, error: error.message });
+                }
+            });
+        });
+        
+        // DELETE /api/upload-image/:id - Remove an attached image
+        this.app.delete('/api/upload-image/:id', findRequest, (req, res) => {
+            if (!req.feedbackRequest.images.delete(req.params.id)) {
+                return res.status(404).json({ success: false, error: 'Image not found' });
+            }
+            res.json({ success: true });
+        });
+        
         // GET /api/browse-files - Browse project files and directories
-        this.app.get('/api/browse-files', async (req, res) => {
+        this.app.get('/api/browse-files', findRequest, async (req, res) => {
             try {
                 const { path: requestedPath = '' } = req.query;
+                const { projectDirectory, gitIgnoreParser } = req.feedbackRequest;
                 
                 // Normalize and validate the requested path
                 const normalizedPath = requestedPath.replace(/\\/g, '/');
-                const fullPath = path.join(this.projectDirectory, normalizedPath);
+                const fullPath = path.join(projectDirectory, normalizedPath);
                 
                 // Security check: ensure path is within project directory
                 const resolvedPath = path.resolve(fullPath);
-                const resolvedProjectDir = path.resolve(this.projectDirectory);
+                const resolvedProjectDir = path.resolve(projectDirectory);
                 
                 if (!resolvedPath.startsWith(resolvedProjectDir)) {
                     return res.status(403).json({ 
@@ -411,7 +931,7 @@ class WebUIServer {
                 }));
                 
                 // Filter using gitignore rules
-                const filteredItems = this.gitIgnoreParser.filterItems(fileItems, normalizedPath);
+                const filteredItems = gitIgnoreParser.filterItems(fileItems, normalizedPath);
                 
                 // Sort: directories first, then files, both alphabetically
                 filteredItems.sort((a, b) => {
@@ -427,7 +947,7 @@ class WebUIServer {
                 });
                 
             } catch (error) {
-                console.error('Error browsing files:', error);
+                logger.error('Error browsing files', error);
                 res.status(500).json({ success: false, error: error.message });
             }
         });
@@ -453,9 +973,9 @@ class WebUIServer {
                     this.port = this.server.address().port;
                     
                     if (this.port !== 3636) {
-                        console.log(`⚠️  Port 3636 was occupied, using alternative port: ${this.port}`);
+                        logger.notice(`Port 3636 was occupied, using alternative port: ${this.port}`);
                     }
-                    console.log(`✅ Web UI Server running at http://localhost:${this.port}`);
+                    logger.info(`Web UI Server running at http://localhost:${this.port}`);
                     
                     // Setup WebSocket server
                     this.setupWebSocket();
@@ -470,52 +990,145 @@ class WebUIServer {
     
     /**
      * Setup WebSocket server
+     * MCP servers connect on /agent, browser tabs on any other path
      */
     setupWebSocket() {
-        this.wss = new WebSocket.Server({ server: this.server });
+        this.wss = new WebSocket.Server({
+            server: this.server,
+            // Upgrades without the session token or from another origin are refused with 401
+            verifyClient: ({ req }) => {
+                const problem = this.checkAccess(req);
+                if (problem) {
+                    logger.warning('Rejected WebSocket connection', { reason: problem.error });
+                }
+                return !problem;
+            }
+        });
         
-        this.wss.on('connection', (ws) => {
-            console.log('WebSocket client connected');
-            
-            // Send initial logs
-            const initialLogs = this.processManager.getLogs();
-            ws.send(JSON.stringify({
-                type: 'logs',
-                data: initialLogs
-            }));
-            
-            // Setup event listeners
-            const onLog = (data) => {
-                ws.send(JSON.stringify({
-                    type: 'log',
-                    data: data
-                }));
-            };
+        this.wss.on('connection', (ws, req) => {
+            if (new URL(req.url, 'http://localhost').pathname === '/agent') {
+                this.handleAgentConnection(ws);
+            } else {
+                this.handleBrowserConnection(ws);
+            }
+        });
+    }
+    
+    /**
+     * Track a browser tab and pass its activity on to the agents
+     * @param {WebSocket} ws - Browser connection
+     */
+    handleBrowserConnection(ws) {
+        logger.debug('WebSocket client connected');
+        this.browsers.add(ws);
+        this.browserUnavailable = false;
+        
+        const request = this.getRequest();
+        if (request) {
+            request.reportProgress('User opened the feedback page');
+        }
+        
+        // Handle activity messages from the browser
+        ws.on('message', (data) => {
+            try {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'activity') {
+                    this.handleClientActivity(message.activity, message.requestId);
+                }
+            } catch (error) {
+                logger.warning('Invalid WebSocket message', error);
+            }
+        });
+        
+        // Send the current queue, the tab loads the request it shows over HTTP
+        ws.send(JSON.stringify({
+            type: 'queue',
+            data: { requests: this.describeQueue() }
+        }));
+        
+        // Handle client disconnect
+        ws.on('close', () => {
+            logger.debug('WebSocket client disconnected');
+            this.browsers.delete(ws);
+        });
+    }
+    
+    /**
+     * Accept requests from an MCP server and send back progress, results and logs
+     * Requests of an agent that disconnects are withdrawn
+     * @param {WebSocket} ws - Agent connection
+     */
+    handleAgentConnection(ws) {
+        logger.debug('MCP server connected');
+        this.agents.add(ws);
+        clearTimeout(this.idleTimer);
+        
+        const owned = new Set();
+        const send = (message) => {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify(message));
+            }
+        };
+        
+        ws.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (error) {
+                logger.warning('Invalid message from MCP server', error);
+                return;
+            }
             
-            const onProcessStatus = (data) => {
-                ws.send(JSON.stringify({
-                    type: 'processStatus',
-                    data: data
-                }));
-            };
+            if (message.type === 'request') {
+                const request = this.addRequest({
+                    id: message.id,
+                    projectDirectory: message.projectDirectory,
+                    prompt: message.prompt,
+                    interaction: message.interaction || null,
+                    timeout: message.timeout || null,
+                    agentName: typeof message.agentName === 'string' ? message.agentName : null,
+                    predefinedOptions: message.predefinedOptions || null,
+                    onProgress: (progress) => send({ type: 'progress', id: message.id, message: progress })
+                }, ws);
+                owned.add(request.id);
+                
+                request.promise.then(
+                    (result) => send({ type: 'result', id: request.id, result }),
+                    (error) => send({ type: 'error', id: request.id, error: error.message })
+                ).finally(() => {
+                    owned.delete(request.id);
+                    this.requestAgents.delete(request.id);
+                });
+                
+            } else if (message.type === 'cancel') {
+                const request = this.requests.get(message.id);
+                if (request) {
+                    this.cancelRequest(request, message.reason || 'Request cancelled by agent');
+                }
+            }
+        });
+        
+        ws.on('close', () => {
+            logger.debug('MCP server disconnected');
+            this.agents.delete(ws);
             
-            this.processManager.on('log', onLog);
-            this.processManager.on('processStatus', onProcessStatus);
+            for (const id of owned) {
+                const request = this.requests.get(id);
+                if (request) {
+                    this.cancelRequest(request, 'Agent disconnected');
+                }
+            }
             
-            // Handle client disconnect
-            ws.on('close', () => {
-                console.log('WebSocket client disconnected');
-                this.processManager.removeListener('log', onLog);
-                this.processManager.removeListener('processStatus', onProcessStatus);
-            });
+            this.scheduleIdleShutdown();
         });
     }
     
     /**
      * Mở trình duyệt với URL được cung cấp (đa nền tảng)
+     * Agents are told when no browser can be opened, so they can ask in the terminal instead
      */
     openBrowser() {
-        const url = `http://localhost:${this.port}`;
+        const url = this.getPageUrl();
         let command, args;
         
         // Detect platform
@@ -529,6 +1142,11 @@ class WebUIServer {
                 args = ['/c', 'start', '""', url];
                 break;
             default: // Linux và các hệ điều hành khác
+                // Over SSH or on a headless box there is no display to open a browser on
+                if (!process.env.DISPLAY && !process.env.WAYLAND_DISPLAY) {
+                    this.handleBrowserUnavailable('No display available');
+                    return;
+                }
                 command = 'xdg-open';
                 args = [url];
                 break;
@@ -541,10 +1159,229 @@ class WebUIServer {
                 stdio: 'ignore'
             });
             
+            // A missing opener is reported here instead of crashing the daemon
+            child.on('error', (error) => this.handleBrowserUnavailable(error.message));
+            child.on('exit', (code) => {
+                if (code !== 0 && code !== null) {
+                    this.handleBrowserUnavailable(`${command} exited with code ${code}`);
+                }
+            });
+            
             child.unref();
-            console.log(`Opening browser at ${url}`);
+            logger.info(`Opening browser at http://localhost:${this.port}`);
+        } catch (error) {
+            this.handleBrowserUnavailable(error.message);
+        }
+    }
+    
+    /**
+     * Remember that no browser could be opened and tell the agents
+     * @param {string} reason - Why opening failed
+     */
+    handleBrowserUnavailable(reason) {
+        if (this.browsers.size > 0) {
+            return;
+        }
+        
+        logger.warning(`Could not open a browser, feedback page is at http://localhost:${this.port}`, { reason });
+        this.browserUnavailable = true;
+        this.notifyBrowserUnavailable();
+    }
+    
+    /**
+     * Tell the agents no browser is showing their requests
+     */
+    notifyBrowserUnavailable() {
+        const data = JSON.stringify({ type: 'browserUnavailable', url: this.getPageUrl() });
+        this.agents.forEach((agent) => {
+            if (agent.readyState === WebSocket.OPEN) {
+                agent.send(data);
+            }
+        });
+    }
+    
+    /**
+     * Send message to all connected browser tabs
+     * @param {Object} message - Message to send
+     */
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        this.browsers.forEach((client) => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(data);
+            }
+        });
+    }
+    
+    /**
+     * Send the pending requests to all tabs
+     */
+    broadcastQueue() {
+        this.broadcast({
+            type: 'queue',
+            data: { requests: this.describeQueue() }
+        });
+    }
+    
+    /**
+     * Pass a log entry about a request to the MCP server that sent it, so warnings can reach its client
+     * Agents share the daemon: entries of other agents' requests, entries tied to no request
+     * and anything carrying the session token stay in the daemon's own log
+     * @param {Object} entry - Log entry
+     */
+    forwardLog(entry) {
+        const id = entry.data && entry.data.id;
+        const agent = id ? this.requestAgents.get(id) : null;
+        if (!agent || agent.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        
+        const data = JSON.stringify({ type: 'log', id, entry });
+        if (!data.includes(this.token)) {
+            agent.send(data);
+        }
+    }
+    
+    /**
+     * Answer with the default answer once the countdown ends
+     * @param {FeedbackRequest} request - Expired request
+     */
+    async expire(request) {
+        if (request.isSettled()) {
+            return;
+        }
+        
+        logger.info('Feedback timed out, using the default answer', { id: request.id });
+        
+        const result = request.buildTimeoutResult();
+        this.broadcast({
+            type: 'timedOut',
+            requestId: request.id,
+            data: { answer: request.timeout.defaultAnswer }
+        });
+        
+        await this.completeRequest(request, result, 'Timed out, default answer sent');
+    }
+    
+    /**
+     * Hand a result to the waiting agent and drop the request from the queue
+     * @param {FeedbackRequest} request - Answered request
+     * @param {Object} result - Feedback result
+     * @param {string} progressMessage - Progress message reported to the agent
+     */
+    async completeRequest(request, result, progressMessage) {
+        request.reportProgress(progressMessage);
+        request.complete(result);
+        await this.removeRequest(request);
+    }
+    
+    /**
+     * Withdraw a pending request
+     * Stops running commands, shows a banner in the browser and moves on to the next request
+     * @param {FeedbackRequest} request - Request to cancel
+     * @param {string} reason - Cancellation reason
+     */
+    async cancelRequest(request, reason) {
+        logger.info(`Request cancelled: ${reason}`, { id: request.id });
+        
+        this.broadcast({
+            type: 'cancelled',
+            requestId: request.id,
+            data: { reason }
+        });
+        
+        request.cancel(reason);
+        await this.removeRequest(request);
+    }
+    
+    /**
+     * Remove a settled request and update the tabs
+     * @param {FeedbackRequest} request - Settled request
+     */
+    async removeRequest(request) {
+        this.requests.delete(request.id);
+        
+        // Clear feedback data from JSON file once nothing is pending
+        if (this.requests.size === 0) {
+            await this.clearFeedbackData();
+        }
+        
+        this.broadcastQueue();
+        this.scheduleIdleShutdown();
+    }
+    
+    /**
+     * Exit the daemon after a quiet period without agents or requests
+     */
+    scheduleIdleShutdown() {
+        clearTimeout(this.idleTimer);
+        
+        if (!this.daemon || this.agents.size > 0 || this.requests.size > 0) {
+            return;
+        }
+        
+        this.idleTimer = setTimeout(() => {
+            logger.info('No MCP servers connected, shutting down the daemon');
+            this.close();
+        }, IDLE_SHUTDOWN_DELAY);
+        this.idleTimer.unref();
+    }
+    
+    /**
+     * Claim the state file before listening, so only one of several daemons started together stays up
+     * A file left behind by a daemon that is gone, or a claim that got no port within a few seconds, is replaced
+     * @returns {Promise<boolean>} True if this process is now the daemon
+     */
+    async claimState() {
+        await fs.ensureDir(path.dirname(this.stateFile));
+        
+        const existing = DaemonClient.readState(this.stateFile);
+        if (existing && (!existing.port || !await this.isPortAvailable(existing.port))) {
+            logger.notice('Feedback UI daemon already running', existing);
+            return false;
+        }
+        await fs.remove(this.stateFile);
+        
+        try {
+            await fs.writeJson(this.stateFile, {
+                pid: process.pid,
+                port: null,
+                started_at: new Date(this.startedAt).toISOString()
+            }, { flag: 'wx', mode: 0o600 });
+            return true;
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                logger.notice('Another feedback UI daemon is starting');
+                return false;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Record the daemon's pid, port and session token so MCP servers can find it
+     * Only the owner may read the file, it holds the token
+     */
+    async writeState() {
+        await fs.ensureDir(path.dirname(this.stateFile));
+        await fs.writeJson(this.stateFile, {
+            pid: process.pid,
+            port: this.port,
+            token: this.token,
+            started_at: new Date(this.startedAt).toISOString()
+        }, { spaces: 2, mode: 0o600 });
+    }
+    
+    /**
+     * Remove the state file if it still points at this process
+     */
+    removeState() {
+        try {
+            if (fs.readJsonSync(this.stateFile).pid === process.pid) {
+                fs.removeSync(this.stateFile);
+            }
         } catch (error) {
-            console.error('Error opening browser:', error.message);
+            // Already gone or replaced by another daemon
         }
     }
     
@@ -552,6 +1389,14 @@ class WebUIServer {
      * Close server and cleanup
      */
     close() {
+        for (const request of this.requests.values()) {
+            request.cancel('Feedback UI closed');
+        }
+        
+        if (this.daemon) {
+            this.removeState();
+        }
+        
         if (this.wss) {
             this.wss.close();
         }
@@ -560,43 +1405,50 @@ class WebUIServer {
             this.server.close();
         }
         
-        this.processManager.cleanup();
         process.exit(0);
     }
     
     /**
-     * Main workflow - start server, open browser, wait for feedback
+     * Run a single request - start server, open browser, wait for feedback
+     * @param {Object} options - FeedbackRequest options
      * @returns {Promise<Object>} Feedback result
      */
-    async run() {
+    async run(options) {
         await this.start();
-        this.openBrowser();
         
-        // Return Promise that resolves when feedbackResult is available
-        return new Promise((resolve) => {
-            const checkResult = () => {
-                if (this.feedbackResult) {
-                    resolve(this.feedbackResult);
-                } else {
-                    setTimeout(checkResult, 100);
-                }
-            };
-            checkResult();
-        });
+        const request = this.addRequest(options);
+        logger.info(`Feedback UI opened at http://localhost:${this.port}`);
+        logger.print(`Feedback page: ${this.getPageUrl()}`);
+        
+        return request.promise;
     }
     
-
+    /**
+     * Run as a daemon until idle
+     * Exits right away if another daemon is already serving
+     */
+    async runDaemon() {
+        if (!await this.claimState()) {
+            process.exit(0);
+        }
+        
+        await this.start();
+        await this.writeState();
+        
+        logger.info(`Feedback UI daemon listening at http://localhost:${this.port}`, { pid: process.pid });
+        this.scheduleIdleShutdown();
+    }
 }
 
 // Command line interface
 if (require.main === module) {
     const args = parseArguments();
+    const daemon = process.argv.includes('--daemon');
     
-    const projectDirectory = args.project_directory || process.cwd();
-    const prompt = args.prompt || 'I implemented the changes you requested.';
-    const outputFile = args.output_file;
+    const server = new WebUIServer({ daemon });
     
-    const server = new WebUIServer(projectDirectory, prompt, outputFile);
+    // Pass log entries to connected MCP servers
+    logger.addListener((entry) => server.forwardLog(entry));
     
     // Handle process termination
     process.on('SIGINT', () => {
@@ -607,16 +1459,25 @@ if (require.main === module) {
         server.close();
     });
     
-    // Run server
-    server.run().then((result) => {
-        if (!outputFile) {
-            console.log('Feedback result:', JSON.stringify(result, null, 2));
-        }
-    }).catch((error) => {
-        console.error('Error running Web UI Server:', error.message);
-        process.exit(1);
-    });
+    if (daemon) {
+        server.runDaemon().catch((error) => {
+            logger.critical('Error running Web UI daemon', error);
+            process.exit(1);
+        });
+    } else {
+        // Standalone run for a single request, the result is printed
+        server.run({
+            projectDirectory: args.project_directory || process.cwd(),
+            prompt: args.prompt || 'I implemented the changes you requested.'
+        }).then((result) => {
+            process.stdout.write(`Feedback result: ${JSON.stringify(result, null, 2)}\n`);
+            setTimeout(() => server.close(), 1000);
+        }).catch((error) => {
+            logger.critical('Error running Web UI Server', error);
+            process.exit(1);
+        });
+    }
 }
 
 // Module exports
-module.exports = WebUIServer;
\ No newline at end of file
+module.exports = WebUIServer;